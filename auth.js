@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("./errors");
+const { parseQuota } = require("./limits");
+const logger = require("./logger");
+
+const PERMISSIONS = ["read", "write", "delete", "admin"];
+const KEY_PREFIX = "ak_";
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function bucketMatches(pattern, bucketName) {
+  if (pattern === "*") {
+    return true;
+  }
+  if (pattern.endsWith("*")) {
+    return bucketName.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === bucketName;
+}
+
+/**
+ * API keys scoped to buckets and operations. Keys are read from a JSON file
+ * ({ "keys": [...] }) and keys created through the admin endpoints are
+ * written back to it; only the SHA-256 of generated keys is stored.
+ */
+class ApiKeyStore {
+  constructor(filePath, { adminKey } = {}) {
+    this.filePath = filePath;
+    this.keys = [];
+
+    if (fs.existsSync(filePath)) {
+      const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      this.keys = (config.keys || []).map((entry) => this.normalize(entry));
+    }
+
+    if (adminKey) {
+      this.bootstrapKey = this.normalize({
+        id: "admin",
+        name: "ADMIN_API_KEY",
+        key: adminKey,
+        buckets: ["*"],
+        permissions: ["admin"],
+      });
+    }
+
+    logger.info("Loaded API keys", {
+      count: this.keys.length + (this.bootstrapKey ? 1 : 0),
+    });
+  }
+
+  get enabled() {
+    return this.keys.length > 0 || Boolean(this.bootstrapKey);
+  }
+
+  normalize(entry) {
+    if (!entry.key && !entry.keyHash) {
+      throw new Error(
+        `API key ${entry.id || entry.name} has no key or keyHash`
+      );
+    }
+    const permissions = entry.permissions || ["read"];
+    const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown permissions: ${unknown.join(", ")}`);
+    }
+
+    return {
+      id: entry.id || crypto.randomBytes(6).toString("hex"),
+      name: entry.name || "",
+      keyHash: entry.keyHash || hashKey(entry.key),
+      key: entry.key,
+      buckets: entry.buckets || ["*"],
+      permissions,
+      profiles: entry.profiles || [],
+      // Storage quota of uploads made with this key, null for the default
+      quota: parseQuota(entry.quota),
+      createdAt: entry.createdAt || new Date().toISOString(),
+    };
+  }
+
+  find(key) {
+    const candidate = Buffer.from(hashKey(key), "hex");
+    const entries = this.bootstrapKey
+      ? [this.bootstrapKey, ...this.keys]
+      : this.keys;
+    return entries.find((entry) =>
+      crypto.timingSafeEqual(Buffer.from(entry.keyHash, "hex"), candidate)
+    );
+  }
+
+  get(id) {
+    if (this.bootstrapKey && this.bootstrapKey.id === id) {
+      return this.bootstrapKey;
+    }
+    return this.keys.find((entry) => entry.id === id);
+  }
+
+  list() {
+    return this.keys.map(({ key, keyHash, ...entry }) => entry);
+  }
+
+  create({ name, buckets, permissions, profiles, quota }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+    const entry = this.normalize({
+      name,
+      keyHash: hashKey(key),
+      buckets,
+      permissions,
+      profiles,
+      quota,
+    });
+    this.keys.push(entry);
+    this.save();
+
+    const { keyHash, ...visible } = entry;
+    return { ...visible, key };
+  }
+
+  remove(id) {
+    const index = this.keys.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.keys.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  save() {
+    // Keys written in plain text by an operator stay that way
+    const keys = this.keys.map(({ key, keyHash, ...entry }) =>
+      key ? { ...entry, key } : { ...entry, keyHash }
+    );
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ keys }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+function hasPermission(apiKey, permission) {
+  return (
+    apiKey.permissions.includes("admin") ||
+    apiKey.permissions.includes(permission)
+  );
+}
+
+function canAccessBucket(apiKey, bucketName) {
+  return apiKey.buckets.some((pattern) => bucketMatches(pattern, bucketName));
+}
+
+function extractKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) {
+    return header;
+  }
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.substring("Bearer ".length).trim();
+  }
+  return null;
+}
+
+/**
+ * Middleware resolving the caller's API key into req.apiKey. When no keys are
+ * configured the server stays open and every caller is treated as admin.
+ * Requests carrying a valid presigned URL already have their key resolved.
+ */
+function authenticate(store) {
+  return (req, res, next) => {
+    if (req.presigned) {
+      return next();
+    }
+    if (!store.enabled) {
+      req.apiKey = null;
+      return next();
+    }
+
+    const key = extractKey(req);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: "Missing API key",
+        code: "UNAUTHORIZED",
+      });
+    }
+
+    const apiKey = store.find(key);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid API key",
+        code: "UNAUTHORIZED",
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Middleware factory checking that req.apiKey grants `permission`, and when
+ * the route targets a bucket, that the key is scoped to it.
+ */
+function authorize(permission, getBucketName = (req) => req.params.bucketName) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    if (!hasPermission(req.apiKey, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have ${permission} permission`,
+        code: "ACCESS_DENIED",
+      });
+    }
+
+    const bucketName = getBucketName(req);
+    if (bucketName && !canAccessBucket(req.apiKey, bucketName)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have access to bucket ${bucketName}`,
+        code: "ACCESS_DENIED",
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ApiKeyStore,
+  PERMISSIONS,
+  authenticate,
+  authorize,
+  bucketMatches,
+  canAccessBucket,
+};
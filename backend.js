@@ -0,0 +1,108 @@
+const fs = require("fs").promises;
+const path = require("path");
+const AkaveIPCClient = require("./index");
+const { LocalBackend } = require("./local");
+const { registry } = require("./metrics");
+const { normalizeFileName } = require("./utils");
+
+/**
+ * Storage backends share the interface of AkaveIPCClient: an `address`
+ * property plus the methods below. Each method takes a trailing options
+ * object (`signal` cancels the operation), resolves to the shapes akavecli
+ * prints (Name, Created, RootCID, Size, ...) and rejects with the typed
+ * errors from errors.js.
+ */
+const BACKEND_METHODS = [
+  "createBucket",
+  "deleteBucket",
+  "viewBucket",
+  "listBuckets",
+  "listFiles",
+  "getFileInfo",
+  "uploadFile",
+  "downloadFile",
+  "deleteFile",
+];
+
+const BACKENDS = {
+  // Talks to an Akave node through the akavecli binary
+  akavecli: (profile, { nodeAddress, privateKey }, options) =>
+    new AkaveIPCClient(nodeAddress, privateKey, options),
+  // Offline storage under <localRoot>/<profile>, one directory per wallet
+  local: (profile, { privateKey }, { localRoot }) =>
+    new LocalBackend(path.join(localRoot, profile), privateKey),
+};
+
+const transferredBytes = registry.counter({
+  name: "akavelink_transferred_bytes_total",
+  help: "Bytes uploaded to and downloaded from storage, by profile.",
+  labelNames: ["direction", "profile"],
+});
+
+// A file that cannot be measured only loses the metric, never the transfer
+function sizeOf(filePath) {
+  return fs.stat(filePath).then(
+    ({ size }) => size,
+    () => 0
+  );
+}
+
+// Count the bytes of successful transfers, whichever backend runs them
+function countTransfers(client, profile) {
+  const { uploadFile, downloadFile } = client;
+  client.uploadFile = async (bucketName, filePath, options) => {
+    const result = await uploadFile.call(client, bucketName, filePath, options);
+    transferredBytes.inc(
+      { direction: "upload", profile },
+      await sizeOf(filePath)
+    );
+    return result;
+  };
+  client.downloadFile = async (bucketName, fileName, destination, options) => {
+    const result = await downloadFile.call(
+      client,
+      bucketName,
+      fileName,
+      destination,
+      options
+    );
+    transferredBytes.inc(
+      { direction: "download", profile },
+      await sizeOf(path.join(destination, normalizeFileName(fileName)))
+    );
+    return result;
+  };
+  return client;
+}
+
+/**
+ * Build the backend for a profile. `options.backend` names the
+ * implementation ("akavecli" unless set); the other options are passed to
+ * it, e.g. the command queue for akavecli or `localRoot` for local.
+ */
+function createBackend(profile, credentials, options = {}) {
+  const { backend = "akavecli", ...backendOptions } = options;
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage backend ${backend}, expected one of: ${Object.keys(
+        BACKENDS
+      ).join(", ")}`
+    );
+  }
+  const client = factory(profile, credentials, backendOptions);
+  const missing = BACKEND_METHODS.filter(
+    (method) => typeof client[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Storage backend ${backend} does not implement: ${missing.join(", ")}`
+    );
+  }
+  return countTransfers(client, profile);
+}
+
+module.exports = {
+  BACKEND_METHODS,
+  createBackend,
+};
@@ -0,0 +1,434 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const logger = require("./logger");
+const { abortError } = require("./queue");
+const { JsonFile } = require("./store");
+const { normalizeFileName } = require("./utils");
+
+const INDEX_FILE = "index.json";
+const STAGING_PREFIX = ".staging-";
+const EVICTION_INTERVAL_MS = 10 * 60 * 1000;
+// How often readers of a file still being downloaded look for new bytes
+const POLL_INTERVAL_MS = 100;
+const READ_SIZE = 64 * 1024;
+
+// Identifies a stored version of a file from what `getFileInfo` reports
+function fingerprint(info) {
+  return [
+    info.RootCID,
+    info.Size ?? info.EncodedSize ?? info.ActualSize,
+    info.CreatedAt ?? info.Created,
+  ].join(":");
+}
+
+/**
+ * A file akavecli is still writing. Readers get its bytes as they land on
+ * disk and wait for more until the download settles; a finished file is
+ * moved into the cache, which open handles survive.
+ */
+class GrowingFile {
+  constructor() {
+    this.filePath = null;
+    this.settled = false;
+    this.error = null;
+    this.wakers = new Set();
+  }
+
+  settle(error, filePath) {
+    this.settled = true;
+    this.error = error;
+    if (filePath) {
+      this.filePath = filePath;
+    }
+    this.wakers.forEach((wake) => wake());
+  }
+
+  // Resolve after a poll interval, or as soon as the download settles
+  wait() {
+    if (this.settled) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.wakers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, POLL_INTERVAL_MS);
+      this.wakers.add(wake);
+    });
+  }
+
+  // akavecli may only create the file once the transfer has started
+  async open() {
+    for (;;) {
+      const { settled, filePath } = this;
+      if (filePath) {
+        try {
+          return await fs.open(filePath, "r");
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+        }
+      }
+      if (settled && this.filePath === filePath) {
+        throw this.error || new Error("Downloaded file is not readable");
+      }
+      await this.wait();
+    }
+  }
+
+  /**
+   * Stream bytes `start` to `end` (inclusive), waiting for those not
+   * downloaded yet. Fails if the download fails or ends before `end`.
+   */
+  createReadStream({ start, end }) {
+    const file = this;
+    return Readable.from(
+      (async function* () {
+        if (end < start) {
+          return;
+        }
+        const handle = await file.open();
+        try {
+          let position = start;
+          while (position <= end) {
+            const { settled } = file;
+            const buffer = Buffer.alloc(
+              Math.min(READ_SIZE, end - position + 1)
+            );
+            const { bytesRead } = await handle.read(
+              buffer,
+              0,
+              buffer.length,
+              position
+            );
+            if (bytesRead > 0) {
+              position += bytesRead;
+              yield buffer.subarray(0, bytesRead);
+            } else if (settled) {
+              throw (
+                file.error ||
+                new Error(`Downloaded file ended before byte ${position}`)
+              );
+            } else {
+              await file.wait();
+            }
+          }
+        } finally {
+          await handle.close();
+        }
+      })()
+    );
+  }
+}
+
+/**
+ * Local cache of downloaded files. A cached copy is reused while the file's
+ * info is unchanged, concurrent downloads of the same file share a single
+ * akavecli call, and entries are evicted least recently used first once the
+ * cache grows past `maxBytes` or an entry is older than `maxAge`.
+ */
+class DownloadCache {
+  constructor(root, { maxBytes, maxAge }) {
+    this.root = root;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.indexFile = new JsonFile(path.join(root, INDEX_FILE), {
+      description: "download cache index",
+      indent: 0,
+    });
+    this.ready = this.load();
+
+    setInterval(() => {
+      this.evict().catch((error) => {
+        logger.error("Download cache eviction failed", {
+          error: error.message,
+        });
+      });
+    }, EVICTION_INTERVAL_MS).unref();
+  }
+
+  async load() {
+    await fs.mkdir(this.root, { recursive: true });
+
+    // Leftovers from downloads interrupted by a restart
+    for (const name of await fs.readdir(this.root)) {
+      if (name.startsWith(STAGING_PREFIX)) {
+        await fs.rm(path.join(this.root, name), {
+          recursive: true,
+          force: true,
+        });
+      }
+    }
+
+    try {
+      const index = this.indexFile.read({});
+      for (const [key, entry] of Object.entries(index)) {
+        if (fsSync.existsSync(entry.filePath)) {
+          this.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      logger.warn("Ignoring unreadable download cache index", {
+        error: error.message,
+      });
+    }
+
+    await this.evict();
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  /**
+   * Resolve a readable local copy of a file, downloading it only when no
+   * current copy is cached. Pass `info` when the file's info was just
+   * fetched. Returns { filePath, size, info, hit }.
+   *
+   * With `partial`, a download does not have to finish first: the result
+   * is { file, done, info, hit: false } where `file` is the GrowingFile
+   * being written and `done` resolves to { filePath, size } once it is
+   * cached. Aborting `signal` still cancels a download nobody else awaits.
+   */
+  async fetch({
+    client,
+    profile,
+    bucketName,
+    fileName,
+    info,
+    partial = false,
+    signal,
+    onProgress,
+  }) {
+    await this.ready;
+
+    if (!info) {
+      info = await client.getFileInfo(bucketName, fileName, { signal });
+    }
+    const key = this.key(profile, bucketName, fileName);
+    const entry = this.entries.get(key);
+
+    if (
+      entry &&
+      entry.fingerprint === fingerprint(info) &&
+      !this.isExpired(entry) &&
+      fsSync.existsSync(entry.filePath)
+    ) {
+      entry.lastAccess = Date.now();
+      this.save();
+      return { filePath: entry.filePath, size: entry.size, info, hit: true };
+    }
+
+    if (!this.inflight.has(key)) {
+      const controller = new AbortController();
+      // Everyone waiting on a shared download hears its progress
+      const listeners = new Set();
+      const file = new GrowingFile();
+      const pending = {
+        controller,
+        listeners,
+        file,
+        waiters: 0,
+        promise: this.download(client, key, bucketName, fileName, info, {
+          file,
+          signal: controller.signal,
+          onProgress: (progress) =>
+            listeners.forEach((listener) => listener(progress)),
+        }),
+      };
+      this.inflight.set(key, pending);
+      pending.promise.then(
+        () => this.inflight.delete(key),
+        () => this.inflight.delete(key)
+      );
+    }
+
+    const pending = this.inflight.get(key);
+    if (partial) {
+      const done = this.join(pending, signal);
+      // Callers that streamed everything they needed may never await it
+      done.catch(() => {});
+      return { file: pending.file, done, info, hit: false };
+    }
+    if (onProgress) {
+      pending.listeners.add(onProgress);
+    }
+    try {
+      const downloaded = await this.join(pending, signal);
+      return { ...downloaded, info, hit: false };
+    } finally {
+      pending.listeners.delete(onProgress);
+    }
+  }
+
+  // The shared download is only cancelled once every waiting caller is gone
+  join(pending, signal) {
+    pending.waiters++;
+    if (!signal) {
+      return pending.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        pending.waiters--;
+        if (pending.waiters === 0) {
+          pending.controller.abort();
+        }
+        reject(abortError());
+      };
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      pending.promise.then(
+        (result) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(result);
+        },
+        (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  async download(
+    client,
+    key,
+    bucketName,
+    fileName,
+    info,
+    { file, signal, onProgress }
+  ) {
+    const stagingDir = await fs.mkdtemp(path.join(this.root, STAGING_PREFIX));
+    const downloadedPath = path.join(stagingDir, normalizeFileName(fileName));
+    file.filePath = downloadedPath;
+    try {
+      await client.downloadFile(bucketName, fileName, stagingDir, {
+        signal,
+        onProgress,
+      });
+
+      try {
+        await fs.access(downloadedPath, fsSync.constants.R_OK);
+      } catch (err) {
+        throw new Error("File download failed or file is not readable");
+      }
+
+      const { size } = await fs.stat(downloadedPath);
+      await this.evict(size, key);
+
+      // One directory per key keeps names that normalize alike apart
+      const entryDir = path.join(
+        this.root,
+        crypto.createHash("sha256").update(key).digest("hex").substring(0, 32)
+      );
+      await fs.mkdir(entryDir, { recursive: true });
+      const filePath = path.join(entryDir, normalizeFileName(fileName));
+      // Readers of a replaced copy keep their open file handle
+      await fs.rename(downloadedPath, filePath);
+
+      const now = Date.now();
+      this.entries.set(key, {
+        filePath,
+        size,
+        fingerprint: fingerprint(info),
+        downloadedAt: now,
+        lastAccess: now,
+      });
+      this.save();
+
+      file.settle(null, filePath);
+      return { filePath, size };
+    } catch (error) {
+      file.settle(error);
+      throw error;
+    } finally {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+
+  isExpired(entry) {
+    return this.maxAge > 0 && Date.now() - entry.downloadedAt > this.maxAge;
+  }
+
+  /**
+   * Drop expired entries, then least recently used ones until `incoming`
+   * more bytes fit. The entry being replaced (`skipKey`) is left alone.
+   */
+  async evict(incoming = 0, skipKey = null) {
+    const candidates = [...this.entries.entries()]
+      .filter(([key]) => key !== skipKey)
+      .sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+
+    let total = this.totalBytes() + incoming;
+    let evicted = 0;
+
+    for (const [key, entry] of candidates) {
+      const overBudget = this.maxBytes > 0 && total > this.maxBytes;
+      if (!overBudget && !this.isExpired(entry)) {
+        continue;
+      }
+      this.entries.delete(key);
+      total -= entry.size;
+      evicted++;
+      await fs.rm(path.dirname(entry.filePath), {
+        recursive: true,
+        force: true,
+      });
+    }
+
+    if (evicted > 0) {
+      logger.info("Evicted cached downloads", { count: evicted });
+      this.save();
+    }
+  }
+
+  totalBytes() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes(),
+      maxBytes: this.maxBytes,
+      maxAge: this.maxAge,
+      inflight: this.inflight.size,
+    };
+  }
+
+  async clear() {
+    await this.ready;
+    const entries = [...this.entries.values()];
+    this.entries.clear();
+    for (const entry of entries) {
+      await fs.rm(path.dirname(entry.filePath), {
+        recursive: true,
+        force: true,
+      });
+    }
+    this.save();
+  }
+
+  save() {
+    return this.indexFile.save(Object.fromEntries(this.entries));
+  }
+}
+
+module.exports = {
+  DownloadCache,
+};
@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const { AkaveError } = require("./errors");
+const { JsonFile } = require("./store");
+
+// Byte length of each supported digest
+const DIGEST_LENGTHS = { md5: 16, sha256: 32, crc32c: 4 };
+// Algorithm names of the Digest and Repr-Digest headers we understand
+const HEADER_ALGORITHMS = { md5: "md5", "sha-256": "sha256" };
+
+class ChecksumError extends AkaveError {
+  constructor(message, code = "BAD_DIGEST", statusCode = 400) {
+    super(message, code, statusCode);
+  }
+}
+
+// CRC-32C (Castagnoli), as used by S3 and Google Cloud Storage
+const CRC32C_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC32C_TABLE[n] = c >>> 0;
+}
+
+class Crc32c {
+  constructor() {
+    this.crc = 0xffffffff;
+  }
+
+  update(buffer) {
+    let crc = this.crc;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC32C_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    this.crc = crc;
+    return this;
+  }
+
+  digest() {
+    const result = Buffer.alloc(4);
+    result.writeUInt32BE((this.crc ^ 0xffffffff) >>> 0);
+    return result;
+  }
+}
+
+/**
+ * Hash a readable stream in one pass. SHA-256 is always computed; MD5 and
+ * CRC32C only when asked for. Returns { size, sha256, md5?, crc32c? } with
+ * digests as Buffers.
+ */
+async function computeChecksums(stream, { md5 = false, crc32c = false } = {}) {
+  const hashes = { sha256: crypto.createHash("sha256") };
+  if (md5) {
+    hashes.md5 = crypto.createHash("md5");
+  }
+  if (crc32c) {
+    hashes.crc32c = new Crc32c();
+  }
+
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    for (const hash of Object.values(hashes)) {
+      hash.update(chunk);
+    }
+  }
+
+  const result = { size };
+  for (const [algorithm, hash] of Object.entries(hashes)) {
+    result[algorithm] = hash.digest();
+  }
+  return result;
+}
+
+function decodeDigest(algorithm, value, header) {
+  const digest = Buffer.from(value.trim(), "base64");
+  if (digest.length !== DIGEST_LENGTHS[algorithm]) {
+    throw new ChecksumError(
+      `${header} does not hold a base64 ${algorithm} digest`,
+      "INVALID_DIGEST"
+    );
+  }
+  return digest;
+}
+
+/**
+ * Digests a client sent for the file it uploads, from Content-MD5, Digest
+ * (RFC 3230), Repr-Digest (RFC 9530) and the S3 x-amz-checksum-* headers.
+ * Algorithms we do not support are ignored. Returns { md5?, sha256?,
+ * crc32c? } as Buffers.
+ */
+function expectedDigests(headers) {
+  const expected = {};
+  if (headers["content-md5"]) {
+    expected.md5 = decodeDigest("md5", headers["content-md5"], "Content-MD5");
+  }
+
+  // Digest: sha-256=<base64>, Repr-Digest: sha-256=:<base64>:
+  for (const header of ["digest", "repr-digest"]) {
+    for (const entry of (headers[header] || "").split(",")) {
+      const separator = entry.indexOf("=");
+      const algorithm =
+        HEADER_ALGORITHMS[entry.substring(0, separator).trim().toLowerCase()];
+      if (separator > 0 && algorithm) {
+        const value = entry
+          .substring(separator + 1)
+          .replace(/^\s*:|:\s*$/g, "");
+        expected[algorithm] = decodeDigest(algorithm, value, header);
+      }
+    }
+  }
+
+  for (const algorithm of ["sha256", "crc32c"]) {
+    const value = headers[`x-amz-checksum-${algorithm}`];
+    if (value) {
+      expected[algorithm] = decodeDigest(
+        algorithm,
+        value,
+        `x-amz-checksum-${algorithm}`
+      );
+    }
+  }
+  return expected;
+}
+
+// Throw ChecksumError unless every expected digest matches the computed one
+function verifyDigests(expected, actual) {
+  for (const [algorithm, digest] of Object.entries(expected)) {
+    if (!digest.equals(actual[algorithm])) {
+      throw new ChecksumError(
+        `The ${algorithm} digest of the file does not match the one sent`
+      );
+    }
+  }
+}
+
+// Digest and Repr-Digest response headers for a recorded checksum
+function digestHeaders(record) {
+  const sha256 = Buffer.from(record.sha256, "hex").toString("base64");
+  return {
+    Digest: `sha-256=${sha256}`,
+    "Repr-Digest": `sha-256=:${sha256}:`,
+  };
+}
+
+/**
+ * Checksums of the files uploaded through this server, computed over the
+ * plaintext before encryption and kept in a local JSON file. Like metadata,
+ * a record is tied to the file's root CID, so it never describes a
+ * different file uploaded under the same name.
+ */
+class ChecksumStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { description: "checksums" });
+    this.records = this.file.read({});
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  get(profile, bucketName, info) {
+    const record = this.records[this.key(profile, bucketName, info.Name)];
+    if (!record || (info.RootCID && record.rootCid !== info.RootCID)) {
+      return null;
+    }
+    return record;
+  }
+
+  describe(profile, bucketName, info) {
+    const record = this.get(profile, bucketName, info);
+    return record && this.format(record);
+  }
+
+  // Names of the files recorded in a bucket with this SHA-256 (hex)
+  find(profile, bucketName, sha256) {
+    const prefix = this.key(profile, bucketName, "");
+    return Object.entries(this.records)
+      .filter(
+        ([key, record]) => key.startsWith(prefix) && record.sha256 === sha256
+      )
+      .map(([key]) => key.substring(prefix.length));
+  }
+
+  format(record) {
+    return {
+      SHA256: record.sha256,
+      ...(record.crc32c && { CRC32C: record.crc32c }),
+      Size: record.size,
+    };
+  }
+
+  // Record the checksums computed for an upload; digests are stored as hex
+  record(profile, bucketName, result, checksums) {
+    const record = {
+      sha256: checksums.sha256.toString("hex"),
+      ...(checksums.crc32c && { crc32c: checksums.crc32c.toString("hex") }),
+      size: checksums.size,
+      rootCid: result.RootCID,
+      createdAt: new Date().toISOString(),
+    };
+    this.records[this.key(profile, bucketName, result.Name)] = record;
+    this.save();
+    return record;
+  }
+
+  forget(profile, bucketName, fileName) {
+    const key = this.key(profile, bucketName, fileName);
+    if (key in this.records) {
+      delete this.records[key];
+      this.save();
+    }
+  }
+
+  save() {
+    return this.file.save(this.records);
+  }
+}
+
+module.exports = {
+  ChecksumError,
+  ChecksumStore,
+  computeChecksums,
+  digestHeaders,
+  expectedDigests,
+  verifyDigests,
+};
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { ValidationError } = require("./errors");
+const { SyncClient, pullBucket, syncDirectory } = require("./sync");
+
+const USAGE = `Usage:
+  akavelink sync <dir> <bucket> [options]   Upload new and changed files
+  akavelink pull <bucket> <dir> [options]   Download missing and changed files
+
+Options:
+  --include <glob>   Only paths matching the glob; may be repeated
+  --exclude <glob>   Skip paths matching the glob; may be repeated
+  --delete           sync: delete stored files that no longer exist locally
+  --dry-run          Print what would be done without changing anything
+  --parallel <n>     Files transferred at a time (default 4)
+  --state <file>     State file (default <dir>/.akavelink-sync.json)
+  --url <url>        API URL (default $AKAVELINK_URL or http://localhost:3000)
+  --api-key <key>    API key (default $AKAVELINK_API_KEY)
+  --profile <name>   Profile to act as (default $AKAVELINK_PROFILE)
+  --help             Show this help`;
+
+const FLAGS = ["delete", "dry-run", "help"];
+const REPEATED = ["include", "exclude"];
+const VALUES = ["parallel", "state", "url", "api-key", "profile"];
+
+function parseArgs(argv) {
+  const args = { positional: [], include: [], exclude: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.substring(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      args[name] = true;
+    } else if (REPEATED.includes(name) || VALUES.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        throw new ValidationError(`--${name} requires a value`);
+      }
+      if (REPEATED.includes(name)) {
+        args[name].push(value);
+      } else {
+        args[name] = value;
+      }
+    } else {
+      throw new ValidationError(`Unknown option --${name}`);
+    }
+  }
+  return args;
+}
+
+// How each action is counted in the summary line
+const COUNTED_AS = {
+  upload: "uploaded",
+  download: "downloaded",
+  skip: "unchanged",
+  delete: "deleted",
+  fail: "failed",
+};
+
+// Unchanged files are only counted
+function printAction({ action, path, error }) {
+  if (action === "fail") {
+    console.error(`failed    ${path}: ${error.message}`);
+  } else if (action !== "skip") {
+    console.log(`${action.padEnd(10)}${path}`);
+  }
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [command, ...operands] = args.positional;
+  if (args.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!["sync", "pull"].includes(command) || operands.length !== 2) {
+    throw new ValidationError(
+      command === "sync" || command === "pull"
+        ? `${command} takes two arguments`
+        : `Unknown command ${command}`
+    );
+  }
+  if (args.delete && command !== "sync") {
+    throw new ValidationError("--delete only applies to sync");
+  }
+
+  const [dir, bucketName] =
+    command === "sync" ? operands : [operands[1], operands[0]];
+  if (command === "sync" && !fs.statSync(dir, { throwIfNoEntry: false })) {
+    throw new ValidationError(`${dir} does not exist`);
+  }
+  const client = new SyncClient({
+    url: args.url || process.env.AKAVELINK_URL || "http://localhost:3000",
+    apiKey: args["api-key"] || process.env.AKAVELINK_API_KEY,
+    profile: args.profile || process.env.AKAVELINK_PROFILE,
+  });
+  const options = {
+    dir,
+    bucketName,
+    include: args.include,
+    exclude: args.exclude,
+    dryRun: Boolean(args["dry-run"]),
+    parallel: args.parallel === undefined ? 4 : Number(args.parallel),
+    ...(args.state && { stateFile: args.state }),
+    onAction: printAction,
+  };
+
+  const summary =
+    command === "sync"
+      ? await syncDirectory(client, {
+          ...options,
+          deleteExtra: Boolean(args.delete),
+        })
+      : await pullBucket(client, options);
+  const counts = Object.entries(summary)
+    .map(([action, count]) => `${count} ${COUNTED_AS[action]}`)
+    .join(", ");
+  console.log(`${args["dry-run"] ? "Dry run: " : ""}${counts}`);
+  return summary.fail > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(`akavelink: ${error.message}`);
+    if (error instanceof ValidationError) {
+      console.error("Run akavelink --help for usage.");
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const path = require("path");
+const { Readable } = require("stream");
+const { mime } = require("express").static;
+const { parseCliDate } = require("./utils");
+
+const DEFAULT_TYPE = "application/octet-stream";
+// Bytes read from the start of a file to recognize its type
+const SNIFF_BYTES = 512;
+// Requests for more ranges than this get the whole file instead
+const MAX_RANGES = 16;
+
+// Magic numbers of common formats, checked in order
+const SIGNATURES = [
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", ascii: "GIF8" },
+  { type: "image/webp", ascii: "RIFF", then: { offset: 8, ascii: "WEBP" } },
+  { type: "audio/wav", ascii: "RIFF", then: { offset: 8, ascii: "WAVE" } },
+  { type: "video/mp4", offset: 4, ascii: "ftyp" },
+  { type: "application/pdf", ascii: "%PDF-" },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/gzip", bytes: [0x1f, 0x8b] },
+  { type: "audio/mpeg", ascii: "ID3" },
+];
+
+function matchesAt(buffer, offset, expected) {
+  return (
+    buffer.length >= offset + expected.length &&
+    expected.equals(buffer.subarray(offset, offset + expected.length))
+  );
+}
+
+function matchesSignature(buffer, { offset = 0, bytes, ascii, then }) {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, "latin1");
+  return (
+    matchesAt(buffer, offset, expected) &&
+    (!then || matchesSignature(buffer, then))
+  );
+}
+
+/**
+ * Guess a content type from the first bytes of a file: a known magic number,
+ * else text/plain for valid UTF-8 without control bytes, else null.
+ */
+function sniffContentType(buffer) {
+  const signature = SIGNATURES.find((candidate) =>
+    matchesSignature(buffer, candidate)
+  );
+  if (signature) {
+    return signature.type;
+  }
+  if (buffer.length === 0) {
+    return null;
+  }
+  // A multi-byte character may be cut off at the end of the sample
+  const text = buffer.toString("utf8").replace(/\uFFFD{1,3}$/, "");
+  if (!text.includes("\uFFFD") && !/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(text)) {
+    return "text/plain; charset=utf-8";
+  }
+  return null;
+}
+
+/**
+ * Content type of a file: the one recorded for it, unless that is the
+ * generic application/octet-stream clients send for any file, else the type
+ * of its extension, else null.
+ */
+function contentTypeOf(fileName, recorded) {
+  if (recorded && recorded !== DEFAULT_TYPE) {
+    return recorded;
+  }
+  if (!path.extname(fileName)) {
+    return null;
+  }
+  const type = mime.lookup(fileName);
+  if (type === DEFAULT_TYPE) {
+    return null;
+  }
+  const charset = mime.charsets.lookup(type);
+  return charset ? `${type}; charset=${charset.toLowerCase()}` : type;
+}
+
+// First bytes of a stored file, for sniffing its content type
+async function readStart(stored) {
+  if (stored.size === 0) {
+    return Buffer.alloc(0);
+  }
+  const chunks = [];
+  for await (const chunk of stored.createReadStream({
+    start: 0,
+    end: Math.min(SNIFF_BYTES, stored.size) - 1,
+  })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Validators of a stored file version: its RootCID as a strong ETag (a weak
+ * one derived from name, size and date when none is reported) and its
+ * creation date as Last-Modified.
+ */
+function validatorsOf(info) {
+  let etag;
+  if (info.RootCID) {
+    etag = `"${info.RootCID}"`;
+  } else {
+    const digest = crypto
+      .createHash("sha256")
+      .update(
+        [
+          info.Name,
+          info.Size ?? info.EncodedSize ?? info.ActualSize,
+          info.CreatedAt ?? info.Created,
+        ].join(":")
+      )
+      .digest("base64url")
+      .substring(0, 27);
+    etag = `W/"${digest}"`;
+  }
+  return { etag, lastModified: parseCliDate(info.CreatedAt ?? info.Created) };
+}
+
+/**
+ * Whether a Range request applies under its If-Range condition: the range
+ * is only served while the entity tag (compared strongly) or the exact
+ * Last-Modified date still matches, otherwise the whole file is sent.
+ */
+function rangeApplies(req, { etag, lastModified }) {
+  const condition = req.headers["if-range"];
+  if (!condition) {
+    return true;
+  }
+  if (condition.startsWith('"') || condition.startsWith("W/")) {
+    return !etag.startsWith("W/") && condition === etag;
+  }
+  const date = Date.parse(condition);
+  return (
+    Boolean(lastModified) &&
+    !isNaN(date) &&
+    date === Math.floor(lastModified.getTime() / 1000) * 1000
+  );
+}
+
+/**
+ * Parse a Range header against a file of `size` bytes into [{ start, end }]
+ * (inclusive), as RFC 9110 section 14.1 reads it: ends past the file are
+ * clamped to its last byte and ranges starting past it are dropped.
+ * Returns null when the header is absent or not a valid byte range set, so
+ * the whole file is sent, and an empty array when no range is satisfiable.
+ */
+function parseRanges(header, size) {
+  const match = header && /^bytes=(.*)$/i.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+  // Empty list elements are allowed and ignored
+  const specs = match[1]
+    .split(",")
+    .map((spec) => spec.trim())
+    .filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const [, first, last] = /^(\d*)-(\d*)$/.exec(spec) || [];
+    if (!first && !last) {
+      return null;
+    }
+    // "-n" asks for the last n bytes
+    if (!first) {
+      const suffix = parseInt(last, 10);
+      if (suffix > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - suffix, 0), end: size - 1 });
+      }
+      continue;
+    }
+    const start = parseInt(first, 10);
+    const end = last ? parseInt(last, 10) : Infinity;
+    if (end < start) {
+      return null;
+    }
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * A multipart/byteranges body for several ranges of `stored`, each part
+ * labelled with `contentType` and its Content-Range. Returns { contentType,
+ * length, stream }.
+ */
+function multipartRanges(stored, ranges, contentType) {
+  const boundary = crypto.randomBytes(16).toString("hex");
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: Buffer.from(
+      `--${boundary}\r\nContent-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${stored.size}\r\n\r\n`
+    ),
+  }));
+  const newline = Buffer.from("\r\n");
+  const tail = Buffer.from(`--${boundary}--\r\n`);
+
+  let length = tail.length;
+  for (const { start, end, head } of parts) {
+    length += head.length + end - start + 1 + newline.length;
+  }
+
+  return {
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    length,
+    stream: Readable.from(
+      (async function* () {
+        for (const { start, end, head } of parts) {
+          yield head;
+          yield* stored.createReadStream({ start, end });
+          yield newline;
+        }
+        yield tail;
+      })()
+    ),
+  };
+}
+
+// RFC 5987 encoding of a header parameter value
+function encodeRfc5987(value) {
+  return encodeURIComponent(value).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Content-Disposition header for `fileName`, `attachment` or `inline`. Names
+ * outside printable ASCII get an ASCII fallback plus an RFC 5987 encoded
+ * `filename*` (RFC 6266).
+ */
+function contentDisposition(fileName, disposition = "attachment") {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const header = `${disposition}; filename="${fallback}"`;
+  return fallback === fileName
+    ? header
+    : `${header}; filename*=UTF-8''${encodeRfc5987(fileName)}`;
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  contentDisposition,
+  contentTypeOf,
+  multipartRanges,
+  parseRanges,
+  rangeApplies,
+  readStart,
+  sniffContentType,
+  validatorsOf,
+};
@@ -0,0 +1,131 @@
+const { bucketMatches } = require("./auth");
+const { AkaveError } = require("./errors");
+const { registry } = require("./metrics");
+const { JsonFile } = require("./store");
+
+const bytesSaved = registry.counter({
+  name: "akavelink_dedup_bytes_saved_total",
+  help: "Bytes not uploaded because the bucket already held the same content.",
+});
+
+// A file cannot be deleted while aliases still share its content
+class AliasError extends AkaveError {
+  constructor(message) {
+    super(message, "FILE_HAS_ALIASES", 409);
+  }
+}
+
+// "*" or a comma-separated list of bucket names and "prefix*" patterns
+function parseDedupBuckets(value) {
+  return (value || "")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Aliases created by deduplicated uploads and per-bucket savings, kept in a
+ * local JSON file. An alias is a file name that akavecli does not know: it
+ * points at the stored file that holds the same content, identified by name
+ * and root CID.
+ */
+class DedupIndex {
+  constructor(filePath, { buckets = [] } = {}) {
+    this.buckets = buckets;
+    this.file = new JsonFile(filePath, { description: "dedup index" });
+    const saved = this.file.read({});
+    this.aliases = saved.aliases || {};
+    this.stats = saved.stats || {};
+  }
+
+  enabled(bucketName) {
+    return this.buckets.some((pattern) => bucketMatches(pattern, bucketName));
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  resolve(profile, bucketName, fileName) {
+    return this.aliases[this.key(profile, bucketName, fileName)] || null;
+  }
+
+  // Point `fileName` at the stored file described by `target`
+  alias(profile, bucketName, fileName, target) {
+    this.aliases[this.key(profile, bucketName, fileName)] = {
+      target: target.Name,
+      rootCid: target.RootCID,
+      createdAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  unalias(profile, bucketName, fileName) {
+    const key = this.key(profile, bucketName, fileName);
+    if (!(key in this.aliases)) {
+      return false;
+    }
+    delete this.aliases[key];
+    this.save();
+    return true;
+  }
+
+  // [fileName, alias] pairs of a bucket, optionally only those of one target
+  list(profile, bucketName, target) {
+    const prefix = this.key(profile, bucketName, "");
+    return Object.entries(this.aliases)
+      .filter(
+        ([key, alias]) =>
+          key.startsWith(prefix) && (!target || alias.target === target)
+      )
+      .map(([key, alias]) => [key.substring(prefix.length), alias]);
+  }
+
+  forgetBucket(profile, bucketName) {
+    for (const [fileName] of this.list(profile, bucketName)) {
+      delete this.aliases[this.key(profile, bucketName, fileName)];
+    }
+    delete this.stats[`${profile}/${bucketName}`];
+    this.save();
+  }
+
+  // Count an upload of `size` bytes, deduplicated or sent to Akave
+  count(profile, bucketName, size, deduplicated) {
+    const key = `${profile}/${bucketName}`;
+    const stats = this.stats[key] || {
+      uploads: 0,
+      deduplicated: 0,
+      bytesUploaded: 0,
+      bytesSaved: 0,
+    };
+    stats.uploads += 1;
+    if (deduplicated) {
+      stats.deduplicated += 1;
+      stats.bytesSaved += size;
+      bytesSaved.inc({}, size);
+    } else {
+      stats.bytesUploaded += size;
+    }
+    this.stats[key] = stats;
+    this.save();
+  }
+
+  describe(profile, bucketName) {
+    return {
+      bucketName,
+      enabled: this.enabled(bucketName),
+      uploads: 0,
+      deduplicated: 0,
+      bytesUploaded: 0,
+      bytesSaved: 0,
+      ...this.stats[`${profile}/${bucketName}`],
+      aliases: this.list(profile, bucketName).length,
+    };
+  }
+
+  save() {
+    return this.file.save({ aliases: this.aliases, stats: this.stats });
+  }
+}
+
+module.exports = { AliasError, DedupIndex, parseDedupBuckets };
@@ -0,0 +1,414 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { AkaveError } = require("./errors");
+const { JsonFile } = require("./store");
+
+const MAGIC = Buffer.from("AKVENC01");
+const PREFIX_LENGTH = MAGIC.length + 4;
+const ALGORITHM = "AES-256-GCM";
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const NO_ENCRYPTION = "none";
+
+class EncryptionError extends AkaveError {
+  constructor(message, code = "ENCRYPTION_ERROR") {
+    super(message, code, 500);
+  }
+}
+
+// "id:key,id2:key2" with 32-byte keys given as base64 or hex
+function parseKeys(value) {
+  const keys = new Map();
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) {
+      continue;
+    }
+    const [id, encoded] = entry.trim().split(":");
+    const key = /^[0-9a-f]{64}$/i.test(encoded || "")
+      ? Buffer.from(encoded, "hex")
+      : Buffer.from(encoded || "", "base64");
+    if (!id || key.length !== 32) {
+      throw new Error(`Encryption key ${id} must be 32 bytes (base64 or hex)`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+// "bucket:keyId,other:none"
+function parseBucketKeys(value) {
+  const bucketKeys = {};
+  for (const entry of (value || "").split(",")) {
+    if (entry.trim()) {
+      const [bucket, keyId] = entry.trim().split(":");
+      bucketKeys[bucket] = keyId;
+    }
+  }
+  return bucketKeys;
+}
+
+// Chunks are sealed with the chunk index as nonce, which is safe because
+// every file has its own data key. The AAD marks the final chunk so a
+// truncated file fails to decrypt.
+function chunkNonce(index) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeUIntBE(index, 6, 6);
+  return nonce;
+}
+
+function chunkAad(index, final) {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index);
+  aad[4] = final ? 1 : 0;
+  return aad;
+}
+
+function chunkCount(size, chunkSize) {
+  return Math.max(1, Math.ceil(size / chunkSize));
+}
+
+// Whether the first bytes of a downloaded file start an encryption header
+function hasHeader(start) {
+  return (
+    start.length >= MAGIC.length &&
+    start.subarray(0, MAGIC.length).equals(MAGIC)
+  );
+}
+
+/**
+ * Envelope encryption for stored files. Each file is encrypted with its own
+ * AES-256-GCM data key in 64 KiB chunks, so any byte range can be decrypted
+ * without reading the whole file. The data key is wrapped with the bucket's
+ * key (or the default key) and kept in a header at the start of the file:
+ *
+ *   "AKVENC01" | header length (uint32) | header JSON | chunk + tag ...
+ *
+ * Key ids, algorithm and plaintext size of uploaded files are also recorded
+ * in a local index so file info can report them without a download.
+ */
+class FileEncryption {
+  constructor({ keys, defaultKeyId, bucketKeys = {}, indexPath }) {
+    this.keys = keys;
+    this.defaultKeyId = defaultKeyId;
+    this.bucketKeys = bucketKeys;
+    this.indexFile = new JsonFile(indexPath, {
+      description: "encryption index",
+    });
+
+    if (this.defaultKeyId && !this.keys.has(this.defaultKeyId)) {
+      throw new Error(`Default encryption key ${defaultKeyId} is not defined`);
+    }
+    for (const [bucket, keyId] of Object.entries(bucketKeys)) {
+      if (keyId !== NO_ENCRYPTION && !this.keys.has(keyId)) {
+        throw new Error(`Encryption key ${keyId} for ${bucket} is not defined`);
+      }
+    }
+
+    this.index = this.indexFile.read({});
+  }
+
+  static fromEnv(env = process.env) {
+    const keys = parseKeys(env.ENCRYPTION_KEYS);
+    return new FileEncryption({
+      keys,
+      defaultKeyId: env.ENCRYPTION_DEFAULT_KEY || keys.keys().next().value,
+      bucketKeys: parseBucketKeys(env.ENCRYPTION_BUCKET_KEYS),
+      indexPath:
+        env.ENCRYPTION_INDEX_FILE ||
+        path.join(process.cwd(), "encryption-index.json"),
+    });
+  }
+
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  // Key id new files in the bucket are encrypted with, or null for none
+  keyIdFor(bucketName) {
+    const keyId = this.bucketKeys[bucketName] ?? this.defaultKeyId;
+    return keyId && keyId !== NO_ENCRYPTION ? keyId : null;
+  }
+
+  masterKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new EncryptionError(
+        `Encryption key ${keyId} is not configured`,
+        "ENCRYPTION_KEY_UNAVAILABLE"
+      );
+    }
+    return key;
+  }
+
+  wrapKey(keyId, dataKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.masterKey(keyId),
+      iv
+    );
+    cipher.setAAD(Buffer.from(keyId));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString("base64");
+  }
+
+  unwrapKey(keyId, wrappedKey) {
+    const bytes = Buffer.from(wrappedKey, "base64");
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.masterKey(keyId),
+      bytes.subarray(0, 12)
+    );
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(bytes.subarray(12, 12 + TAG_LENGTH));
+    try {
+      return Buffer.concat([
+        decipher.update(bytes.subarray(12 + TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    } catch (error) {
+      throw new EncryptionError(`Cannot unwrap data key with key ${keyId}`);
+    }
+  }
+
+  async encryptFile(sourcePath, targetPath, keyId) {
+    const { size } = await fs.stat(sourcePath);
+    const dataKey = crypto.randomBytes(32);
+    const header = Buffer.from(
+      JSON.stringify({
+        version: 1,
+        algorithm: ALGORITHM,
+        keyId,
+        wrappedKey: this.wrapKey(keyId, dataKey),
+        chunkSize: CHUNK_SIZE,
+        size,
+      })
+    );
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    MAGIC.copy(prefix);
+    prefix.writeUInt32BE(header.length, MAGIC.length);
+
+    const chunks = chunkCount(size, CHUNK_SIZE);
+    let index = 0;
+    const seal = (plaintext) => {
+      const cipher = crypto.createCipheriv(
+        "aes-256-gcm",
+        dataKey,
+        chunkNonce(index)
+      );
+      cipher.setAAD(chunkAad(index, index === chunks - 1));
+      index++;
+      return Buffer.concat([
+        cipher.update(plaintext),
+        cipher.final(),
+        cipher.getAuthTag(),
+      ]);
+    };
+
+    await pipeline(
+      fsSync.createReadStream(sourcePath),
+      async function* (source) {
+        yield prefix;
+        yield header;
+        let pending = Buffer.alloc(0);
+        for await (const chunk of source) {
+          pending = Buffer.concat([pending, chunk]);
+          while (pending.length >= CHUNK_SIZE && index < chunks - 1) {
+            yield seal(pending.subarray(0, CHUNK_SIZE));
+            pending = pending.subarray(CHUNK_SIZE);
+          }
+        }
+        if (
+          index !== chunks - 1 ||
+          pending.length !== size - index * CHUNK_SIZE
+        ) {
+          throw new EncryptionError("File changed while it was encrypted");
+        }
+        yield seal(pending);
+      },
+      fsSync.createWriteStream(targetPath)
+    );
+
+    return { algorithm: ALGORITHM, keyId, size };
+  }
+
+  /**
+   * Upload through `client`, encrypting first when the bucket has a key.
+   * The encrypted copy keeps the file's name, which akavecli stores it under.
+   */
+  async uploadFile(client, { profile, bucketName, filePath, options }) {
+    const keyId = this.keyIdFor(bucketName);
+    if (!keyId) {
+      return client.uploadFile(bucketName, filePath, options);
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-enc-"));
+    try {
+      const encryptedPath = path.join(tempDir, path.basename(filePath));
+      const envelope = await this.encryptFile(filePath, encryptedPath, keyId);
+      const result = await client.uploadFile(
+        bucketName,
+        encryptedPath,
+        options
+      );
+      this.record(profile, bucketName, path.basename(filePath), {
+        ...envelope,
+        rootCid: result.RootCID,
+      });
+      return {
+        ...result,
+        Encryption: { Algorithm: envelope.algorithm, KeyId: envelope.keyId },
+      };
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Open a downloaded file for reading plaintext. `details` are what
+   * `describe` reports for the file: without them it was stored as it is
+   * and is read unchanged, whatever its first bytes. Returns { size,
+   * encryption, createReadStream({ start, end }) } where size is the
+   * plaintext size.
+   */
+  async open(filePath, details) {
+    if (!details) {
+      const { size } = await fs.stat(filePath);
+      return {
+        size,
+        encryption: null,
+        createReadStream: (range) => fsSync.createReadStream(filePath, range),
+      };
+    }
+
+    const handle = await fs.open(filePath, "r");
+    let header;
+    let dataOffset;
+    try {
+      const prefix = Buffer.alloc(PREFIX_LENGTH);
+      const { bytesRead } = await handle.read(prefix, 0, PREFIX_LENGTH, 0);
+      if (bytesRead !== PREFIX_LENGTH || !hasHeader(prefix)) {
+        throw new EncryptionError("Encrypted file has no encryption header");
+      }
+      const length = prefix.readUInt32BE(MAGIC.length);
+      const headerBytes = Buffer.alloc(length);
+      await handle.read(headerBytes, 0, length, PREFIX_LENGTH);
+      header = JSON.parse(headerBytes.toString("utf8"));
+      dataOffset = PREFIX_LENGTH + length;
+    } finally {
+      await handle.close();
+    }
+    if (header.keyId !== details.KeyId || header.size !== details.Size) {
+      throw new EncryptionError(
+        "Encryption header does not match the recorded encryption"
+      );
+    }
+
+    const dataKey = this.unwrapKey(header.keyId, header.wrappedKey);
+    return {
+      size: header.size,
+      encryption: { algorithm: header.algorithm, keyId: header.keyId },
+      createReadStream: (range = {}) =>
+        Readable.from(
+          decryptChunks(filePath, header, dataKey, dataOffset, range)
+        ),
+    };
+  }
+
+  // Encryption details recorded for a file at upload, if still current
+  describe(profile, bucketName, info) {
+    const record = this.index[`${profile}/${bucketName}/${info.Name}`];
+    if (!record || (info.RootCID && record.rootCid !== info.RootCID)) {
+      return null;
+    }
+    return {
+      Algorithm: record.algorithm,
+      KeyId: record.keyId,
+      Size: record.size,
+    };
+  }
+
+  record(profile, bucketName, fileName, record) {
+    this.index[`${profile}/${bucketName}/${fileName}`] = record;
+    this.save();
+  }
+
+  forget(profile, bucketName, fileName) {
+    const key = `${profile}/${bucketName}/${fileName}`;
+    if (key in this.index) {
+      delete this.index[key];
+      this.save();
+    }
+  }
+
+  save() {
+    return this.indexFile.save(this.index);
+  }
+}
+
+// Decrypt only the chunks covering [start, end] of the plaintext
+async function* decryptChunks(filePath, header, dataKey, dataOffset, range) {
+  const { chunkSize, size } = header;
+  const start = range.start ?? 0;
+  const end = Math.min(range.end ?? size - 1, size - 1);
+  if (start > end) {
+    return;
+  }
+
+  const chunks = chunkCount(size, chunkSize);
+  const handle = await fs.open(filePath, "r");
+  try {
+    for (
+      let index = Math.floor(start / chunkSize);
+      index <= Math.floor(end / chunkSize);
+      index++
+    ) {
+      const plainLength = Math.min(chunkSize, size - index * chunkSize);
+      const sealed = Buffer.alloc(plainLength + TAG_LENGTH);
+      const { bytesRead } = await handle.read(
+        sealed,
+        0,
+        sealed.length,
+        dataOffset + index * (chunkSize + TAG_LENGTH)
+      );
+      if (bytesRead !== sealed.length) {
+        throw new EncryptionError("Encrypted file is truncated");
+      }
+
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        dataKey,
+        chunkNonce(index)
+      );
+      decipher.setAAD(chunkAad(index, index === chunks - 1));
+      decipher.setAuthTag(sealed.subarray(plainLength));
+      let plaintext;
+      try {
+        plaintext = Buffer.concat([
+          decipher.update(sealed.subarray(0, plainLength)),
+          decipher.final(),
+        ]);
+      } catch (error) {
+        throw new EncryptionError("Encrypted file failed authentication");
+      }
+
+      const chunkStart = index * chunkSize;
+      yield plaintext.subarray(
+        Math.max(start - chunkStart, 0),
+        Math.min(end - chunkStart + 1, plainLength)
+      );
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  EncryptionError,
+  FileEncryption,
+};
@@ -0,0 +1,66 @@
+/**
+ * Base class for errors with a stable machine-readable `code` and the HTTP
+ * status the REST routes answer with.
+ */
+class AkaveError extends Error {
+  constructor(message, code = "INTERNAL_ERROR", statusCode = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+class ValidationError extends AkaveError {
+  constructor(message) {
+    super(message, "VALIDATION_ERROR", 400);
+  }
+}
+
+class InsufficientFundsError extends AkaveError {
+  constructor(message) {
+    super(message, "INSUFFICIENT_FUNDS", 402);
+  }
+}
+
+class AccessDeniedError extends AkaveError {
+  constructor(message) {
+    super(message, "ACCESS_DENIED", 403);
+  }
+}
+
+class NotFoundError extends AkaveError {
+  constructor(message) {
+    super(message, "NOT_FOUND", 404);
+  }
+}
+
+class AlreadyExistsError extends AkaveError {
+  constructor(message) {
+    super(message, "ALREADY_EXISTS", 409);
+  }
+}
+
+class BucketNotEmptyError extends AkaveError {
+  constructor(message) {
+    super(message, "BUCKET_NOT_EMPTY", 409);
+  }
+}
+
+// The node or network failed; the same request may succeed later
+class UnavailableError extends AkaveError {
+  constructor(message) {
+    super(message, "NODE_UNAVAILABLE", 503);
+  }
+}
+
+module.exports = {
+  AkaveError,
+  AccessDeniedError,
+  AlreadyExistsError,
+  BucketNotEmptyError,
+  InsufficientFundsError,
+  NotFoundError,
+  UnavailableError,
+  ValidationError,
+};
@@ -0,0 +1,439 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { AliasError } = require("./dedup");
+const { AlreadyExistsError, NotFoundError } = require("./errors");
+const logger = require("./logger");
+const { parseCliDate } = require("./utils");
+const { newVersionId, versionedName } = require("./versions");
+
+/**
+ * Reads and writes of files that keep deduplication aliases, versions and
+ * the encryption, checksum, metadata and usage records of a bucket in step.
+ * The JSON routes and the S3 API both go through these.
+ *
+ * Every operation takes the bucket it acts on as { client, profile,
+ * bucketName, caller, signal }: the client of the profile, the caller that
+ * uploads are counted against, and the signal that cancels the operation.
+ */
+class FileOperations {
+  constructor({ checksums, dedup, encryption, metadata, usage, versions }) {
+    this.checksums = checksums;
+    this.dedup = dedup;
+    this.encryption = encryption;
+    this.metadata = metadata;
+    this.usage = usage;
+    this.versions = versions;
+  }
+
+  // Files of a bucket as clients see them, with aliases and versions
+  visible(bucket, files) {
+    return this.withVersions(bucket, this.withAliases(bucket, files));
+  }
+
+  // Listed files plus the aliases of those files, under the alias names
+  withAliases({ profile, bucketName }, files) {
+    const byName = new Map(files.map((file) => [file.Name, file]));
+    const aliases = this.dedup
+      .list(profile, bucketName)
+      .filter(([, alias]) => {
+        const target = byName.get(alias.target);
+        return target && (!target.RootCID || target.RootCID === alias.rootCid);
+      })
+      .map(([name, alias]) => ({
+        ...byName.get(alias.target),
+        Name: name,
+        AliasOf: alias.target,
+      }));
+    return [...files, ...aliases];
+  }
+
+  /**
+   * Listed files as versioning presents them: the current version of each
+   * versioned file under its own name, while the files holding its versions
+   * and files whose current version is a delete marker are left out.
+   */
+  withVersions({ profile, bucketName }, files) {
+    const tracked = this.versions.entries(profile, bucketName);
+    if (tracked.length === 0) {
+      return files;
+    }
+    const byName = new Map(files.map((file) => [file.Name, file]));
+    const hidden = new Set();
+    const current = [];
+    for (const [name, fileVersions] of tracked) {
+      hidden.add(name);
+      for (const version of fileVersions) {
+        hidden.add(version.storedAs);
+      }
+      const latest = fileVersions[fileVersions.length - 1];
+      const file = !latest.deleteMarker && byName.get(latest.storedAs);
+      if (file) {
+        current.push({ ...file, Name: name, VersionId: latest.versionId });
+      }
+    }
+    return [...files.filter((file) => !hidden.has(file.Name)), ...current];
+  }
+
+  // Versions keep their encryption, checksum and metadata records under the
+  // name they are stored as
+  storedInfo({ profile, bucketName }, info) {
+    const version =
+      info.VersionId &&
+      this.versions.get(profile, bucketName, info.Name, info.VersionId);
+    return version ? { ...info, Name: version.storedAs } : info;
+  }
+
+  // Name under which akavecli stores a file, following an alias or version
+  storedNameOf(bucket, info) {
+    return info.AliasOf || this.storedInfo(bucket, info).Name;
+  }
+
+  // Encryption recorded for a file; aliases share the one of their target
+  encryptionOf(bucket, info) {
+    return this.encryption.describe(
+      bucket.profile,
+      bucket.bucketName,
+      info.AliasOf
+        ? { ...info, Name: info.AliasOf }
+        : this.storedInfo(bucket, info)
+    );
+  }
+
+  /**
+   * Info of a file, or of one of its versions. A versioned file reports the
+   * info of its current version, with VersionId. An alias reports the info
+   * of the stored file it points at, under its own name and with AliasOf;
+   * one whose stored file was replaced or removed is not found.
+   */
+  async info(bucket, fileName, { versionId, signal = bucket.signal } = {}) {
+    const { client, profile, bucketName } = bucket;
+    const fileVersions = this.versions.list(profile, bucketName, fileName);
+    if (versionId !== undefined || fileVersions.length > 0) {
+      const version =
+        versionId === undefined
+          ? fileVersions[fileVersions.length - 1]
+          : fileVersions.find((entry) => entry.versionId === versionId);
+      if (!version || version.deleteMarker) {
+        throw new NotFoundError(
+          versionId === undefined
+            ? `file not found: ${fileName}`
+            : `version not found: ${versionId}`
+        );
+      }
+      const info = await client.getFileInfo(bucketName, version.storedAs, {
+        signal,
+      });
+      return { ...info, Name: fileName, VersionId: version.versionId };
+    }
+
+    const alias = this.dedup.resolve(profile, bucketName, fileName);
+    if (!alias) {
+      return client.getFileInfo(bucketName, fileName, { signal });
+    }
+    const info = await client.getFileInfo(bucketName, alias.target, {
+      signal,
+    });
+    if (info.RootCID && info.RootCID !== alias.rootCid) {
+      throw new NotFoundError(`file not found: ${fileName}`);
+    }
+    return { ...info, Name: fileName, AliasOf: alias.target };
+  }
+
+  // Version record of a file stored without versioning
+  unversionedRecord(bucket, info) {
+    const details = this.encryptionOf(bucket, info);
+    const created = parseCliDate(info.CreatedAt ?? info.Created) || new Date();
+    return {
+      versionId: null,
+      storedAs: info.AliasOf || info.Name,
+      rootCid: info.RootCID,
+      size: details
+        ? details.Size
+        : Number(info.Size ?? info.EncodedSize ?? info.ActualSize ?? 0),
+      createdAt: created.toISOString(),
+    };
+  }
+
+  /**
+   * Upload a file hashed into `computed` as `fileName`: as a new version in
+   * a versioned bucket, otherwise as is unless it can be deduplicated.
+   * `dedup` overrides whether the bucket deduplicates uploads. The result
+   * carries the recorded checksums.
+   */
+  async store(bucket, { fileName, filePath, computed, dedup, options }) {
+    let result;
+    if (this.versions.enabled(bucket.bucketName)) {
+      result = await this.storeVersion(bucket, {
+        fileName,
+        filePath,
+        computed,
+        options,
+      });
+    } else {
+      const deduplicates =
+        dedup === undefined ? this.dedup.enabled(bucket.bucketName) : dedup;
+      result =
+        (await this.deduplicate(bucket, {
+          fileName,
+          computed,
+          deduplicates,
+          signal: options.signal,
+        })) ||
+        (await this.upload(bucket, {
+          fileName,
+          filePath,
+          size: computed.size,
+          options,
+        }));
+      if (deduplicates && !result.Deduplicated) {
+        this.dedup.count(
+          bucket.profile,
+          bucket.bucketName,
+          computed.size,
+          false
+        );
+      }
+    }
+
+    const record = this.checksums.record(
+      bucket.profile,
+      bucket.bucketName,
+      this.storedInfo(bucket, result),
+      computed
+    );
+    return { ...result, Checksum: this.checksums.format(record) };
+  }
+
+  // Upload a file under `fileName`, encrypted when the bucket has a key
+  async upload(bucket, { fileName, filePath, size, options }) {
+    const { client, profile, bucketName, caller } = bucket;
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-"));
+    try {
+      // akavecli stores a file under the name it has on disk
+      const namedPath = path.join(tempDir, fileName);
+      await fs
+        .link(filePath, namedPath)
+        .catch(() => fs.copyFile(filePath, namedPath));
+      const uploaded = await this.encryption.uploadFile(client, {
+        profile,
+        bucketName,
+        filePath: namedPath,
+        options,
+      });
+      this.usage.record({
+        profile,
+        bucketName,
+        fileName: uploaded.Name,
+        size,
+        caller,
+      });
+      return uploaded;
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  // A stored file of the bucket with exactly the content hashed in `computed`
+  async findStoredCopy(bucket, computed, signal) {
+    const { client, profile, bucketName } = bucket;
+    const sha256 = computed.sha256.toString("hex");
+    for (const name of this.checksums.find(profile, bucketName, sha256)) {
+      if (this.dedup.resolve(profile, bucketName, name)) {
+        continue;
+      }
+      try {
+        const info = await client.getFileInfo(bucketName, name, { signal });
+        // The checksum may have been recorded for an earlier file of that name
+        if (this.checksums.get(profile, bucketName, info)) {
+          return info;
+        }
+      } catch (error) {
+        if (error.code !== "NOT_FOUND") {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * When deduplicating, answer an upload of content the bucket already holds
+   * with the stored file instead of uploading it again, recording `fileName`
+   * as an alias if the names differ. Returns null when the file has to be
+   * uploaded. Like existing files, aliases cannot be overwritten.
+   */
+  async deduplicate(bucket, { fileName, computed, deduplicates, signal }) {
+    const { client, profile, bucketName } = bucket;
+    const alias = this.dedup.resolve(profile, bucketName, fileName);
+    const existing = deduplicates
+      ? await this.findStoredCopy(bucket, computed, signal)
+      : null;
+    if (alias && (!existing || alias.target !== existing.Name)) {
+      throw new AlreadyExistsError(`file already exists: ${fileName}`);
+    }
+    if (!existing) {
+      return null;
+    }
+
+    if (!alias && existing.Name !== fileName) {
+      try {
+        await client.getFileInfo(bucketName, fileName, { signal });
+        // Taken by a different file; the upload reports the conflict
+        return null;
+      } catch (error) {
+        if (error.code !== "NOT_FOUND") {
+          throw error;
+        }
+      }
+      this.dedup.alias(profile, bucketName, fileName, existing);
+    }
+    this.dedup.count(profile, bucketName, computed.size, true);
+    logger.info("Deduplicated upload", { fileName, storedAs: existing.Name });
+    return {
+      ...existing,
+      Name: fileName,
+      ...(existing.Name !== fileName && { AliasOf: existing.Name }),
+      Deduplicated: true,
+    };
+  }
+
+  // A file stored before versioning was enabled becomes its first version
+  async adoptUnversioned(bucket, fileName, signal) {
+    const { client, profile, bucketName } = bucket;
+    if (this.versions.latest(profile, bucketName, fileName)) {
+      return;
+    }
+    let info;
+    try {
+      info = await client.getFileInfo(bucketName, fileName, { signal });
+    } catch (error) {
+      if (error.code === "NOT_FOUND") {
+        return;
+      }
+      throw error;
+    }
+    this.versions.add(profile, bucketName, fileName, {
+      ...this.unversionedRecord(bucket, info),
+      versionId: newVersionId(),
+    });
+  }
+
+  /**
+   * Upload a new version of `fileName` under a name of its own and make it
+   * the current version. Versions beyond the retention cap are deleted,
+   * oldest first.
+   */
+  async storeVersion(bucket, { fileName, filePath, computed, options }) {
+    const { profile, bucketName } = bucket;
+    await this.adoptUnversioned(bucket, fileName, options.signal);
+
+    const versionId = newVersionId();
+    const uploaded = await this.upload(bucket, {
+      fileName: versionedName(fileName, versionId),
+      filePath,
+      size: computed.size,
+      options,
+    });
+    const pruned = this.versions.add(profile, bucketName, fileName, {
+      versionId,
+      storedAs: uploaded.Name,
+      rootCid: uploaded.RootCID,
+      size: computed.size,
+      createdAt: new Date().toISOString(),
+    });
+    await this.pruneVersions(bucket, pruned);
+    return { ...uploaded, Name: fileName, VersionId: versionId };
+  }
+
+  // Delete the files of versions dropped by the retention cap
+  async pruneVersions(bucket, pruned) {
+    for (const version of pruned) {
+      if (version.deleteMarker) {
+        continue;
+      }
+      try {
+        await this.removeStored(bucket, version.storedAs);
+      } catch (error) {
+        logger.warn("Failed to delete an expired version", {
+          storedAs: version.storedAs,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Remove a file. Deleting an alias only drops the alias; a file that
+   * aliases still point at is kept. Files in versioned buckets get a delete
+   * marker unless `permanent` is set, which deletes exactly the stored file.
+   */
+  async remove(bucket, fileName, { permanent = false } = {}) {
+    const { profile, bucketName } = bucket;
+    if (permanent) {
+      return this.removeStored(bucket, fileName);
+    }
+
+    const alias = this.dedup.resolve(profile, bucketName, fileName);
+    if (alias) {
+      this.dedup.unalias(profile, bucketName, fileName);
+      this.checksums.forget(profile, bucketName, fileName);
+      this.metadata.forget(profile, bucketName, fileName);
+      return { Name: fileName, AliasOf: alias.target };
+    }
+    if (
+      this.versions.enabled(bucketName) ||
+      this.versions.latest(profile, bucketName, fileName)
+    ) {
+      return this.addDeleteMarker(bucket, fileName);
+    }
+    const aliases = this.dedup.list(profile, bucketName, fileName);
+    if (aliases.length > 0) {
+      throw new AliasError(
+        `${fileName} is shared with ${aliases
+          .map(([name]) => name)
+          .join(", ")}; delete those first`
+      );
+    }
+    return this.removeStored(bucket, fileName);
+  }
+
+  // Delete a stored file along with its encryption, checksum, metadata and
+  // usage records
+  async removeStored(bucket, storedAs, signal = bucket.signal) {
+    const { client, profile, bucketName } = bucket;
+    const result = await client.deleteFile(bucketName, storedAs, { signal });
+    this.encryption.forget(profile, bucketName, storedAs);
+    this.checksums.forget(profile, bucketName, storedAs);
+    this.metadata.forget(profile, bucketName, storedAs);
+    this.usage.forget(profile, bucketName, storedAs);
+    return result;
+  }
+
+  /**
+   * Deleting a versioned file only adds a delete marker as its current
+   * version; its versions can still be listed, downloaded and restored.
+   */
+  async addDeleteMarker(bucket, fileName) {
+    const { profile, bucketName } = bucket;
+    await this.adoptUnversioned(bucket, fileName, bucket.signal);
+    const latest = this.versions.latest(profile, bucketName, fileName);
+    if (!latest || latest.deleteMarker) {
+      throw new NotFoundError(`file not found: ${fileName}`);
+    }
+    const marker = {
+      versionId: newVersionId(),
+      deleteMarker: true,
+      createdAt: new Date().toISOString(),
+    };
+    await this.pruneVersions(
+      bucket,
+      this.versions.add(profile, bucketName, fileName, marker)
+    );
+    return this.versions.format(fileName, marker, true);
+  }
+}
+
+module.exports = {
+  FileOperations,
+};
@@ -1,9 +1,140 @@
 const { spawn } = require("child_process");
 const { privateKeyToAccount } = require("viem/accounts");
+const {
+  AkaveError,
+  AccessDeniedError,
+  AlreadyExistsError,
+  BucketNotEmptyError,
+  InsufficientFundsError,
+  NotFoundError,
+  UnavailableError,
+  ValidationError,
+} = require("./errors");
 const logger = require("./logger");
+const { registry } = require("./metrics");
+const { CommandError, CommandQueue, abortError } = require("./queue");
+
+const DEFAULT_LIMITS = { upload: 2, download: 4, default: 8 };
+const DEFAULT_TIMEOUTS = {
+  upload: 3600000,
+  download: 3600000,
+  default: 120000,
+};
+const KILL_GRACE_MS = 5000;
+
+const commandDuration = registry.histogram({
+  name: "akavelink_cli_command_duration_seconds",
+  help: "Duration of akavecli commands by subcommand, including time queued.",
+  labelNames: ["subcommand"],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 900, 3600],
+});
+const commandFailures = registry.counter({
+  name: "akavelink_cli_command_failures_total",
+  help: "Failed akavecli commands by subcommand and error code.",
+  labelNames: ["subcommand", "code"],
+});
+const runningProcesses = registry.gauge({
+  name: "akavelink_cli_processes",
+  help: "akavecli child processes currently running.",
+});
+runningProcesses.set({}, 0);
+
+// Commands started per request context, for numbering their ids
+const commandCounts = new WeakMap();
+
+// Checked in order against akavecli's output, which carries gRPC status
+// names ("code = NotFound"), contract revert names and plain messages.
+// Network failures come first so "no such host" is not read as not found.
+const ERROR_PATTERNS = [
+  [
+    /code = (Unavailable|DeadlineExceeded|Aborted|ResourceExhausted)|connection refused|connection reset|no such host|i\/o timeout|deadline exceeded|transport is closing|unexpected EOF|too many requests|nonce too low|replacement transaction underpriced/i,
+    UnavailableError,
+  ],
+  [
+    /insufficient funds|insufficient balance|exceeds balance|gas required exceeds allowance/i,
+    InsufficientFundsError,
+  ],
+  [
+    /code = (PermissionDenied|Unauthenticated)|permission denied|access denied|not (the )?owner/i,
+    AccessDeniedError,
+  ],
+  [/code = NotFound|not found|does not exist|nonexist|no such/i, NotFoundError],
+  [/code = AlreadyExists|already ?exists/i, AlreadyExistsError],
+  [/not ?empty|nonempty/i, BucketNotEmptyError],
+  [
+    /code = (InvalidArgument|OutOfRange|FailedPrecondition)|invalid|must be|too (short|long|large)|required|accepts? \d+ arg/i,
+    ValidationError,
+  ],
+];
+
+/**
+ * Turn the output of a failed akavecli run into a typed error with a stable
+ * `code` and matching `statusCode`. Unrecognized failures become a generic
+ * COMMAND_FAILED error.
+ */
+function classifyError(output, exitCode) {
+  // Prefer cobra's "Error: ..." line over the usage text printed after it
+  const errorLine = output
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => /^error:/i.test(line));
+  const message =
+    (errorLine && errorLine.replace(/^error:\s*/i, "")) ||
+    output ||
+    `akavecli exited with code ${exitCode}`;
+
+  const match = ERROR_PATTERNS.find(([pattern]) => pattern.test(message));
+  const error = match
+    ? new match[1](message)
+    : new AkaveError(message, "COMMAND_FAILED", 500);
+  error.exitCode = exitCode;
+  return error;
+}
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3,
+  kib: 1024,
+  mb: 1e6,
+  mib: 1024 ** 2,
+  gb: 1e9,
+  gib: 1024 ** 3,
+};
+// "12.5 MiB / 100 MiB", "1048576/4194304 bytes" or "42%"
+const PROGRESS_BYTES =
+  /(\d+(?:\.\d+)?)\s*([kmg]i?b|b)?\s*\/\s*(\d+(?:\.\d+)?)\s*([kmg]i?b|bytes|b)\b/gi;
+const PROGRESS_PERCENT = /(\d{1,3}(?:\.\d+)?)\s*%/g;
+
+function toBytes(value, unit) {
+  const multiplier = SIZE_UNITS[unit.toLowerCase()] || 1;
+  return Math.round(Number(value) * multiplier);
+}
+
+/**
+ * Read the latest progress report from a chunk of akavecli output. Returns
+ * `{ bytes, total }` for byte counts, `{ percent }` for percentages, or null
+ * when the chunk carries no progress.
+ */
+function parseProgress(text) {
+  const counts = [...text.matchAll(PROGRESS_BYTES)].pop();
+  if (counts) {
+    const [, bytes, unit, total, totalUnit] = counts;
+    return {
+      bytes: toBytes(bytes, unit || totalUnit),
+      total: toBytes(total, totalUnit),
+    };
+  }
+  const percent = [...text.matchAll(PROGRESS_PERCENT)].pop();
+  if (percent) {
+    return { percent: Math.min(Number(percent[1]), 100) };
+  }
+  return null;
+}
+
+let defaultQueue;
 
 class AkaveIPCClient {
-  constructor(nodeAddress, privateKey) {
+  constructor(nodeAddress, privateKey, options = {}) {
     this.nodeAddress = nodeAddress;
     if (privateKey && privateKey.startsWith("0x")) {
       this.privateKey = privateKey.slice(2);
@@ -11,19 +142,140 @@ class AkaveIPCClient {
       this.privateKey = privateKey;
     }
     this.address = privateKeyToAccount(`0x${this.privateKey}`).address;
+    logger.addSecret(this.privateKey);
+
+    if (!options.queue && !defaultQueue) {
+      defaultQueue = new CommandQueue({
+        limits: DEFAULT_LIMITS,
+        maxQueueDepth: 100,
+      });
+    }
+    this.queue = options.queue || defaultQueue;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+  }
+
+  // Uploads and downloads get their own concurrency limits and timeouts
+  commandType(args) {
+    return args[2] === "upload" || args[2] === "download" ? args[2] : "default";
   }
 
-  async executeCommand(args, parser = "default") {
-    const commandId = Math.random().toString(36).substring(7);
+  async executeCommand(args, parser = "default", options = {}) {
+    const type = this.commandType(args);
+    const subcommand = `${args[1]} ${args[2]}`;
+    const end = commandDuration.startTimer({ subcommand });
+    // Read the request id now: a queued command is started by whichever
+    // command finishes first, outside this request's context
+    const commandId = this.nextCommandId();
+    try {
+      return await this.queue.run(
+        type,
+        () => this.spawnCommand(args, parser, type, { ...options, commandId }),
+        {
+          signal: options.signal,
+        }
+      );
+    } catch (error) {
+      commandFailures.inc({
+        subcommand,
+        code: error instanceof AkaveError ? error.code : "INTERNAL_ERROR",
+      });
+      throw error;
+    } finally {
+      end();
+    }
+  }
+
+  // Commands of an HTTP request are numbered after its request id
+  nextCommandId() {
+    const request = logger.context();
+    if (!request.requestId) {
+      return Math.random().toString(36).substring(7);
+    }
+    const count = (commandCounts.get(request) || 0) + 1;
+    commandCounts.set(request, count);
+    return `${request.requestId}.${count}`;
+  }
+
+  spawnCommand(
+    args,
+    parser,
+    type,
+    { signal, onProgress, commandId = this.nextCommandId() } = {}
+  ) {
     logger.info(`Executing ${args[1]} ${args[2]} command`, { commandId });
+    logger.debug("Command arguments", { commandId, args });
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(abortError());
+      }
 
-    const result = await new Promise((resolve, reject) => {
       const process = spawn("akavecli", args);
+      runningProcesses.inc();
+      let exited = false;
+      const onExit = () => {
+        if (!exited) {
+          exited = true;
+          runningProcesses.dec();
+        }
+      };
       let stdout = "";
       let stderr = "";
+      let stopReason = null;
+
+      // SIGTERM first, SIGKILL if akavecli does not exit in time
+      const stop = (reason) => {
+        if (stopReason) {
+          return;
+        }
+        stopReason = reason;
+        process.kill("SIGTERM");
+        setTimeout(() => {
+          if (process.exitCode === null && process.signalCode === null) {
+            process.kill("SIGKILL");
+          }
+        }, KILL_GRACE_MS).unref();
+      };
+
+      const timeout = setTimeout(() => {
+        logger.error(`Command timed out`, {
+          commandId,
+          timeout: this.timeouts[type],
+        });
+        stop(
+          new CommandError(
+            `Command timed out after ${this.timeouts[type]}ms`,
+            "COMMAND_TIMEOUT",
+            504
+          )
+        );
+      }, this.timeouts[type]);
+
+      const onAbort = () => {
+        logger.warn(`Command cancelled`, { commandId });
+        stop(abortError());
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      const report = (text) => {
+        const progress = onProgress && parseProgress(text);
+        if (progress) {
+          onProgress(progress);
+        }
+      };
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
 
       process.stdout.on("data", (data) => {
         stdout += data.toString();
+        report(data.toString());
         logger.debug(`Command output`, {
           commandId,
           output: data.toString().trim(),
@@ -32,6 +284,7 @@ class AkaveIPCClient {
 
       process.stderr.on("data", (data) => {
         stderr += data.toString();
+        report(data.toString());
         // Only log if it's actually an error
         if (!data.toString().includes("File uploaded successfully:")) {
           logger.debug(`Command output from stderr`, {
@@ -42,12 +295,26 @@ class AkaveIPCClient {
       });
 
       process.on("close", (code) => {
+        onExit();
+        cleanup();
         const output = (stdout + stderr).trim();
 
+        if (stopReason) {
+          reject(stopReason);
+          return;
+        }
+
         if (code === 0) {
           logger.info(`Command completed successfully`, { commandId });
         } else {
-          logger.error(`Command failed with code: ${code}`, { commandId });
+          const error = classifyError(output, code);
+          logger.error(`Command failed with code: ${code}`, {
+            commandId,
+            errorCode: error.code,
+          });
+          // Surface what akavecli reported instead of a parser mismatch
+          reject(error);
+          return;
         }
 
         try {
@@ -63,16 +330,23 @@ class AkaveIPCClient {
       });
 
       process.on("error", (err) => {
+        onExit();
+        cleanup();
         logger.error(`Process error`, {
           commandId,
           error: err.message,
         });
-        reject(err);
+        reject(
+          err.code === "ENOENT"
+            ? new CommandError(
+                "akavecli is not installed or not on PATH",
+                "CLI_UNAVAILABLE",
+                500
+              )
+            : err
+        );
       });
     });
-
-
-    return result;
   }
 
   parseOutput(output, parser) {
@@ -100,6 +374,8 @@ class AkaveIPCClient {
         return this.parseFileUpload(output);
       case "downloadFile":
         return this.parseFileDownload(output);
+      case "deleteFile":
+        return this.parseFileDeletion(output);
       default:
         return output;
     }
@@ -240,8 +516,32 @@ class AkaveIPCClient {
     return output;
   }
 
+  parseFileDeletion(output) {
+    const lines = output.split("\n");
+    const successLine = lines.find((line) => /deleted/i.test(line));
+
+    if (!successLine) {
+      throw new Error("File deletion failed: " + output);
+    }
+
+    const fileInfo = successLine
+      .substring(successLine.indexOf(":") + 1)
+      .trim()
+      .split(", ");
+
+    const result = {};
+    fileInfo.forEach((info) => {
+      const [key, value] = info.split("=");
+      if (key && value !== undefined) {
+        result[key.trim()] = value.trim();
+      }
+    });
+
+    return result;
+  }
+
   // Bucket Operations
-  async createBucket(bucketName) {
+  async createBucket(bucketName, options = {}) {
     const args = [
       "ipc",
       "bucket",
@@ -250,10 +550,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "createBucket", true);
+    return this.executeCommand(args, "createBucket", options);
   }
 
-  async deleteBucket(bucketName) {
+  async deleteBucket(bucketName, options = {}) {
     const args = [
       "ipc",
       "bucket",
@@ -262,10 +562,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "deleteBucket", true);
+    return this.executeCommand(args, "deleteBucket", options);
   }
 
-  async viewBucket(bucketName) {
+  async viewBucket(bucketName, options = {}) {
     const args = [
       "ipc",
       "bucket",
@@ -274,10 +574,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "viewBucket");
+    return this.executeCommand(args, "viewBucket", options);
   }
 
-  async listBuckets() {
+  async listBuckets(options = {}) {
     const args = [
       "ipc",
       "bucket",
@@ -285,11 +585,11 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "listBuckets");
+    return this.executeCommand(args, "listBuckets", options);
   }
 
   // File Operations
-  async listFiles(bucketName) {
+  async listFiles(bucketName, options = {}) {
     const args = [
       "ipc",
       "file",
@@ -298,10 +598,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "listFiles");
+    return this.executeCommand(args, "listFiles", options);
   }
 
-  async getFileInfo(bucketName, fileName) {
+  async getFileInfo(bucketName, fileName, options = {}) {
     const args = [
       "ipc",
       "file",
@@ -311,10 +611,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "fileInfo");
+    return this.executeCommand(args, "fileInfo", options);
   }
 
-  async uploadFile(bucketName, filePath) {
+  async uploadFile(bucketName, filePath, options = {}) {
     const args = [
       "ipc",
       "file",
@@ -324,10 +624,10 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "uploadFile", true);
+    return this.executeCommand(args, "uploadFile", options);
   }
 
-  async downloadFile(bucketName, fileName, destinationPath) {
+  async downloadFile(bucketName, fileName, destinationPath, options = {}) {
     const args = [
       "ipc",
       "file",
@@ -338,8 +638,23 @@ class AkaveIPCClient {
       `--node-address=${this.nodeAddress}`,
       `--private-key=${this.privateKey}`,
     ];
-    return this.executeCommand(args, "downloadFile");
+    return this.executeCommand(args, "downloadFile", options);
+  }
+
+  async deleteFile(bucketName, fileName, options = {}) {
+    const args = [
+      "ipc",
+      "file",
+      "delete",
+      bucketName,
+      fileName,
+      `--node-address=${this.nodeAddress}`,
+      `--private-key=${this.privateKey}`,
+    ];
+    return this.executeCommand(args, "deleteFile", options);
   }
 }
 
 module.exports = AkaveIPCClient;
+module.exports.classifyError = classifyError;
+module.exports.parseProgress = parseProgress;
@@ -2,5 +2,5 @@ module.exports = {
   testTimeout: 30000,
   testEnvironment: "node",
   testMatch: ["**/tests/integration/**/*.test.js"],
-  setupFiles: ["dotenv/config"],
+  setupFiles: ["dotenv/config", "<rootDir>/tests/integration/setup.js"],
 };
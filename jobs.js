@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { abortError } = require("./queue");
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const FINISHED_STATES = ["succeeded", "failed", "cancelled"];
+
+/**
+ * Background jobs for long-running transfers. A job runs `task` detached
+ * from the request that created it and reports progress, result and error
+ * through listeners (used for Server-Sent Events). Jobs live in memory:
+ * transfers die with the process, so they do not survive a restart.
+ * Finished jobs are forgotten after `ttl`.
+ */
+class JobManager {
+  constructor({ ttl = DEFAULT_TTL_MS } = {}) {
+    this.ttl = ttl;
+    this.jobs = new Map();
+
+    setInterval(() => this.purgeExpired(), Math.min(ttl, 60000)).unref();
+  }
+
+  /**
+   * Start `task({ signal, onProgress })` as a job. `onProgress` takes the
+   * `{ bytes, total }` or `{ percent }` reports of a client's `onProgress`
+   * option, scaled to `bytesTotal` when that is known up front; the task's
+   * return value becomes the job's result.
+   */
+  create({ type, owner, profile, bucketName, fileName, bytesTotal }, task) {
+    const job = {
+      id: `job_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      owner,
+      profile,
+      bucketName,
+      fileName,
+      state: "running",
+      bytesProcessed: 0,
+      bytesTotal: bytesTotal ?? null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+    };
+    this.jobs.set(job.id, job);
+
+    const onProgress = ({ bytes, total, percent }) => {
+      if (total !== undefined && total !== null) {
+        if (job.bytesTotal === null) {
+          job.bytesTotal = total;
+        } else if (bytes !== undefined && total > 0) {
+          // The client may count transferred (e.g. encrypted) bytes; keep
+          // reporting against the size the job was created with
+          bytes = Math.round((bytes / total) * job.bytesTotal);
+        }
+      }
+      if (bytes === undefined) {
+        if (percent === undefined || job.bytesTotal === null) {
+          return;
+        }
+        bytes = Math.round((percent / 100) * job.bytesTotal);
+      }
+      // Progress output may repeat or go backwards between phases
+      if (bytes > job.bytesProcessed) {
+        job.bytesProcessed = bytes;
+        job.events.emit("progress", {
+          bytesProcessed: job.bytesProcessed,
+          bytesTotal: job.bytesTotal,
+        });
+      }
+    };
+
+    Promise.resolve()
+      .then(() => task({ signal: job.controller.signal, onProgress }))
+      .then(
+        (result) => {
+          if (job.bytesTotal !== null) {
+            job.bytesProcessed = job.bytesTotal;
+          }
+          this.finish(job, "succeeded", { result });
+        },
+        (error) => {
+          const cancelled = job.controller.signal.aborted;
+          this.finish(job, cancelled ? "cancelled" : "failed", {
+            error: {
+              message: error.message,
+              code: error.code || "INTERNAL_ERROR",
+            },
+          });
+        }
+      );
+
+    return job;
+  }
+
+  finish(job, state, { result = null, error = null }) {
+    job.state = state;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.events.emit("state", this.describe(job));
+    job.events.removeAllListeners();
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter((job) => owner === undefined || job.owner === owner)
+      .map((job) => this.describe(job));
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  }
+
+  cancel(job) {
+    if (!this.isFinished(job)) {
+      job.controller.abort(abortError());
+    }
+  }
+
+  // Listen for "progress" and "state" events; returns an unsubscribe function
+  subscribe(job, listener) {
+    const onProgress = (data) => listener("progress", data);
+    const onState = (data) => listener("state", data);
+    job.events.on("progress", onProgress);
+    job.events.on("state", onState);
+    return () => {
+      job.events.off("progress", onProgress);
+      job.events.off("state", onState);
+    };
+  }
+
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      state: job.state,
+      bucketName: job.bucketName,
+      fileName: job.fileName,
+      bytesProcessed: job.bytesProcessed,
+      bytesTotal: job.bytesTotal,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  purgeExpired() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  JobManager,
+};
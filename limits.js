@@ -0,0 +1,392 @@
+const { AkaveError, ValidationError } = require("./errors");
+const { JsonFile } = require("./store");
+
+const PERIODS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const MB = 1024 * 1024;
+
+class RateLimitError extends AkaveError {
+  constructor(message, retryAfter) {
+    super(message, "RATE_LIMITED", 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 507 Insufficient Storage: the upload would exceed a storage quota
+class QuotaExceededError extends AkaveError {
+  constructor(message) {
+    super(message, "QUOTA_EXCEEDED", 507);
+  }
+}
+
+/**
+ * Parse rate limits as `name:count/period`, comma separated, where name is
+ * an operation id of the OpenAPI document or `*` for every request and the
+ * period is `s`, `m` or `h` (e.g. "*:600/m,uploadFile:30/m").
+ */
+function parseRateLimits(value) {
+  const rules = {};
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) {
+      continue;
+    }
+    const match = entry.trim().match(/^([\w*]+):(\d+)\/(\d*)([smh])$/);
+    if (!match) {
+      throw new Error(
+        `Invalid rate limit "${entry}", expected name:count/period such as uploadFile:30/m`
+      );
+    }
+    const [, name, limit, multiple, unit] = match;
+    rules[name] = {
+      limit: Number(limit),
+      window: Number(multiple || 1) * PERIODS[unit],
+    };
+  }
+  return rules;
+}
+
+/**
+ * Fixed-window request counters per caller: one window for all requests of
+ * a caller (the `*` rule) and one per limited operation. Counters live in
+ * memory, so limits apply per server instance.
+ */
+class RateLimiter {
+  constructor(rules = {}) {
+    this.rules = rules;
+    this.windows = new Map();
+    if (this.enabled) {
+      this.timer = setInterval(() => this.purgeExpired(), 60 * 1000);
+      this.timer.unref();
+    }
+  }
+
+  get enabled() {
+    return Object.keys(this.rules).length > 0;
+  }
+
+  /**
+   * Count a request of `caller` to `operation` against every matching rule.
+   * Returns the state of the rule closest to its limit, or throws
+   * RateLimitError without counting when any rule is exhausted.
+   */
+  consume(caller, operation) {
+    const now = Date.now();
+    const windows = ["*", operation]
+      .filter((name) => name && this.rules[name])
+      .map((name) => {
+        const { limit, window } = this.rules[name];
+        const key = `${caller}\n${name}`;
+        let current = this.windows.get(key);
+        if (!current || current.resetAt <= now) {
+          current = { count: 0, resetAt: now + window };
+          this.windows.set(key, current);
+        }
+        return { name, limit, current };
+      });
+
+    const exhausted = windows.find(
+      ({ limit, current }) => current.count >= limit
+    );
+    if (exhausted) {
+      const retryAfter = Math.ceil((exhausted.current.resetAt - now) / 1000);
+      throw new RateLimitError(
+        `Rate limit of ${exhausted.limit} requests exceeded${
+          exhausted.name === "*" ? "" : ` for ${exhausted.name}`
+        }, retry in ${retryAfter}s`,
+        retryAfter
+      );
+    }
+
+    let tightest = null;
+    for (const window of windows) {
+      window.current.count++;
+      const remaining = window.limit - window.current.count;
+      if (!tightest || remaining < tightest.remaining) {
+        tightest = {
+          limit: window.limit,
+          remaining,
+          reset: Math.ceil((window.current.resetAt - now) / 1000),
+        };
+      }
+    }
+    return tightest;
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+// Callers are API keys, or client addresses while the API is open
+function callerOf(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Middleware applying `limiter` to every request, labelled with the
+ * operation `resolveOperation(req)` returns. Responses carry RateLimit-*
+ * headers; rejected requests get 429 with Retry-After.
+ */
+function rateLimit(limiter, resolveOperation) {
+  return (req, res, next) => {
+    if (!limiter.enabled) {
+      return next();
+    }
+    try {
+      const state = limiter.consume(callerOf(req), resolveOperation(req));
+      if (state) {
+        res.setHeader("RateLimit-Limit", state.limit);
+        res.setHeader("RateLimit-Remaining", state.remaining);
+        res.setHeader("RateLimit-Reset", state.reset);
+      }
+      next();
+    } catch (error) {
+      // Drain the body of a rejected upload so the client sees the response
+      req.resume();
+      res.setHeader("Retry-After", error.retryAfter);
+      res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+  };
+}
+
+/**
+ * Validate a quota: { maxBytes, maxFiles }, each a non-negative integer or
+ * null for no limit.
+ */
+function parseQuota(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new ValidationError("quota must be an object");
+  }
+  const quota = {};
+  for (const field of ["maxBytes", "maxFiles"]) {
+    const limit = value[field];
+    if (limit === undefined || limit === null) {
+      quota[field] = null;
+    } else if (Number.isSafeInteger(limit) && limit >= 0) {
+      quota[field] = limit;
+    } else {
+      throw new ValidationError(
+        `quota.${field} must be a non-negative integer`
+      );
+    }
+  }
+  return quota;
+}
+
+// Quota from configured megabytes and file count; unset values mean no limit
+function quotaFromConfig(maxMb, maxFiles) {
+  if (!maxMb && !maxFiles) {
+    return null;
+  }
+  return {
+    maxBytes: maxMb ? Math.round(Number(maxMb) * MB) : null,
+    maxFiles: maxFiles ? parseInt(maxFiles, 10) : null,
+  };
+}
+
+// Per-bucket quotas as `bucket:maxMB:maxFiles`; an empty limit means none
+function parseBucketQuotas(value) {
+  const quotas = {};
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) {
+      continue;
+    }
+    const [bucketName, maxMb, maxFiles] = entry.trim().split(":");
+    quotas[bucketName] = quotaFromConfig(maxMb, maxFiles);
+  }
+  return quotas;
+}
+
+/**
+ * Storage used per caller and per bucket, kept as a ledger of the files
+ * uploaded through this server (size and uploader) in a local JSON file.
+ * Files stored by other means are not counted. Quotas are checked against
+ * the ledger before an upload starts.
+ */
+class UsageStore {
+  constructor(
+    filePath,
+    { callerQuota = null, bucketQuota = null, bucketQuotas = {} } = {}
+  ) {
+    this.callerQuota = callerQuota;
+    this.bucketQuota = bucketQuota;
+    this.bucketQuotas = bucketQuotas;
+    this.file = new JsonFile(filePath, { description: "storage usage" });
+    this.files = this.file.read({});
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  // Quota of an API key, falling back to the default for callers
+  quotaOf(apiKey) {
+    return (apiKey && apiKey.quota) || this.callerQuota;
+  }
+
+  quotaOfBucket(bucketName) {
+    return this.bucketQuotas[bucketName] || this.bucketQuota;
+  }
+
+  usage(matches) {
+    const usage = { bytes: 0, files: 0 };
+    for (const file of Object.values(this.files)) {
+      if (matches(file)) {
+        usage.bytes += file.size;
+        usage.files++;
+      }
+    }
+    return usage;
+  }
+
+  describeCaller(caller, apiKey) {
+    return {
+      caller,
+      ...this.usage((file) => file.caller === caller),
+      quota: this.quotaOf(apiKey),
+    };
+  }
+
+  describeBucket(profile, bucketName) {
+    return {
+      bucketName,
+      ...this.usage(
+        (file) => file.profile === profile && file.bucketName === bucketName
+      ),
+      quota: this.quotaOfBucket(bucketName),
+    };
+  }
+
+  // Usage of every caller and bucket, for administrators
+  summary() {
+    const callers = {};
+    const buckets = {};
+    for (const file of Object.values(this.files)) {
+      const caller = (callers[file.caller] ||= { bytes: 0, files: 0 });
+      const bucket = (buckets[`${file.profile}/${file.bucketName}`] ||= {
+        profile: file.profile,
+        bucketName: file.bucketName,
+        bytes: 0,
+        files: 0,
+      });
+      for (const entry of [caller, bucket]) {
+        entry.bytes += file.size;
+        entry.files++;
+      }
+    }
+    return {
+      callers: Object.entries(callers).map(([caller, usage]) => ({
+        caller,
+        ...usage,
+      })),
+      buckets: Object.values(buckets),
+    };
+  }
+
+  /**
+   * The caller's and the bucket's quota with their current usage, not
+   * counting a file of the same name as `fileName`, which an upload would
+   * replace.
+   */
+  quotasFor({ profile, bucketName, fileName, caller, apiKey }) {
+    const previous =
+      fileName !== undefined &&
+      this.files[this.key(profile, bucketName, fileName)];
+    const limits = [
+      [
+        "caller",
+        this.quotaOf(apiKey),
+        (file) => file.caller === caller,
+        previous && previous.caller === caller,
+      ],
+      [
+        `bucket ${bucketName}`,
+        this.quotaOfBucket(bucketName),
+        (file) => file.profile === profile && file.bucketName === bucketName,
+        Boolean(previous),
+      ],
+    ];
+
+    return limits
+      .filter(([, quota]) => quota)
+      .map(([scope, quota, matches, replaces]) => {
+        const usage = this.usage(matches);
+        return {
+          scope,
+          quota,
+          bytes: usage.bytes - (replaces ? previous.size : 0),
+          files: usage.files - (replaces ? 1 : 0),
+        };
+      });
+  }
+
+  /**
+   * Throw QuotaExceededError if storing `size` bytes as `fileName` would
+   * take the caller or the bucket over its quota. A file replacing one of
+   * the same name only counts the difference.
+   */
+  check({ size, ...target }) {
+    for (const { scope, quota, ...usage } of this.quotasFor(target)) {
+      const bytes = usage.bytes + size;
+      const files = usage.files + 1;
+      if (quota.maxBytes !== null && bytes > quota.maxBytes) {
+        throw new QuotaExceededError(
+          `Storage quota of the ${scope} exceeded: ${bytes} of ${quota.maxBytes} bytes`
+        );
+      }
+      if (quota.maxFiles !== null && files > quota.maxFiles) {
+        throw new QuotaExceededError(
+          `File quota of the ${scope} exceeded: ${files} of ${quota.maxFiles} files`
+        );
+      }
+    }
+  }
+
+  record({ profile, bucketName, fileName, size, caller }) {
+    this.files[this.key(profile, bucketName, fileName)] = {
+      profile,
+      bucketName,
+      fileName,
+      size,
+      caller,
+      createdAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  forget(profile, bucketName, fileName) {
+    const key = this.key(profile, bucketName, fileName);
+    if (key in this.files) {
+      delete this.files[key];
+      this.save();
+    }
+  }
+
+  save() {
+    return this.file.save(this.files);
+  }
+}
+
+module.exports = {
+  QuotaExceededError,
+  RateLimitError,
+  RateLimiter,
+  UsageStore,
+  callerOf,
+  parseBucketQuotas,
+  parseQuota,
+  parseRateLimits,
+  quotaFromConfig,
+  rateLimit,
+};
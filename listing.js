@@ -0,0 +1,186 @@
+const { ValidationError } = require("./errors");
+const { parseCliDate } = require("./utils");
+
+const MAX_LIMIT = 1000;
+
+// Sort keys of listed files and buckets. Encrypted files sort and filter by
+// their plaintext size.
+const FIELDS = {
+  name: (entry) => entry.Name,
+  size: (entry) =>
+    entry.Encryption
+      ? entry.Encryption.Size
+      : Number(entry.Size ?? entry.EncodedSize ?? 0),
+  created: (entry) => {
+    const date = parseCliDate(entry.CreatedAt || entry.Created);
+    return date ? date.getTime() : 0;
+  },
+};
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(token) {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, "base64url").toString());
+    if (Array.isArray(cursor.key) && cursor.key.length === 2) {
+      return cursor;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ValidationError("cursor is invalid");
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be an ISO 8601 date`);
+  }
+  return date.getTime();
+}
+
+function parseSize(value, name) {
+  const size = Number(value);
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw new ValidationError(`${name} must be a non-negative integer`);
+  }
+  return size;
+}
+
+/**
+ * Read the listing query parameters: `limit`, `cursor`, `prefix`,
+ * `createdAfter`, `createdBefore`, `sort` and `order`, plus `delimiter`,
+ * `minSize` and `maxSize` for file listings (`files: true`).
+ */
+function parseListOptions(query, { files = false } = {}) {
+  const options = {
+    limit: null,
+    cursor: null,
+    prefix: query.prefix || "",
+    delimiter: (files && query.delimiter) || "",
+    sort: query.sort || "name",
+    order: query.order || "asc",
+    filters: [],
+  };
+
+  const sortFields = files ? ["name", "size", "created"] : ["name", "created"];
+  if (!sortFields.includes(options.sort)) {
+    throw new ValidationError(`sort must be one of ${sortFields.join(", ")}`);
+  }
+  if (options.order !== "asc" && options.order !== "desc") {
+    throw new ValidationError("order must be asc or desc");
+  }
+  // Folders only have a name to sort by
+  if (options.delimiter && options.sort !== "name") {
+    throw new ValidationError("delimiter can only be used with sort=name");
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(
+        `limit must be an integer between 1 and ${MAX_LIMIT}`
+      );
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (
+      options.cursor.sort !== options.sort ||
+      options.cursor.order !== options.order
+    ) {
+      throw new ValidationError("cursor does not match the sort order");
+    }
+  }
+
+  if (query.createdAfter !== undefined) {
+    const after = parseDate(query.createdAfter, "createdAfter");
+    options.filters.push((entry) => FIELDS.created(entry) > after);
+  }
+  if (query.createdBefore !== undefined) {
+    const before = parseDate(query.createdBefore, "createdBefore");
+    options.filters.push((entry) => FIELDS.created(entry) < before);
+  }
+  if (files && query.minSize !== undefined) {
+    const min = parseSize(query.minSize, "minSize");
+    options.filters.push((entry) => FIELDS.size(entry) >= min);
+  }
+  if (files && query.maxSize !== undefined) {
+    const max = parseSize(query.maxSize, "maxSize");
+    options.filters.push((entry) => FIELDS.size(entry) <= max);
+  }
+
+  return options;
+}
+
+function compareKeys([value, name], [otherValue, otherName]) {
+  if (value !== otherValue) {
+    return value < otherValue ? -1 : 1;
+  }
+  if (name !== otherName) {
+    return name < otherName ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Filter, sort and page a listing. Entries are ordered by the sort field and
+ * then by name, and the cursor holds the last returned key rather than an
+ * offset, so pages stay stable while entries are added or removed. With a
+ * delimiter, names continuing past it below the prefix are rolled up into
+ * folder-like `prefixes`, which count towards the limit like entries do.
+ */
+function listPage(entries, options) {
+  const { prefix, delimiter, sort, order, limit, cursor } = options;
+  const keyOf = (entry) => [FIELDS[sort](entry), entry.Name];
+  const direction = order === "desc" ? -1 : 1;
+
+  const matching = entries.filter(
+    (entry) =>
+      entry.Name.startsWith(prefix) &&
+      options.filters.every((filter) => filter(entry))
+  );
+
+  let rows = matching.map((entry) => ({ entry, key: keyOf(entry) }));
+  if (delimiter) {
+    const folders = new Map();
+    rows = rows.filter(({ entry }) => {
+      const rest = entry.Name.substring(prefix.length);
+      const index = rest.indexOf(delimiter);
+      if (index === -1) {
+        return true;
+      }
+      const folder = prefix + rest.substring(0, index + delimiter.length);
+      folders.set(folder, { folder, key: [folder, folder] });
+      return false;
+    });
+    rows.push(...folders.values());
+  }
+
+  rows.sort((a, b) => direction * compareKeys(a.key, b.key));
+  if (cursor) {
+    rows = rows.filter(
+      (row) => direction * compareKeys(row.key, cursor.key) > 0
+    );
+  }
+
+  const page = limit ? rows.slice(0, limit) : rows;
+  const hasMore = page.length < rows.length;
+  return {
+    items: page.filter((row) => row.entry).map((row) => row.entry),
+    prefixes: page.filter((row) => row.folder).map((row) => row.folder),
+    nextCursor: hasMore
+      ? encodeCursor({ sort, order, key: page[page.length - 1].key })
+      : null,
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  listPage,
+  parseListOptions,
+};
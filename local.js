@@ -0,0 +1,289 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { privateKeyToAccount } = require("viem/accounts");
+const {
+  AlreadyExistsError,
+  BucketNotEmptyError,
+  NotFoundError,
+  ValidationError,
+} = require("./errors");
+const { abortError } = require("./queue");
+const { formatCliDate } = require("./utils");
+
+const BUCKET_FILE = "bucket.json";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// CIDv1 (raw codec, sha2-256) of the content, like the RootCIDs Akave reports
+function contentCid(digest) {
+  const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]);
+  let bits = 0;
+  let value = 0;
+  let cid = "b";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      cid += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    cid += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return cid;
+}
+
+function checkName(name, kind) {
+  if (
+    typeof name !== "string" ||
+    !name ||
+    name === "." ||
+    name === ".." ||
+    /[/\\]/.test(name)
+  ) {
+    throw new ValidationError(`Invalid ${kind} name: ${name}`);
+  }
+}
+
+// Reports { bytes, total } as akavecli's parsed progress output does
+function reportProgress(total, onProgress) {
+  return async function* (source) {
+    let bytes = 0;
+    for await (const chunk of source) {
+      bytes += chunk.length;
+      if (onProgress) {
+        onProgress({ bytes, total });
+      }
+      yield chunk;
+    }
+  };
+}
+
+function checkSignal(signal) {
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+}
+
+/**
+ * Storage backend that keeps buckets and files on the local filesystem, for
+ * running the server without akavecli or a node. It follows the same
+ * interface, result shapes and errors as AkaveIPCClient.
+ *
+ * Layout: <root>/<bucket>/bucket.json, files/<name> and meta/<name>.json.
+ */
+class LocalBackend {
+  constructor(root, privateKey) {
+    this.root = root;
+    this.address = privateKey
+      ? privateKeyToAccount(
+          privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`
+        ).address
+      : null;
+  }
+
+  bucketDir(bucketName) {
+    checkName(bucketName, "bucket");
+    return path.join(this.root, bucketName);
+  }
+
+  async readJson(filePath, notFoundMessage) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new NotFoundError(notFoundMessage);
+      }
+      throw error;
+    }
+  }
+
+  async writeJson(filePath, value) {
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(value, null, 2));
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async readBucket(bucketName) {
+    return this.readJson(
+      path.join(this.bucketDir(bucketName), BUCKET_FILE),
+      `bucket not found: ${bucketName}`
+    );
+  }
+
+  async readFile(bucketName, fileName) {
+    checkName(fileName, "file");
+    await this.readBucket(bucketName);
+    return this.readJson(
+      path.join(this.bucketDir(bucketName), "meta", `${fileName}.json`),
+      `file not found: ${fileName}`
+    );
+  }
+
+  // Bucket Operations
+  async createBucket(bucketName, options = {}) {
+    checkSignal(options.signal);
+    const dir = this.bucketDir(bucketName);
+    await fs.mkdir(this.root, { recursive: true });
+    try {
+      await fs.mkdir(dir);
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        throw new AlreadyExistsError(`bucket already exists: ${bucketName}`);
+      }
+      throw error;
+    }
+
+    const bucket = { Name: bucketName, Created: formatCliDate(new Date()) };
+    await fs.mkdir(path.join(dir, "files"));
+    await fs.mkdir(path.join(dir, "meta"));
+    await this.writeJson(path.join(dir, BUCKET_FILE), bucket);
+    return bucket;
+  }
+
+  async deleteBucket(bucketName, options = {}) {
+    checkSignal(options.signal);
+    await this.readBucket(bucketName);
+    const dir = this.bucketDir(bucketName);
+    const files = await fs.readdir(path.join(dir, "meta"));
+    if (files.some((name) => name.endsWith(".json"))) {
+      throw new BucketNotEmptyError(`bucket is not empty: ${bucketName}`);
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+    return { Name: bucketName };
+  }
+
+  async viewBucket(bucketName, options = {}) {
+    checkSignal(options.signal);
+    return this.readBucket(bucketName);
+  }
+
+  async listBuckets(options = {}) {
+    checkSignal(options.signal);
+    let names;
+    try {
+      names = await fs.readdir(this.root);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const buckets = [];
+    for (const name of names.sort()) {
+      try {
+        buckets.push(await this.readBucket(name));
+      } catch (error) {
+        // Not a bucket directory; skip it
+      }
+    }
+    return buckets;
+  }
+
+  // File Operations
+  async listFiles(bucketName, options = {}) {
+    checkSignal(options.signal);
+    await this.readBucket(bucketName);
+    const metaDir = path.join(this.bucketDir(bucketName), "meta");
+    const files = [];
+    for (const name of (await fs.readdir(metaDir)).sort()) {
+      if (name.endsWith(".json")) {
+        files.push(JSON.parse(await fs.readFile(path.join(metaDir, name))));
+      }
+    }
+    return files;
+  }
+
+  async getFileInfo(bucketName, fileName, options = {}) {
+    checkSignal(options.signal);
+    return this.readFile(bucketName, fileName);
+  }
+
+  async uploadFile(bucketName, filePath, options = {}) {
+    checkSignal(options.signal);
+    await this.readBucket(bucketName);
+
+    // Like akavecli, the file is stored under its base name
+    const fileName = path.basename(filePath);
+    checkName(fileName, "file");
+    const dir = this.bucketDir(bucketName);
+    const metaPath = path.join(dir, "meta", `${fileName}.json`);
+    if (fsSync.existsSync(metaPath)) {
+      throw new AlreadyExistsError(`file already exists: ${fileName}`);
+    }
+
+    const hash = crypto.createHash("sha256");
+    const { size: total } = await fs.stat(filePath);
+    const target = path.join(dir, "files", fileName);
+    const staging = `${target}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    try {
+      await pipeline(
+        fsSync.createReadStream(filePath),
+        reportProgress(total, options.onProgress),
+        async function* (source) {
+          for await (const chunk of source) {
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fsSync.createWriteStream(staging),
+        { signal: options.signal }
+      );
+      await fs.rename(staging, target);
+    } catch (error) {
+      await fs.rm(staging, { force: true });
+      if (error.name === "AbortError") {
+        throw abortError();
+      }
+      throw error;
+    }
+
+    const { size } = await fs.stat(target);
+    const file = {
+      Name: fileName,
+      RootCID: contentCid(hash.digest()),
+      Size: String(size),
+      EncodedSize: String(size),
+      CreatedAt: formatCliDate(new Date()),
+    };
+    await this.writeJson(metaPath, file);
+    return { Name: file.Name, RootCID: file.RootCID, Size: file.Size };
+  }
+
+  async downloadFile(bucketName, fileName, destinationPath, options = {}) {
+    checkSignal(options.signal);
+    const file = await this.readFile(bucketName, fileName);
+    try {
+      await pipeline(
+        fsSync.createReadStream(
+          path.join(this.bucketDir(bucketName), "files", fileName)
+        ),
+        reportProgress(Number(file.Size), options.onProgress),
+        fsSync.createWriteStream(path.join(destinationPath, fileName)),
+        { signal: options.signal }
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw abortError();
+      }
+      throw error;
+    }
+    return `File downloaded successfully: Name=${fileName}`;
+  }
+
+  async deleteFile(bucketName, fileName, options = {}) {
+    checkSignal(options.signal);
+    await this.readFile(bucketName, fileName);
+    const dir = this.bucketDir(bucketName);
+    await fs.rm(path.join(dir, "meta", `${fileName}.json`), { force: true });
+    await fs.rm(path.join(dir, "files", fileName), { force: true });
+    return { Name: fileName };
+  }
+}
+
+module.exports = {
+  LocalBackend,
+};
@@ -1,39 +1,119 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
 const LOG_LEVELS = {
-  INFO: "INFO",
-  WARN: "WARN",
-  ERROR: "ERROR",
-  DEBUG: "DEBUG",
+  DEBUG: 10,
+  INFO: 20,
+  WARN: 30,
+  ERROR: 40,
 };
 
+const REDACTED = "[REDACTED]";
+// Detail keys whose values are never logged
+const SECRET_KEYS =
+  /^(private.?key|secret|password|token|authorization|api.?key|x-api-key|signature)$/i;
+// Secrets passed on the command line, e.g. akavecli's --private-key=<hex>
+const SECRET_ARGUMENTS = /(--private-key[= ])\S+/gi;
+
+// Per-request fields (requestId) added to every line logged while handling it
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+
+// LOG_LEVEL wins; otherwise DEBUG=false hides debug lines as it always did
+function minimumLevel() {
+  const configured = (process.env.LOG_LEVEL || "").toUpperCase();
+  if (LOG_LEVELS[configured]) {
+    return LOG_LEVELS[configured];
+  }
+  return process.env.DEBUG === "false" ? LOG_LEVELS.INFO : LOG_LEVELS.DEBUG;
+}
+
+function redactString(value) {
+  let result = value.replace(SECRET_ARGUMENTS, `$1${REDACTED}`);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redact({ message: value.message, code: value.code }, depth);
+  }
+  if (!value || typeof value !== "object" || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] =
+      SECRET_KEYS.test(key) && item ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
 function formatDate() {
   return new Date().toISOString();
 }
 
 function formatMessage(level, message, details = {}) {
   const timestamp = formatDate();
+  const fields = redact({ ...context.getStore(), ...details });
+
+  if (process.env.LOG_FORMAT === "json") {
+    return JSON.stringify({
+      timestamp,
+      level: level.toLowerCase(),
+      message: redactString(String(message)),
+      ...fields,
+    });
+  }
+
   const detailsStr =
-    Object.keys(details).length > 0 ? JSON.stringify(details) : "";
-  return `${timestamp} ${level.padEnd(5)} ${message}${
+    Object.keys(fields).length > 0 ? JSON.stringify(fields) : "";
+  return `${timestamp} ${level.padEnd(5)} ${redactString(String(message))}${
     detailsStr ? " " + detailsStr : ""
   }`;
 }
 
+function write(level, print, message, details) {
+  if (LOG_LEVELS[level] >= minimumLevel()) {
+    print(formatMessage(level, message, details));
+  }
+}
+
 const logger = {
   info: (message, details) => {
-    console.log(formatMessage(LOG_LEVELS.INFO, message, details));
+    write("INFO", console.log, message, details);
   },
 
   warn: (message, details) => {
-    console.warn(formatMessage(LOG_LEVELS.WARN, message, details));
+    write("WARN", console.warn, message, details);
   },
 
   error: (message, details) => {
-    console.error(formatMessage(LOG_LEVELS.ERROR, message, details));
+    write("ERROR", console.error, message, details);
   },
 
   debug: (message, details) => {
-    if (process.env.DEBUG !== "false") {
-      console.debug(formatMessage(LOG_LEVELS.DEBUG, message, details));
+    write("DEBUG", console.debug, message, details);
+  },
+
+  // Run `fn` with `fields` attached to every line it logs, across awaits
+  withContext: (fields, fn) =>
+    context.run({ ...context.getStore(), ...fields }, fn),
+
+  // Fields of the request being handled, e.g. { requestId }
+  context: () => context.getStore() || {},
+
+  // Replace every occurrence of `value` in later log lines
+  addSecret: (value) => {
+    if (value) {
+      secrets.add(String(value));
     }
   },
 };
@@ -0,0 +1,226 @@
+const { ValidationError } = require("./errors");
+const { JsonFile } = require("./store");
+
+const MAX_TAGS = 50;
+const MAX_KEYS = 50;
+const MAX_NAME_LENGTH = 128;
+const MAX_VALUE_LENGTH = 1024;
+
+function checkString(value, name, maxLength) {
+  if (typeof value !== "string" || value.length > maxLength) {
+    throw new ValidationError(
+      `${name} must be a string of at most ${maxLength} characters`
+    );
+  }
+  return value;
+}
+
+// Multipart forms carry every field as a string
+function parseJsonField(value, name) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new ValidationError(`${name} must be valid JSON`);
+  }
+}
+
+function parseTags(value) {
+  const tags =
+    typeof value === "string" && !value.trim().startsWith("[")
+      ? value.split(",")
+      : parseJsonField(value, "tags");
+  if (!Array.isArray(tags)) {
+    throw new ValidationError("tags must be an array of strings");
+  }
+  const unique = [
+    ...new Set(
+      tags.map((tag) => checkString(tag, "tag", MAX_NAME_LENGTH).trim())
+    ),
+  ].filter(Boolean);
+  if (unique.length > MAX_TAGS) {
+    throw new ValidationError(`At most ${MAX_TAGS} tags are allowed`);
+  }
+  return unique;
+}
+
+// Custom key/values; null values are kept so a merge can delete the key
+function parseCustom(value) {
+  const custom = parseJsonField(value, "metadata");
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw new ValidationError("metadata must be an object of string values");
+  }
+  const entries = Object.entries(custom);
+  if (entries.length > MAX_KEYS) {
+    throw new ValidationError(`At most ${MAX_KEYS} metadata keys are allowed`);
+  }
+  for (const [key, item] of entries) {
+    checkString(key, "metadata key", MAX_NAME_LENGTH);
+    if (item !== null) {
+      checkString(item, `metadata.${key}`, MAX_VALUE_LENGTH);
+    }
+  }
+  return custom;
+}
+
+/**
+ * User metadata of files: a content type, an owner, tags and custom string
+ * key/values. akavecli has nowhere to keep these, so they are stored in a
+ * local JSON file keyed by profile, bucket and file name. A record remembers
+ * the root CID of the file it was attached to and is ignored once that no
+ * longer matches, so metadata never carries over to a different file
+ * uploaded under the same name.
+ */
+class MetadataStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, { description: "file metadata" });
+    this.records = this.file.read({});
+  }
+
+  /**
+   * Read `contentType`, `owner`, `tags` and `metadata` from a JSON body or
+   * multipart form fields, where tags may also be comma separated and
+   * metadata a JSON string. Only the fields present are returned.
+   */
+  static parse(input = {}) {
+    const fields = {};
+    if (input.contentType !== undefined) {
+      fields.contentType = checkString(
+        input.contentType,
+        "contentType",
+        MAX_NAME_LENGTH
+      );
+    }
+    if (input.owner !== undefined) {
+      fields.owner = checkString(input.owner, "owner", MAX_NAME_LENGTH);
+    }
+    if (input.tags !== undefined) {
+      fields.tags = parseTags(input.tags);
+    }
+    if (input.metadata !== undefined) {
+      fields.custom = parseCustom(input.metadata);
+    }
+    return fields;
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  get(profile, bucketName, info) {
+    const record = this.records[this.key(profile, bucketName, info.Name)];
+    if (!record || (info.RootCID && record.rootCid !== info.RootCID)) {
+      return null;
+    }
+    return record;
+  }
+
+  describe(profile, bucketName, info) {
+    const record = this.get(profile, bucketName, info);
+    return record && this.format(record);
+  }
+
+  format(record) {
+    return {
+      ContentType: record.contentType,
+      Owner: record.owner,
+      Tags: record.tags,
+      Custom: record.custom,
+      UpdatedAt: record.updatedAt,
+    };
+  }
+
+  /**
+   * Attach parsed fields to a file. With `merge`, fields that are not given
+   * are kept and custom keys set to null are removed; otherwise the record
+   * is replaced.
+   */
+  set(profile, bucketName, info, fields, { merge = false } = {}) {
+    const current = (merge && this.get(profile, bucketName, info)) || {
+      contentType: null,
+      owner: null,
+      tags: [],
+      custom: {},
+    };
+    const custom = { ...(merge ? current.custom : {}), ...fields.custom };
+    for (const [key, value] of Object.entries(custom)) {
+      if (value === null) {
+        delete custom[key];
+      }
+    }
+    if (Object.keys(custom).length > MAX_KEYS) {
+      throw new ValidationError(
+        `At most ${MAX_KEYS} metadata keys are allowed`
+      );
+    }
+
+    const record = {
+      profile,
+      bucketName,
+      fileName: info.Name,
+      rootCid: info.RootCID || null,
+      contentType:
+        fields.contentType !== undefined
+          ? fields.contentType
+          : current.contentType,
+      owner: fields.owner !== undefined ? fields.owner : current.owner,
+      tags: fields.tags !== undefined ? fields.tags : current.tags,
+      custom,
+      updatedAt: new Date().toISOString(),
+    };
+    this.records[this.key(profile, bucketName, info.Name)] = record;
+    this.save();
+    return record;
+  }
+
+  forget(profile, bucketName, fileName) {
+    const key = this.key(profile, bucketName, fileName);
+    if (key in this.records) {
+      delete this.records[key];
+      this.save();
+    }
+  }
+
+  /**
+   * Records of a profile matching every given criterion: all `tags`, the
+   * `owner`, the `contentType` ("image/*" matches any image type) and every
+   * `custom` key/value. `canAccess(bucketName)` limits the buckets searched.
+   */
+  search(
+    profile,
+    { tags = [], owner, contentType, custom = {}, canAccess = () => true }
+  ) {
+    const typeMatches = (value) =>
+      contentType.endsWith("/*")
+        ? (value || "").startsWith(contentType.slice(0, -1))
+        : value === contentType;
+
+    return Object.values(this.records)
+      .filter(
+        (record) =>
+          record.profile === profile &&
+          canAccess(record.bucketName) &&
+          tags.every((tag) => record.tags.includes(tag)) &&
+          (owner === undefined || record.owner === owner) &&
+          (contentType === undefined || typeMatches(record.contentType)) &&
+          Object.entries(custom).every(
+            ([key, value]) => record.custom[key] === value
+          )
+      )
+      .sort(
+        (a, b) =>
+          a.bucketName.localeCompare(b.bucketName) ||
+          a.fileName.localeCompare(b.fileName)
+      );
+  }
+
+  save() {
+    return this.file.save(this.records);
+  }
+}
+
+module.exports = {
+  MetadataStore,
+};
@@ -0,0 +1,285 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+/**
+ * Base of the metric types: a name, help text and one series per
+ * combination of label values. `collect`, when given, runs before every
+ * scrape to refresh values that are read rather than counted.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  // Series of a label set, created with `initial()` on first use
+  get(labels, initial) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] === undefined ? "" : labels[name];
+    }
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...initial() });
+    }
+    return this.series.get(key);
+  }
+
+  lines() {
+    return [...this.series.values()].map(
+      (series) =>
+        `${this.name}${formatLabels(series.labels)} ${formatValue(
+          series.value
+        )}`
+    );
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.lines(),
+    ].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.get(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  set(labels, value) {
+    this.get(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.get(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; the returned function records the elapsed seconds under
+   * the starting labels merged with any it is given.
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({
+            ...series.labels,
+            le: formatValue(bound),
+          })} ${series.counts[index]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({
+          ...series.labels,
+          le: "+Inf",
+        })} ${series.count}`,
+        `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+      );
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered in the Prometheus text exposition format.
+ * Modules register their metrics on the shared `registry` when loaded.
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  async render() {
+    const metrics = [...this.metrics.values()];
+    await Promise.all(
+      metrics
+        .filter((metric) => metric.collect)
+        .map((metric) => metric.collect())
+    );
+    return metrics.map((metric) => metric.render()).join("\n") + "\n";
+  }
+}
+
+const registry = new Registry();
+
+registry.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes.",
+  collect() {
+    this.set({}, process.memoryUsage().rss);
+  },
+});
+
+registry
+  .gauge({
+    name: "process_start_time_seconds",
+    help: "Start time of the process since unix epoch in seconds.",
+  })
+  .set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+const httpRequests = registry.histogram({
+  name: "akavelink_http_request_duration_seconds",
+  help: "Duration of HTTP requests by method, route and status code.",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+});
+
+/**
+ * Middleware timing every request. Requests are labelled with the route
+ * pattern that handled them (e.g. /buckets/:bucketName), or `res.locals.route`
+ * for handlers outside the router such as the S3 gateway, so bucket and file
+ * names never become label values.
+ */
+function requestMetrics() {
+  return (req, res, next) => {
+    const end = httpRequests.startTimer({ method: req.method });
+    res.on("finish", () => {
+      end({
+        route:
+          res.locals.route ||
+          (req.route ? req.baseUrl + req.route.path : "unmatched"),
+        status: res.statusCode,
+      });
+    });
+    next();
+  };
+}
+
+// Total size of the files below `dir`; missing directories count as empty
+async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory()) {
+        total += await directorySize(entryPath);
+      } else if (entry.isFile()) {
+        total += (await fs.stat(entryPath)).size;
+      }
+    } catch (error) {
+      // Temporary files disappear while they are being measured
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+  return total;
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  directorySize,
+  registry,
+  requestMetrics,
+};
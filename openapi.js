@@ -0,0 +1,1303 @@
+const { version } = require("./package.json");
+const { PERMISSIONS } = require("./auth");
+const { MAX_LIMIT } = require("./listing");
+const { EVENT_TYPES } = require("./webhooks");
+
+// Reusable schemas, referenced as { $ref: "#/components/schemas/<Name>" }
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      error: { type: "string" },
+      code: { type: "string" },
+      details: {
+        type: "array",
+        items: { $ref: "#/components/schemas/FieldError" },
+      },
+    },
+  },
+  FieldError: {
+    type: "object",
+    required: ["field", "message"],
+    properties: {
+      field: { type: "string", example: "body.bucketName" },
+      message: { type: "string", example: "is required" },
+    },
+  },
+  Bucket: {
+    type: "object",
+    required: ["Name"],
+    properties: {
+      Name: { type: "string" },
+      Created: { type: "string" },
+    },
+  },
+  // Fields as printed by akavecli; sizes are strings
+  File: {
+    type: "object",
+    required: ["Name"],
+    properties: {
+      Name: { type: "string" },
+      RootCID: { type: "string" },
+      Size: { type: "string" },
+      EncodedSize: { type: "string" },
+      CreatedAt: { type: "string" },
+      AliasOf: { type: "string", description: "Stored file it shares" },
+      Deduplicated: { type: "boolean" },
+      VersionId: { type: "string", description: "In versioned buckets" },
+      Encryption: { $ref: "#/components/schemas/Encryption" },
+      Checksum: { $ref: "#/components/schemas/Checksum" },
+      Metadata: { $ref: "#/components/schemas/FileMetadata" },
+    },
+  },
+  Encryption: {
+    type: "object",
+    properties: {
+      Algorithm: { type: "string" },
+      KeyId: { type: "string" },
+      Size: { type: "integer" },
+    },
+  },
+  // Hex digests of the plaintext, recorded on upload
+  Checksum: {
+    type: "object",
+    properties: {
+      SHA256: { type: "string" },
+      CRC32C: { type: "string" },
+      Size: { type: "integer" },
+    },
+  },
+  Verification: {
+    type: "object",
+    required: ["fileName", "verified"],
+    properties: {
+      fileName: { type: "string" },
+      verified: { type: "boolean" },
+      expected: { $ref: "#/components/schemas/Checksum" },
+      actual: { $ref: "#/components/schemas/Checksum" },
+    },
+  },
+  FileMetadata: {
+    type: "object",
+    properties: {
+      ContentType: { type: ["string", "null"] },
+      Owner: { type: ["string", "null"] },
+      Tags: { type: "array", items: { type: "string" } },
+      Custom: { type: "object", additionalProperties: { type: "string" } },
+      UpdatedAt: { type: "string" },
+    },
+  },
+  MetadataInput: {
+    type: "object",
+    properties: {
+      contentType: { type: "string", maxLength: 128 },
+      owner: { type: "string", maxLength: 128 },
+      tags: {
+        type: ["array", "string"],
+        items: { type: "string", maxLength: 128 },
+        maxItems: 50,
+      },
+      metadata: {
+        type: ["object", "string"],
+        additionalProperties: { type: ["string", "null"], maxLength: 1024 },
+      },
+    },
+  },
+  Pagination: {
+    type: "object",
+    properties: { nextCursor: { type: ["string", "null"] } },
+  },
+  DeleteResults: {
+    type: "object",
+    properties: {
+      deleted: { type: "integer" },
+      failed: { type: "integer" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["fileName", "success"],
+          properties: {
+            fileName: { type: "string" },
+            success: { type: "boolean" },
+            error: { type: "string" },
+            code: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  Upload: {
+    type: "object",
+    properties: {
+      uploadId: { type: "string" },
+      bucketName: { type: "string" },
+      fileName: { type: "string" },
+      size: { type: "integer" },
+      offset: { type: "integer" },
+      complete: { type: "boolean" },
+      createdAt: { type: "string" },
+      updatedAt: { type: "string" },
+    },
+  },
+  Job: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      type: { type: "string", enum: ["upload", "download", "verify"] },
+      state: {
+        type: "string",
+        enum: ["running", "succeeded", "failed", "cancelled"],
+      },
+      bucketName: { type: "string" },
+      fileName: { type: "string" },
+      bytesProcessed: { type: "integer" },
+      bytesTotal: { type: ["integer", "null"] },
+      result: { type: ["object", "null"] },
+      error: {
+        type: ["object", "null"],
+        properties: {
+          message: { type: "string" },
+          code: { type: "string" },
+        },
+      },
+      createdAt: { type: "string" },
+      finishedAt: { type: ["string", "null"] },
+    },
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      key: { type: "string", description: "Only returned on creation" },
+      buckets: { type: "array", items: { type: "string" } },
+      permissions: { type: "array", items: { type: "string" } },
+      profiles: { type: "array", items: { type: "string" } },
+      quota: { type: ["object", "null"] },
+      createdAt: { type: "string" },
+    },
+  },
+  Quota: {
+    type: "object",
+    properties: {
+      maxBytes: { type: ["integer", "null"], minimum: 0 },
+      maxFiles: { type: ["integer", "null"], minimum: 0 },
+    },
+  },
+  Usage: {
+    type: "object",
+    properties: {
+      caller: { type: "string" },
+      bucketName: { type: "string" },
+      bytes: { type: "integer" },
+      files: { type: "integer" },
+      quota: { type: ["object", "null"] },
+    },
+  },
+  DedupStats: {
+    type: "object",
+    properties: {
+      bucketName: { type: "string" },
+      enabled: { type: "boolean" },
+      uploads: { type: "integer" },
+      deduplicated: { type: "integer" },
+      bytesUploaded: { type: "integer" },
+      bytesSaved: { type: "integer" },
+      aliases: { type: "integer" },
+    },
+  },
+  FileVersion: {
+    type: "object",
+    properties: {
+      Name: { type: "string" },
+      VersionId: { type: ["string", "null"] },
+      IsLatest: { type: "boolean" },
+      DeleteMarker: { type: "boolean" },
+      RootCID: { type: "string" },
+      Size: { type: "integer" },
+      CreatedAt: { type: "string" },
+      RestoredAt: { type: "string" },
+    },
+  },
+  Profile: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      nodeAddress: { type: ["string", "null"] },
+      address: { type: ["string", "null"] },
+      default: { type: "boolean" },
+    },
+  },
+  CacheStats: {
+    type: "object",
+    properties: {
+      entries: { type: "integer" },
+      bytes: { type: "integer" },
+      maxBytes: { type: "integer" },
+      maxAge: { type: "integer" },
+      inflight: { type: "integer" },
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      profile: { type: "string" },
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string" } },
+      buckets: { type: "array", items: { type: "string" } },
+      description: { type: "string" },
+      secret: { type: "string", description: "Only returned on creation" },
+      createdAt: { type: "string" },
+    },
+  },
+  Delivery: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      subscriptionId: { type: "string" },
+      event: {
+        type: "object",
+        properties: { id: { type: "string" }, type: { type: "string" } },
+      },
+      status: { type: "string", enum: ["pending", "delivered", "failed"] },
+      attempts: { type: "integer" },
+      nextAttemptAt: { type: "string" },
+      responseStatus: { type: ["integer", "null"] },
+      lastError: { type: ["string", "null"] },
+      createdAt: { type: "string" },
+      updatedAt: { type: "string" },
+    },
+  },
+  Presigned: {
+    type: "object",
+    properties: {
+      operation: { type: "string", enum: ["download", "upload"] },
+      method: { type: "string" },
+      url: { type: "string" },
+      expiresAt: { type: "string" },
+    },
+  },
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (name) => ({ type: "array", items: ref(name) });
+const name = { type: "string", minLength: 1, maxLength: 255 };
+const bucketParams = { bucketName: name };
+const fileParams = { bucketName: name, fileName: name };
+const listQuery = {
+  limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+  cursor: { type: "string" },
+  prefix: { type: "string" },
+  createdAfter: { type: "string", format: "date-time" },
+  createdBefore: { type: "string", format: "date-time" },
+  order: { type: "string", enum: ["asc", "desc"] },
+};
+const versionQuery = {
+  versionId: { type: "string", description: "A version other than the latest" },
+};
+const asyncQuery = {
+  async: {
+    type: "boolean",
+    description: "Run as a background job (or send Prefer: respond-async)",
+  },
+};
+
+const uploadQuery = {
+  ...asyncQuery,
+  dedup: {
+    type: "boolean",
+    description: "Deduplicate against the bucket (default from DEDUP_BUCKETS)",
+  },
+};
+
+// Digests of the uploaded file; a mismatch rejects the upload
+const digestHeaders = {
+  "content-md5": { type: "string", description: "Base64 MD5 of the file" },
+  digest: { type: "string", description: "e.g. sha-256=<base64>" },
+  "repr-digest": { type: "string", description: "e.g. sha-256=:<base64>:" },
+};
+
+/**
+ * Every JSON route: its parameters, request body and success responses.
+ * `validateRequest(operationId)` checks requests against these and the
+ * OpenAPI document served at /openapi.json is generated from them. Response
+ * schemas describe `data` inside the { success, data } envelope unless `raw`
+ * is set.
+ */
+const ROUTES = [
+  {
+    method: "get",
+    path: "/health",
+    operationId: "getHealth",
+    tag: "Server",
+    summary: "Health check and command queue depth",
+    public: true,
+    responses: { 200: { raw: true, schema: { type: "object" } } },
+  },
+  {
+    method: "get",
+    path: "/admin/keys",
+    operationId: "listApiKeys",
+    tag: "Administration",
+    summary: "List API keys",
+    responses: { 200: { schema: listOf("ApiKey") } },
+  },
+  {
+    method: "post",
+    path: "/admin/keys",
+    operationId: "createApiKey",
+    tag: "Administration",
+    summary: "Create an API key",
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", maxLength: 128 },
+        buckets: { type: "array", items: name },
+        permissions: {
+          type: "array",
+          items: { type: "string", enum: PERMISSIONS },
+        },
+        profiles: { type: "array", items: name },
+        quota: {
+          type: "object",
+          additionalProperties: false,
+          properties: SCHEMAS.Quota.properties,
+        },
+      },
+    },
+    responses: { 201: { schema: ref("ApiKey") } },
+  },
+  {
+    method: "delete",
+    path: "/admin/keys/:id",
+    operationId: "deleteApiKey",
+    tag: "Administration",
+    summary: "Delete an API key",
+    params: { id: name },
+    responses: {
+      200: {
+        schema: { type: "object", properties: { id: { type: "string" } } },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/admin/profiles",
+    operationId: "listProfiles",
+    tag: "Administration",
+    summary: "List wallet profiles",
+    responses: { 200: { schema: listOf("Profile") } },
+  },
+  {
+    method: "get",
+    path: "/admin/cache",
+    operationId: "getCacheStats",
+    tag: "Administration",
+    summary: "Download cache statistics",
+    responses: { 200: { schema: ref("CacheStats") } },
+  },
+  {
+    method: "delete",
+    path: "/admin/cache",
+    operationId: "clearCache",
+    tag: "Administration",
+    summary: "Empty the download cache",
+    responses: { 200: { schema: ref("CacheStats") } },
+  },
+  {
+    method: "get",
+    path: "/webhooks",
+    operationId: "listWebhooks",
+    tag: "Webhooks",
+    summary: "List webhook subscriptions",
+    responses: { 200: { schema: listOf("Webhook") } },
+  },
+  {
+    method: "post",
+    path: "/webhooks",
+    operationId: "createWebhook",
+    tag: "Webhooks",
+    summary: "Subscribe to events",
+    body: {
+      type: "object",
+      required: ["url"],
+      additionalProperties: false,
+      properties: {
+        url: { type: "string", format: "uri" },
+        events: {
+          type: "array",
+          items: { type: "string", enum: ["*", ...EVENT_TYPES] },
+        },
+        buckets: { type: "array", items: name },
+        secret: { type: "string", minLength: 1 },
+        description: { type: "string", maxLength: 256 },
+      },
+    },
+    responses: { 201: { schema: ref("Webhook") } },
+  },
+  {
+    method: "delete",
+    path: "/webhooks/:id",
+    operationId: "deleteWebhook",
+    tag: "Webhooks",
+    summary: "Delete a webhook subscription",
+    params: { id: name },
+    responses: {
+      200: {
+        schema: { type: "object", properties: { id: { type: "string" } } },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/webhooks/:id/deliveries",
+    operationId: "listWebhookDeliveries",
+    tag: "Webhooks",
+    summary: "Recent deliveries of a subscription",
+    params: { id: name },
+    query: { limit: { type: "integer", minimum: 1, maximum: 100 } },
+    responses: { 200: { schema: listOf("Delivery") } },
+  },
+  {
+    method: "post",
+    path: "/buckets",
+    operationId: "createBucket",
+    tag: "Buckets",
+    summary: "Create a bucket",
+    body: {
+      type: "object",
+      required: ["bucketName"],
+      additionalProperties: false,
+      properties: { bucketName: name },
+    },
+    responses: { 200: { schema: ref("Bucket") } },
+  },
+  {
+    method: "get",
+    path: "/buckets",
+    operationId: "listBuckets",
+    tag: "Buckets",
+    summary: "List buckets",
+    query: {
+      ...listQuery,
+      sort: { type: "string", enum: ["name", "created"] },
+    },
+    responses: {
+      200: {
+        raw: true,
+        schema: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            data: listOf("Bucket"),
+            pagination: ref("Pagination"),
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName",
+    operationId: "getBucket",
+    tag: "Buckets",
+    summary: "View a bucket",
+    params: bucketParams,
+    responses: { 200: { schema: ref("Bucket") } },
+  },
+  {
+    method: "delete",
+    path: "/buckets/:bucketName",
+    operationId: "deleteBucket",
+    tag: "Buckets",
+    summary: "Delete a bucket",
+    params: bucketParams,
+    query: {
+      force: { type: "boolean", description: "Delete every file first" },
+    },
+    responses: { 200: { schema: ref("Bucket") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/files",
+    operationId: "listFiles",
+    tag: "Files",
+    summary: "List files",
+    params: bucketParams,
+    query: {
+      ...listQuery,
+      delimiter: { type: "string", minLength: 1 },
+      minSize: { type: "integer", minimum: 0 },
+      maxSize: { type: "integer", minimum: 0 },
+      sort: { type: "string", enum: ["name", "size", "created"] },
+    },
+    responses: {
+      200: {
+        raw: true,
+        schema: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            data: listOf("File"),
+            prefixes: { type: "array", items: { type: "string" } },
+            pagination: ref("Pagination"),
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/files",
+    operationId: "uploadFile",
+    tag: "Files",
+    summary: "Upload a file",
+    params: bucketParams,
+    query: uploadQuery,
+    headers: digestHeaders,
+    contentType: "multipart/form-data",
+    body: {
+      type: "object",
+      properties: {
+        file: { type: "string", format: "binary" },
+        filePath: { type: "string", minLength: 1 },
+        ...SCHEMAS.MetadataInput.properties,
+      },
+    },
+    responses: { 200: { schema: ref("File") }, 202: { schema: ref("Job") } },
+  },
+  {
+    method: "delete",
+    path: "/buckets/:bucketName/files",
+    operationId: "deleteFiles",
+    tag: "Files",
+    summary: "Delete files by name or prefix",
+    params: bucketParams,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        fileNames: { type: "array", items: name, minItems: 1 },
+        prefix: { type: "string", minLength: 1 },
+      },
+    },
+    responses: { 200: { schema: ref("DeleteResults") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/files/:fileName",
+    operationId: "getFileInfo",
+    tag: "Files",
+    summary: "Get file info",
+    params: fileParams,
+    query: versionQuery,
+    responses: { 200: { schema: ref("File") } },
+  },
+  {
+    method: "delete",
+    path: "/buckets/:bucketName/files/:fileName",
+    operationId: "deleteFile",
+    tag: "Files",
+    summary: "Delete a file",
+    params: fileParams,
+    responses: { 200: { schema: ref("File") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/files/:fileName/download",
+    operationId: "downloadFile",
+    tag: "Files",
+    summary: "Download a file (HEAD returns its headers only)",
+    params: fileParams,
+    query: {
+      ...asyncQuery,
+      ...versionQuery,
+      disposition: {
+        type: "string",
+        enum: ["attachment", "inline"],
+        description: "Content-Disposition type, attachment by default",
+      },
+    },
+    headers: {
+      range: { type: "string" },
+      "if-range": { type: "string" },
+      "if-none-match": { type: "string" },
+      "if-modified-since": { type: "string" },
+    },
+    responses: {
+      200: { binary: true },
+      206: { binary: true },
+      202: { schema: ref("Job") },
+      304: { empty: true },
+    },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/files/:fileName/versions",
+    operationId: "listFileVersions",
+    tag: "Files",
+    summary: "List the versions of a file, newest first",
+    params: fileParams,
+    responses: { 200: { schema: listOf("FileVersion") } },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/files/:fileName/versions/:versionId/restore",
+    operationId: "restoreFileVersion",
+    tag: "Files",
+    summary: "Make an earlier version of a file current again",
+    params: { ...fileParams, versionId: name },
+    responses: { 200: { schema: ref("FileVersion") } },
+  },
+  {
+    method: "delete",
+    path: "/buckets/:bucketName/files/:fileName/versions/:versionId",
+    operationId: "deleteFileVersion",
+    tag: "Files",
+    summary: "Permanently delete one version of a file",
+    params: { ...fileParams, versionId: name },
+    responses: { 200: { schema: ref("FileVersion") } },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/files/:fileName/verify",
+    operationId: "verifyFile",
+    tag: "Files",
+    summary: "Download a file again and check its recorded checksum",
+    params: fileParams,
+    query: { ...asyncQuery, ...versionQuery },
+    responses: {
+      200: { schema: ref("Verification") },
+      202: { schema: ref("Job") },
+    },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/files/:fileName/presign",
+    operationId: "presignFile",
+    tag: "Files",
+    summary: "Create a presigned download or upload URL",
+    params: fileParams,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        operation: { type: "string", enum: ["download", "upload"] },
+        expiresIn: { type: "integer", minimum: 1, maximum: 604800 },
+        maxSize: { type: "integer", minimum: 1 },
+      },
+    },
+    responses: { 200: { schema: ref("Presigned") } },
+  },
+  {
+    method: "put",
+    path: "/buckets/:bucketName/files/:fileName/metadata",
+    operationId: "replaceFileMetadata",
+    tag: "Files",
+    summary: "Replace a file's metadata",
+    params: fileParams,
+    body: { ...SCHEMAS.MetadataInput, additionalProperties: false },
+    responses: { 200: { schema: ref("FileMetadata") } },
+  },
+  {
+    method: "patch",
+    path: "/buckets/:bucketName/files/:fileName/metadata",
+    operationId: "updateFileMetadata",
+    tag: "Files",
+    summary: "Merge into a file's metadata",
+    params: fileParams,
+    body: { ...SCHEMAS.MetadataInput, additionalProperties: false },
+    responses: { 200: { schema: ref("FileMetadata") } },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/uploads",
+    operationId: "createUpload",
+    tag: "Resumable Uploads",
+    summary: "Start a resumable upload",
+    params: bucketParams,
+    body: {
+      type: "object",
+      required: ["fileName", "size"],
+      properties: {
+        fileName: name,
+        size: { type: "integer", minimum: 0 },
+        ...SCHEMAS.MetadataInput.properties,
+      },
+    },
+    responses: { 201: { schema: ref("Upload") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/uploads/:uploadId",
+    operationId: "getUpload",
+    tag: "Resumable Uploads",
+    summary: "Get the status of a resumable upload",
+    params: { bucketName: name, uploadId: name },
+    responses: { 200: { schema: ref("Upload") } },
+  },
+  {
+    method: "patch",
+    path: "/buckets/:bucketName/uploads/:uploadId",
+    operationId: "appendUpload",
+    tag: "Resumable Uploads",
+    summary: "Append a chunk",
+    params: { bucketName: name, uploadId: name },
+    headers: {
+      "upload-offset": { type: "integer", minimum: 0, required: true },
+    },
+    contentType: "application/offset+octet-stream",
+    responses: { 200: { schema: ref("Upload") } },
+  },
+  {
+    method: "post",
+    path: "/buckets/:bucketName/uploads/:uploadId/complete",
+    operationId: "completeUpload",
+    tag: "Resumable Uploads",
+    summary: "Upload the assembled file",
+    params: { bucketName: name, uploadId: name },
+    query: uploadQuery,
+    headers: digestHeaders,
+    responses: { 200: { schema: ref("File") }, 202: { schema: ref("Job") } },
+  },
+  {
+    method: "delete",
+    path: "/buckets/:bucketName/uploads/:uploadId",
+    operationId: "cancelUpload",
+    tag: "Resumable Uploads",
+    summary: "Discard a resumable upload",
+    params: { bucketName: name, uploadId: name },
+    responses: {
+      200: {
+        schema: {
+          type: "object",
+          properties: { uploadId: { type: "string" } },
+        },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/search",
+    operationId: "searchFiles",
+    tag: "Files",
+    summary: "Find files by tag, owner, content type or metadata",
+    query: {
+      tag: { type: ["string", "array"], items: { type: "string" } },
+      owner: { type: "string" },
+      contentType: { type: "string" },
+      bucket: name,
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+    },
+    responses: {
+      200: {
+        raw: true,
+        schema: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            data: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  bucketName: { type: "string" },
+                  fileName: { type: "string" },
+                  Metadata: ref("FileMetadata"),
+                },
+              },
+            },
+            total: { type: "integer" },
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "get",
+    path: "/jobs",
+    operationId: "listJobs",
+    tag: "Jobs",
+    summary: "List background jobs",
+    responses: { 200: { schema: listOf("Job") } },
+  },
+  {
+    method: "get",
+    path: "/jobs/:jobId",
+    operationId: "getJob",
+    tag: "Jobs",
+    summary: "Get a background job",
+    params: { jobId: name },
+    responses: { 200: { schema: ref("Job") } },
+  },
+  {
+    method: "get",
+    path: "/jobs/:jobId/events",
+    operationId: "streamJobEvents",
+    tag: "Jobs",
+    summary: "Server-Sent Events with the progress of a job",
+    params: { jobId: name },
+    responses: { 200: { eventStream: true } },
+  },
+  {
+    method: "delete",
+    path: "/jobs/:jobId",
+    operationId: "cancelJob",
+    tag: "Jobs",
+    summary: "Cancel a background job",
+    params: { jobId: name },
+    responses: { 200: { schema: ref("Job") } },
+  },
+  {
+    method: "get",
+    path: "/usage",
+    operationId: "getUsage",
+    tag: "Usage",
+    summary: "Storage used by the caller and its quota",
+    responses: { 200: { schema: ref("Usage") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/usage",
+    operationId: "getBucketUsage",
+    tag: "Usage",
+    summary: "Storage used in a bucket and its quota",
+    params: bucketParams,
+    responses: { 200: { schema: ref("Usage") } },
+  },
+  {
+    method: "get",
+    path: "/buckets/:bucketName/dedup",
+    operationId: "getBucketDedup",
+    tag: "Usage",
+    summary: "Deduplicated uploads in a bucket and the bytes they saved",
+    params: bucketParams,
+    responses: { 200: { schema: ref("DedupStats") } },
+  },
+  {
+    method: "get",
+    path: "/admin/usage",
+    operationId: "listUsage",
+    tag: "Administration",
+    summary: "Storage used by every caller and bucket",
+    responses: {
+      200: {
+        schema: {
+          type: "object",
+          properties: {
+            callers: listOf("Usage"),
+            buckets: listOf("Usage"),
+          },
+        },
+      },
+    },
+  },
+];
+
+const ROUTES_BY_ID = new Map(ROUTES.map((route) => [route.operationId, route]));
+
+// Path patterns of the routes, matched in order like express does
+const ROUTE_PATTERNS = ROUTES.map((route) => ({
+  route,
+  pattern: new RegExp(`^${route.path.replace(/:\w+/g, "[^/]+")}/?$`),
+}));
+
+// Operation id of the route a request will reach, or null
+function findOperation(method, path) {
+  const wanted = method === "HEAD" ? "get" : method.toLowerCase();
+  const match = ROUTE_PATTERNS.find(
+    ({ route, pattern }) => route.method === wanted && pattern.test(path)
+  );
+  return match ? match.route.operationId : null;
+}
+
+function resolve(schema) {
+  return schema.$ref ? SCHEMAS[schema.$ref.split("/").pop()] : schema;
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+// Query strings, headers and form fields only carry strings
+function coerce(types, value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (
+    (types.includes("integer") || types.includes("number")) &&
+    /^-?\d+(\.\d+)?$/.test(value)
+  ) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+/**
+ * Check `value` against a JSON Schema subset (type, enum, required,
+ * properties, additionalProperties, items, min/max for lengths, items and
+ * numbers, pattern and the date-time and uri formats), pushing
+ * { field, message } for every violation onto `errors`.
+ */
+function validate(
+  schema,
+  value,
+  field,
+  errors,
+  { coerceStrings = false } = {}
+) {
+  schema = resolve(schema);
+  const types = [].concat(schema.type || []);
+  if (coerceStrings) {
+    value = coerce(types, value);
+  }
+
+  const actual = typeOf(value);
+  if (
+    types.length > 0 &&
+    !types.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    )
+  ) {
+    errors.push({ field, message: `must be ${types.join(" or ")}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      field,
+      message: `must be one of ${schema.enum.join(", ")}`,
+    });
+    return;
+  }
+
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === "date-time" && isNaN(new Date(value).getTime())) {
+      errors.push({ field, message: "must be an ISO 8601 date" });
+    }
+    if (schema.format === "uri" && !URL.canParse(value)) {
+      errors.push({ field, message: "must be an absolute URL" });
+    }
+  }
+
+  if (actual === "integer" || actual === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must have at least ${schema.minItems} items`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        field,
+        message: `must have at most ${schema.maxItems} items`,
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validate(schema.items, item, `${field}[${index}]`, errors)
+      );
+    }
+  }
+
+  if (actual === "object") {
+    const properties = schema.properties || {};
+    for (const property of schema.required || []) {
+      if (value[property] === undefined) {
+        errors.push({ field: `${field}.${property}`, message: "is required" });
+      }
+    }
+    for (const [property, item] of Object.entries(value)) {
+      const child = `${field}.${property}`;
+      if (properties[property]) {
+        validate(properties[property], item, child, errors, { coerceStrings });
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: child, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        validate(schema.additionalProperties, item, child, errors);
+      }
+    }
+  }
+}
+
+// Collect the violations of a request against its route definition
+function requestErrors(route, req) {
+  const errors = [];
+  const check = (location, schemas, values) => {
+    for (const [key, schema] of Object.entries(schemas || {})) {
+      const value = values[key];
+      if (value === undefined || value === "") {
+        if (schema.required || location === "params") {
+          errors.push({ field: `${location}.${key}`, message: "is required" });
+        }
+        continue;
+      }
+      validate(schema, value, `${location}.${key}`, errors, {
+        coerceStrings: true,
+      });
+    }
+  };
+
+  check("params", route.params, req.params);
+  check("query", route.query, req.query);
+  check("headers", route.headers, req.headers);
+  if (route.body) {
+    // Multipart fields arrive as strings
+    validate(route.body, req.body || {}, "body", errors, {
+      coerceStrings: route.contentType === "multipart/form-data",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Middleware validating a request against the route `operationId`. Invalid
+ * requests get a 400 listing every offending field, before any akavecli
+ * command runs. Without `body`, only the path, query and headers are
+ * checked, so a request can be refused before its body is read.
+ */
+function validateRequest(operationId, { body = true } = {}) {
+  const route = ROUTES_BY_ID.get(operationId);
+  if (!route) {
+    throw new Error(`Unknown operation: ${operationId}`);
+  }
+  const checked = body ? route : { ...route, body: undefined };
+  return (req, res, next) => {
+    const errors = requestErrors(checked, req);
+    if (errors.length === 0) {
+      return next();
+    }
+    // Drain an unread body, such as a rejected upload chunk
+    req.resume();
+    res.status(400).json({
+      success: false,
+      error: `Invalid request: ${errors
+        .map((error) => `${error.field} ${error.message}`)
+        .join(", ")}`,
+      code: "VALIDATION_ERROR",
+      details: errors,
+    });
+  };
+}
+
+// Success response schema of a route, including the { success, data } envelope
+function responseSchema(response) {
+  if (response.raw) {
+    return response.schema;
+  }
+  return {
+    type: "object",
+    required: ["success", "data"],
+    properties: { success: { type: "boolean" }, data: response.schema },
+  };
+}
+
+/**
+ * Middleware checking JSON responses against their route's schema and
+ * reporting mismatches through `onMismatch(route, errors)`. Meant for
+ * development and tests; responses are sent unchanged.
+ */
+function validateResponses(onMismatch) {
+  const routes = new Map(
+    ROUTES.map((route) => [`${route.method} ${route.path}`, route])
+  );
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const route =
+        req.route &&
+        routes.get(`${req.method.toLowerCase()} ${req.route.path}`);
+      const response = route && route.responses[res.statusCode];
+      const errors = [];
+      const schema =
+        res.statusCode >= 400
+          ? SCHEMAS.Error
+          : response && response.schema && responseSchema(response);
+      if (route && schema) {
+        validate(schema, body, "response", errors);
+      }
+      if (errors.length > 0) {
+        onMismatch(route, errors);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+// Strip the validator-only `required` flag from parameter schemas
+function parameters(location, schemas = {}) {
+  return Object.entries(schemas).map(([key, { required, ...schema }]) => ({
+    name: key,
+    in: location,
+    required: location === "path" || Boolean(required),
+    ...(schema.description && { description: schema.description }),
+    schema,
+  }));
+}
+
+function responses(route) {
+  const result = {};
+  for (const [status, response] of Object.entries(route.responses)) {
+    let content;
+    if (response.empty) {
+      result[status] = { description: "Not Modified" };
+      continue;
+    }
+    if (response.binary) {
+      content = {
+        "*/*": { schema: { type: "string", format: "binary" } },
+      };
+    } else if (response.eventStream) {
+      content = { "text/event-stream": { schema: { type: "string" } } };
+    } else {
+      content = { "application/json": { schema: responseSchema(response) } };
+    }
+    result[status] = {
+      description: status === "202" ? "Accepted" : "OK",
+      content,
+    };
+  }
+  result.default = {
+    description: "Error",
+    content: { "application/json": { schema: ref("Error") } },
+  };
+  return result;
+}
+
+/**
+ * The OpenAPI 3 document of the JSON API, generated from ROUTES. The
+ * S3-compatible API follows the Amazon S3 REST API and is not included.
+ */
+function buildDocument({ serverUrl } = {}) {
+  const paths = {};
+  for (const route of ROUTES) {
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: [route.tag],
+      parameters: [
+        ...parameters("path", route.params),
+        ...parameters("query", route.query),
+        ...parameters("header", route.headers),
+      ],
+      responses: responses(route),
+    };
+    if (route.body) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          [route.contentType || "application/json"]: { schema: route.body },
+        },
+      };
+    } else if (route.contentType) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          [route.contentType]: { schema: { type: "string", format: "binary" } },
+        },
+      };
+    }
+    if (route.public) {
+      operation.security = [];
+    }
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: operation };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Akave Link API",
+      version,
+      description:
+        "JSON API of akavelink. Send an API key as X-API-Key or a Bearer token once keys are configured.",
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+}
+
+// Interactive documentation rendering /openapi.json with Swagger UI
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Akave Link API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  DOCS_PAGE,
+  ROUTES,
+  SCHEMAS,
+  buildDocument,
+  findOperation,
+  validate,
+  validateRequest,
+  validateResponses,
+};
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const { AccessDeniedError, ValidationError } = require("./errors");
+
+const DEFAULT_EXPIRES_IN = 3600;
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60;
+// Signed query parameters, in the order they are signed
+const SIGNED_PARAMS = ["expires", "fileName", "maxSize", "profile", "key"];
+
+// The route a presigned URL unlocks, and the permission needed to create it
+const OPERATIONS = {
+  download: {
+    method: "GET",
+    permission: "read",
+    path: (bucketName, fileName) =>
+      `/buckets/${encodeURIComponent(bucketName)}/files/${encodeURIComponent(
+        fileName
+      )}/download`,
+  },
+  upload: {
+    method: "POST",
+    permission: "write",
+    path: (bucketName) => `/buckets/${encodeURIComponent(bucketName)}/files`,
+  },
+};
+
+function canonicalQuery(values) {
+  const params = new URLSearchParams();
+  for (const name of SIGNED_PARAMS) {
+    if (values[name] !== undefined && values[name] !== null) {
+      params.set(name, String(values[name]));
+    }
+  }
+  return params;
+}
+
+/**
+ * HMAC-SHA256 signed URLs granting a single download or upload of one file
+ * until they expire. The signature covers the method, the path and the
+ * signed query parameters, so a URL cannot be pointed at another file or
+ * route, and requests adding other query parameters are refused. URLs act
+ * on behalf of the API key that created them (`key`) and stop working once
+ * that key is deleted.
+ */
+class URLSigner {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  digest(method, path, params) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${method}\n${path}\n${params.toString()}`)
+      .digest("hex");
+  }
+
+  sign({
+    operation = "download",
+    bucketName,
+    fileName,
+    profile,
+    keyId,
+    expiresIn = DEFAULT_EXPIRES_IN,
+    maxSize,
+  }) {
+    const target = OPERATIONS[operation];
+    if (!target) {
+      throw new ValidationError("operation must be download or upload");
+    }
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn < 1 ||
+      expiresIn > MAX_EXPIRES_IN
+    ) {
+      throw new ValidationError(
+        `expiresIn must be between 1 and ${MAX_EXPIRES_IN} seconds`
+      );
+    }
+    if (maxSize !== undefined) {
+      if (operation !== "upload") {
+        throw new ValidationError("maxSize only applies to uploads");
+      }
+      if (!Number.isSafeInteger(maxSize) || maxSize < 1) {
+        throw new ValidationError("maxSize must be a positive integer");
+      }
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const path = target.path(bucketName, fileName);
+    const params = canonicalQuery({
+      expires,
+      fileName: operation === "upload" ? fileName : undefined,
+      maxSize,
+      profile,
+      key: keyId,
+    });
+    params.set("signature", this.digest(target.method, path, params));
+
+    return {
+      operation,
+      method: target.method,
+      url: `${path}?${params}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  // Check a request against the signature in its query string
+  verify(req) {
+    // Anything else the route reads from the query (versionId, async,
+    // disposition, ...) would change what the URL does without a new signature
+    const unsigned = Object.keys(req.query).find(
+      (name) => name !== "signature" && !SIGNED_PARAMS.includes(name)
+    );
+    if (unsigned !== undefined) {
+      throw new AccessDeniedError(
+        `Presigned URLs do not accept the ${unsigned} parameter`
+      );
+    }
+    const params = canonicalQuery(req.query);
+    const expected = Buffer.from(this.digest(req.method, req.path, params));
+    const actual = Buffer.from(String(req.query.signature));
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      throw new AccessDeniedError("Invalid URL signature");
+    }
+    if (Number(req.query.expires) * 1000 < Date.now()) {
+      throw new AccessDeniedError("Presigned URL has expired");
+    }
+
+    return {
+      fileName: req.query.fileName,
+      maxSize: req.query.maxSize ? Number(req.query.maxSize) : null,
+      profile: req.query.profile,
+      keyId: req.query.key || null,
+    };
+  }
+}
+
+/**
+ * Middleware accepting presigned URLs in place of an API key. Verified
+ * requests get req.presigned and the signing key as req.apiKey, so route
+ * permissions are still checked against that key.
+ */
+function acceptPresigned(signer, apiKeys) {
+  return (req, res, next) => {
+    if (req.query.signature === undefined) {
+      return next();
+    }
+
+    try {
+      const presigned = signer.verify(req);
+      const apiKey = presigned.keyId ? apiKeys.get(presigned.keyId) : null;
+      if (apiKeys.enabled && !apiKey) {
+        throw new AccessDeniedError(
+          "The API key that created this URL no longer exists"
+        );
+      }
+      req.apiKey = apiKey;
+      req.presigned = presigned;
+      next();
+    } catch (error) {
+      res.status(error.statusCode || 403).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  URLSigner,
+  acceptPresigned,
+};
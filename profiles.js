@@ -0,0 +1,143 @@
+const fs = require("fs");
+const { createBackend } = require("./backend");
+const logger = require("./logger");
+
+const DEFAULT_PROFILE = "default";
+
+/**
+ * Registry of named wallet profiles (node address + private key) with a
+ * lazily built storage backend per profile.
+ */
+class ClientPool {
+  constructor(profiles, defaultProfile = DEFAULT_PROFILE, clientOptions = {}) {
+    this.profiles = profiles;
+    this.defaultProfile = defaultProfile;
+    this.clientOptions = clientOptions;
+    this.clients = new Map();
+  }
+
+  /**
+   * Build the pool from an optional JSON file:
+   * { "default": "team-a", "profiles": { "team-a": { "nodeAddress", "privateKey" } } }
+   * A profile may reference its key through "privateKeyEnv" instead. NODE_ADDRESS
+   * and PRIVATE_KEY register the "default" profile unless the file defines one.
+   * `clientOptions` are passed to every backend (e.g. a shared queue); the
+   * local backend needs no node or key, so its profiles may omit both.
+   */
+  static fromConfig(filePath, env = process.env, clientOptions = {}) {
+    const profiles = {};
+    let defaultProfile = DEFAULT_PROFILE;
+    const offline = clientOptions.backend === "local";
+
+    if (filePath && fs.existsSync(filePath)) {
+      const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const [name, profile] of Object.entries(config.profiles || {})) {
+        const privateKey = profile.privateKeyEnv
+          ? env[profile.privateKeyEnv]
+          : profile.privateKey;
+        if (!offline && (!profile.nodeAddress || !privateKey)) {
+          throw new Error(
+            `Profile ${name} needs a nodeAddress and a privateKey or privateKeyEnv`
+          );
+        }
+        profiles[name] = { nodeAddress: profile.nodeAddress, privateKey };
+      }
+      defaultProfile = config.default || defaultProfile;
+    }
+
+    if (
+      !profiles[DEFAULT_PROFILE] &&
+      (env.NODE_ADDRESS || env.PRIVATE_KEY || offline)
+    ) {
+      profiles[DEFAULT_PROFILE] = {
+        nodeAddress: env.NODE_ADDRESS,
+        privateKey: env.PRIVATE_KEY,
+      };
+    }
+
+    if (!profiles[defaultProfile]) {
+      throw new Error(`Default profile ${defaultProfile} is not configured`);
+    }
+
+    return new ClientPool(profiles, defaultProfile, clientOptions);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  get(name = this.defaultProfile) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+
+    if (!this.clients.has(name)) {
+      this.clients.set(
+        name,
+        createBackend(name, this.profiles[name], this.clientOptions)
+      );
+      logger.info("Initialized client for profile", { profile: name });
+    }
+    return this.clients.get(name);
+  }
+
+  list() {
+    return Object.keys(this.profiles).map((name) => ({
+      name,
+      nodeAddress: this.profiles[name].nodeAddress,
+      address: this.get(name).address,
+      default: name === this.defaultProfile,
+    }));
+  }
+}
+
+/**
+ * Middleware choosing the profile for the request from the X-Akave-Profile
+ * header, limited to the profiles the caller's API key may use. Sets
+ * req.profile and req.client.
+ */
+function selectProfile(pool) {
+  return (req, res, next) => {
+    const allowed =
+      req.apiKey && req.apiKey.profiles.length > 0
+        ? req.apiKey.profiles
+        : [pool.defaultProfile];
+    // A presigned URL is bound to the profile it was created for
+    const requested = req.presigned
+      ? req.presigned.profile
+      : req.headers["x-akave-profile"];
+    const profile = requested || allowed[0];
+
+    if (!pool.has(profile)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown profile: ${profile}`,
+        code: "UNKNOWN_PROFILE",
+      });
+    }
+
+    // Without API keys, or with an admin key, any profile may be picked
+    const isAdmin = req.apiKey && req.apiKey.permissions.includes("admin");
+    if (req.apiKey && !isAdmin && !allowed.includes(profile)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have access to profile ${profile}`,
+        code: "ACCESS_DENIED",
+      });
+    }
+
+    try {
+      req.client = pool.get(profile);
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    req.profile = profile;
+    next();
+  };
+}
+
+module.exports = {
+  ClientPool,
+  DEFAULT_PROFILE,
+  selectProfile,
+};
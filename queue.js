@@ -0,0 +1,108 @@
+const { AkaveError } = require("./errors");
+
+class CommandError extends AkaveError {}
+
+function abortError() {
+  return new CommandError("Command was cancelled", "COMMAND_ABORTED", 499);
+}
+
+/**
+ * Bounded execution queue for akavecli invocations. Each operation type has
+ * its own concurrency limit; waiting tasks beyond `maxQueueDepth` are
+ * rejected so callers can back off instead of piling up processes.
+ */
+class CommandQueue {
+  constructor({ limits, maxQueueDepth }) {
+    this.maxQueueDepth = maxQueueDepth;
+    this.lanes = {};
+    for (const [type, limit] of Object.entries(limits)) {
+      this.lanes[type] = { limit, running: 0, waiting: [] };
+    }
+  }
+
+  lane(type) {
+    return this.lanes[type] || this.lanes.default;
+  }
+
+  depth() {
+    return Object.values(this.lanes).reduce(
+      (total, lane) => total + lane.waiting.length,
+      0
+    );
+  }
+
+  /**
+   * Run `task` once a slot of the given type is free. Aborting `signal`
+   * while the task is still queued removes it from the queue.
+   */
+  run(type, task, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    const lane = this.lane(type);
+    if (lane.running < lane.limit) {
+      return this.start(lane, task);
+    }
+
+    if (this.depth() >= this.maxQueueDepth) {
+      return Promise.reject(
+        new CommandError(
+          "Too many queued commands, retry later",
+          "QUEUE_FULL",
+          503
+        )
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        start: () => {
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+          this.start(lane, task).then(resolve, reject);
+        },
+      };
+      const onAbort = () => {
+        lane.waiting.splice(lane.waiting.indexOf(entry), 1);
+        reject(abortError());
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+      lane.waiting.push(entry);
+    });
+  }
+
+  async start(lane, task) {
+    lane.running++;
+    try {
+      return await task();
+    } finally {
+      lane.running--;
+      const next = lane.waiting.shift();
+      if (next) {
+        next.start();
+      }
+    }
+  }
+
+  stats() {
+    const stats = { queued: this.depth(), maxQueueDepth: this.maxQueueDepth };
+    for (const [type, lane] of Object.entries(this.lanes)) {
+      stats[type] = {
+        running: lane.running,
+        queued: lane.waiting.length,
+        limit: lane.limit,
+      };
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  CommandError,
+  CommandQueue,
+  abortError,
+};
@@ -0,0 +1,1231 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const os = require("os");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const logger = require("./logger");
+const {
+  computeChecksums,
+  expectedDigests,
+  verifyDigests,
+} = require("./checksums");
+const { multipartRanges, parseRanges } = require("./content");
+const { isStorableName, parseCliDate } = require("./utils");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const STREAMING_SIGNED_PAYLOAD = "STREAMING-AWS4-HMAC-SHA256-PAYLOAD";
+const STREAMING_UNSIGNED_TRAILER = "STREAMING-UNSIGNED-PAYLOAD-TRAILER";
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_KEYS = 1000;
+const S3_NAMESPACE = "http://s3.amazonaws.com/doc/2006-03-01/";
+
+class S3Error extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "S3Error";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Parse "AKID:secret,AKID2:secret2:profile" plus the single-key variables
+function loadCredentials(env = process.env) {
+  const credentials = new Map();
+
+  if (env.S3_CREDENTIALS) {
+    for (const entry of env.S3_CREDENTIALS.split(",")) {
+      const [accessKeyId, secret, profile] = entry.split(":");
+      if (accessKeyId && secret) {
+        credentials.set(accessKeyId.trim(), {
+          secret: secret.trim(),
+          profile: profile ? profile.trim() : null,
+        });
+      }
+    }
+  }
+
+  if (env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY) {
+    credentials.set(env.S3_ACCESS_KEY_ID, {
+      secret: env.S3_SECRET_ACCESS_KEY,
+      profile: env.S3_PROFILE || null,
+    });
+  }
+
+  return credentials;
+}
+
+function isS3Request(req) {
+  const authorization = req.headers.authorization || "";
+  return (
+    authorization.startsWith(ALGORITHM) ||
+    req.query["X-Amz-Algorithm"] === ALGORITHM
+  );
+}
+
+// Signature V4 helpers
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+function splitUrl(originalUrl) {
+  const queryIndex = originalUrl.indexOf("?");
+  return queryIndex === -1
+    ? [originalUrl, ""]
+    : [
+        originalUrl.substring(0, queryIndex),
+        originalUrl.substring(queryIndex + 1),
+      ];
+}
+
+function canonicalUri(rawPath) {
+  return rawPath
+    .split("/")
+    .map((segment) => uriEncode(safeDecode(segment)))
+    .join("/");
+}
+
+function canonicalQuery(rawQuery, { excludeSignature }) {
+  return rawQuery
+    .split("&")
+    .filter(Boolean)
+    .map((param) => {
+      const separator = param.indexOf("=");
+      const key = separator === -1 ? param : param.substring(0, separator);
+      const value = separator === -1 ? "" : param.substring(separator + 1);
+      return [uriEncode(safeDecode(key)), uriEncode(safeDecode(value))];
+    })
+    .filter(([key]) => !(excludeSignature && key === "X-Amz-Signature"))
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? (valueA < valueB ? -1 : 1) : keyA < keyB ? -1 : 1
+    )
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+}
+
+function canonicalHeaders(req, signedHeaders) {
+  return signedHeaders
+    .map((name) => {
+      const value = req.headers[name];
+      if (value === undefined) {
+        throw new S3Error(
+          "SignatureDoesNotMatch",
+          `Signed header ${name} is missing from the request`,
+          403
+        );
+      }
+      const joined = Array.isArray(value) ? value.join(",") : String(value);
+      return `${name}:${joined.trim().replace(/\s+/g, " ")}\n`;
+    })
+    .join("");
+}
+
+function parseAuthorization(req) {
+  const authorization = req.headers.authorization;
+
+  if (authorization) {
+    const fields = {};
+    authorization
+      .substring(ALGORITHM.length)
+      .split(",")
+      .forEach((part) => {
+        const [key, value] = part.trim().split("=");
+        if (key && value) {
+          fields[key] = value;
+        }
+      });
+
+    if (!fields.Credential || !fields.SignedHeaders || !fields.Signature) {
+      throw new S3Error(
+        "AuthorizationHeaderMalformed",
+        "The authorization header is malformed"
+      );
+    }
+
+    return {
+      presigned: false,
+      credential: fields.Credential,
+      signedHeaders: fields.SignedHeaders,
+      signature: fields.Signature,
+      amzDate: req.headers["x-amz-date"],
+      payloadHash: req.headers["x-amz-content-sha256"],
+    };
+  }
+
+  const query = req.query;
+  if (
+    !query["X-Amz-Credential"] ||
+    !query["X-Amz-SignedHeaders"] ||
+    !query["X-Amz-Signature"] ||
+    !query["X-Amz-Date"]
+  ) {
+    throw new S3Error(
+      "AuthorizationQueryParametersError",
+      "Query-string authentication requires the X-Amz-Credential, X-Amz-Date, X-Amz-SignedHeaders and X-Amz-Signature parameters"
+    );
+  }
+
+  return {
+    presigned: true,
+    credential: query["X-Amz-Credential"],
+    signedHeaders: query["X-Amz-SignedHeaders"],
+    signature: query["X-Amz-Signature"],
+    amzDate: query["X-Amz-Date"],
+    expires: query["X-Amz-Expires"],
+    payloadHash: UNSIGNED_PAYLOAD,
+  };
+}
+
+function parseAmzDate(amzDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+    amzDate || ""
+  );
+  if (!match) {
+    return null;
+  }
+  return new Date(
+    Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])
+  );
+}
+
+function deriveSigningKey(secret, date, region, service) {
+  const dateKey = hmac(`AWS4${secret}`, date);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, "aws4_request");
+}
+
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, "hex");
+  const actualBuffer = Buffer.from(actual, "hex");
+  return (
+    expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer)
+  );
+}
+
+/**
+ * Verify the Signature V4 of an incoming request against the configured
+ * access keys. Returns the signing context needed to verify chunked payloads.
+ */
+function verifySignature(req, credentials, now = Date.now()) {
+  const auth = parseAuthorization(req);
+
+  const [accessKeyId, date, region, service, terminator] =
+    auth.credential.split("/");
+  if (!date || !region || service !== "s3" || terminator !== "aws4_request") {
+    throw new S3Error(
+      "AuthorizationHeaderMalformed",
+      "The credential scope is malformed"
+    );
+  }
+
+  const credential = credentials.get(accessKeyId);
+  if (!credential) {
+    throw new S3Error(
+      "InvalidAccessKeyId",
+      "The AWS Access Key Id you provided does not exist in our records.",
+      403
+    );
+  }
+
+  const requestDate = parseAmzDate(auth.amzDate);
+  if (!requestDate || !auth.amzDate.startsWith(date)) {
+    throw new S3Error("AccessDenied", "Invalid or missing X-Amz-Date", 403);
+  }
+
+  if (auth.presigned) {
+    const expires = parseInt(auth.expires, 10);
+    if (isNaN(expires) || expires < 1 || expires > MAX_PRESIGN_EXPIRES) {
+      throw new S3Error(
+        "AuthorizationQueryParametersError",
+        "X-Amz-Expires must be between 1 and 604800 seconds"
+      );
+    }
+    if (now > requestDate.getTime() + expires * 1000) {
+      throw new S3Error("AccessDenied", "Request has expired", 403);
+    }
+  } else if (Math.abs(now - requestDate.getTime()) > MAX_CLOCK_SKEW_MS) {
+    throw new S3Error(
+      "RequestTimeTooSkewed",
+      "The difference between the request time and the current time is too large.",
+      403
+    );
+  }
+
+  if (!auth.payloadHash) {
+    throw new S3Error(
+      "InvalidRequest",
+      "Missing required header for this request: x-amz-content-sha256"
+    );
+  }
+
+  const [rawPath, rawQuery] = splitUrl(req.originalUrl);
+  const signedHeaders = auth.signedHeaders.split(";");
+  const canonicalRequest = [
+    req.method,
+    canonicalUri(rawPath),
+    canonicalQuery(rawQuery, { excludeSignature: auth.presigned }),
+    canonicalHeaders(req, signedHeaders),
+    auth.signedHeaders,
+    auth.payloadHash,
+  ].join("\n");
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    ALGORITHM,
+    auth.amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = deriveSigningKey(credential.secret, date, region, "s3");
+  const expected = hmac(signingKey, stringToSign).toString("hex");
+
+  if (!signaturesMatch(expected, auth.signature)) {
+    throw new S3Error(
+      "SignatureDoesNotMatch",
+      "The request signature we calculated does not match the signature you provided.",
+      403
+    );
+  }
+
+  return {
+    accessKeyId,
+    profile: credential.profile,
+    amzDate: auth.amzDate,
+    scope,
+    signingKey,
+    seedSignature: auth.signature,
+    payloadHash: auth.payloadHash,
+  };
+}
+
+/**
+ * Decodes an aws-chunked request body. When a signing context is given,
+ * every chunk signature is verified against the previous one.
+ */
+class AwsChunkedDecoder extends Transform {
+  constructor(signing) {
+    super();
+    this.signing = signing;
+    this.previousSignature = signing ? signing.seedSignature : null;
+    this.header = Buffer.alloc(0);
+    this.remaining = 0;
+    this.chunkHash = null;
+    this.chunkSignature = null;
+    this.state = "header";
+  }
+
+  _transform(data, encoding, callback) {
+    try {
+      this.consume(data);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    if (this.state !== "trailer") {
+      return callback(
+        new S3Error(
+          "IncompleteBody",
+          "The request body terminated unexpectedly"
+        )
+      );
+    }
+    callback();
+  }
+
+  consume(data) {
+    let offset = 0;
+
+    while (offset < data.length) {
+      if (this.state === "header") {
+        this.header = Buffer.concat([this.header, data.subarray(offset)]);
+        offset = data.length;
+        const lineEnd = this.header.indexOf("\r\n");
+        if (lineEnd === -1) {
+          if (this.header.length > 4096) {
+            throw new S3Error("InvalidChunkSizeError", "Invalid chunk header");
+          }
+          continue;
+        }
+        const line = this.header.subarray(0, lineEnd).toString();
+        const rest = this.header.subarray(lineEnd + 2);
+        this.header = Buffer.alloc(0);
+        this.startChunk(line);
+        data = rest;
+        offset = 0;
+      } else if (this.state === "data") {
+        const length = Math.min(this.remaining, data.length - offset);
+        const slice = data.subarray(offset, offset + length);
+        if (this.chunkHash) {
+          this.chunkHash.update(slice);
+        }
+        this.push(slice);
+        this.remaining -= length;
+        offset += length;
+        if (this.remaining === 0) {
+          this.finishChunk();
+          this.state = "separator";
+          this.remaining = 2;
+        }
+      } else if (this.state === "separator") {
+        const length = Math.min(this.remaining, data.length - offset);
+        this.remaining -= length;
+        offset += length;
+        if (this.remaining === 0) {
+          this.state = "header";
+        }
+      } else {
+        // Trailing headers (e.g. x-amz-checksum-crc32) are not used
+        offset = data.length;
+      }
+    }
+  }
+
+  startChunk(line) {
+    const [sizeHex, ...extensions] = line.split(";");
+    const size = parseInt(sizeHex, 16);
+    if (isNaN(size)) {
+      throw new S3Error("InvalidChunkSizeError", "Invalid chunk size");
+    }
+
+    const signatureExtension = extensions.find((ext) =>
+      ext.startsWith("chunk-signature=")
+    );
+    this.chunkSignature = signatureExtension
+      ? signatureExtension.substring("chunk-signature=".length)
+      : null;
+    if (this.signing && !this.chunkSignature) {
+      throw new S3Error(
+        "SignatureDoesNotMatch",
+        "Chunk signature is missing",
+        403
+      );
+    }
+
+    this.chunkHash = this.signing ? crypto.createHash("sha256") : null;
+    this.remaining = size;
+
+    if (size === 0) {
+      this.finishChunk();
+      this.state = "trailer";
+    } else {
+      this.state = "data";
+    }
+  }
+
+  finishChunk() {
+    if (!this.signing) {
+      return;
+    }
+
+    const stringToSign = [
+      `${ALGORITHM}-PAYLOAD`,
+      this.signing.amzDate,
+      this.signing.scope,
+      this.previousSignature,
+      EMPTY_SHA256,
+      this.chunkHash.digest("hex"),
+    ].join("\n");
+    const expected = hmac(this.signing.signingKey, stringToSign).toString(
+      "hex"
+    );
+
+    if (!signaturesMatch(expected, this.chunkSignature)) {
+      throw new S3Error(
+        "SignatureDoesNotMatch",
+        "The chunk signature we calculated does not match the signature you provided.",
+        403
+      );
+    }
+    this.previousSignature = this.chunkSignature;
+  }
+}
+
+class Sha256Verifier extends Transform {
+  constructor(expectedHash) {
+    super();
+    this.expectedHash = expectedHash;
+    this.hash = crypto.createHash("sha256");
+  }
+
+  _transform(data, encoding, callback) {
+    this.hash.update(data);
+    callback(null, data);
+  }
+
+  _flush(callback) {
+    if (this.hash.digest("hex") !== this.expectedHash) {
+      return callback(
+        new S3Error(
+          "XAmzContentSHA256Mismatch",
+          "The provided 'x-amz-content-sha256' header does not match what was computed."
+        )
+      );
+    }
+    callback();
+  }
+}
+
+function payloadStages(signing) {
+  const payloadHash = signing.payloadHash;
+
+  if (payloadHash === UNSIGNED_PAYLOAD) {
+    return [];
+  }
+  if (payloadHash === STREAMING_SIGNED_PAYLOAD) {
+    return [new AwsChunkedDecoder(signing)];
+  }
+  if (payloadHash === STREAMING_UNSIGNED_TRAILER) {
+    return [new AwsChunkedDecoder(null)];
+  }
+  if (/^[0-9a-f]{64}$/.test(payloadHash)) {
+    return [new Sha256Verifier(payloadHash)];
+  }
+
+  throw new S3Error(
+    "NotImplemented",
+    `Payload signing mode ${payloadHash} is not supported`,
+    501
+  );
+}
+
+// XML rendering
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function xmlElement(name, content) {
+  return `<${name}>${content}</${name}>`;
+}
+
+function xmlValue(name, value) {
+  return xmlElement(name, escapeXml(value));
+}
+
+function sendXml(res, statusCode, body) {
+  res
+    .status(statusCode)
+    .type("application/xml")
+    .send(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+}
+
+function sendError(req, res, error) {
+  const s3Error = error instanceof S3Error ? error : toS3Error(error);
+  if (error.retryAfter) {
+    res.setHeader("Retry-After", error.retryAfter);
+  }
+  if (req.method === "HEAD") {
+    return res.status(s3Error.statusCode).end();
+  }
+  sendXml(
+    res,
+    s3Error.statusCode,
+    xmlElement(
+      "Error",
+      xmlValue("Code", s3Error.code) +
+        xmlValue("Message", s3Error.message) +
+        xmlValue("Resource", splitUrl(req.originalUrl)[0]) +
+        xmlValue("RequestId", res.getHeader("x-amz-request-id"))
+    )
+  );
+}
+
+// S3 error codes for the typed errors raised by the client and queue
+const S3_ERROR_CODES = {
+  VALIDATION_ERROR: ["InvalidArgument", 400],
+  INSUFFICIENT_FUNDS: ["AccessDenied", 403],
+  ACCESS_DENIED: ["AccessDenied", 403],
+  ALREADY_EXISTS: ["BucketAlreadyOwnedByYou", 409],
+  BUCKET_NOT_EMPTY: ["BucketNotEmpty", 409],
+  QUEUE_FULL: ["SlowDown", 503],
+  RATE_LIMITED: ["SlowDown", 503],
+  NODE_UNAVAILABLE: ["ServiceUnavailable", 503],
+  COMMAND_TIMEOUT: ["ServiceUnavailable", 503],
+  QUOTA_EXCEEDED: ["QuotaExceeded", 403],
+  FILE_HAS_ALIASES: ["InvalidRequest", 409],
+  BAD_DIGEST: ["BadDigest", 400],
+  INVALID_DIGEST: ["InvalidDigest", 400],
+};
+
+function toS3Error(error, notFoundCode = "NoSuchKey") {
+  if (error.code === "NOT_FOUND") {
+    return new S3Error(notFoundCode, error.message, 404);
+  }
+  if (S3_ERROR_CODES[error.code]) {
+    const [code, statusCode] = S3_ERROR_CODES[error.code];
+    return new S3Error(code, error.message, statusCode);
+  }
+  return new S3Error("InternalError", error.message, 500);
+}
+
+// Object helpers
+
+function fileSize(file) {
+  return Number(file.Size ?? file.EncodedSize ?? file.ActualSize ?? 0);
+}
+
+function lastModified(entry) {
+  return parseCliDate(entry.CreatedAt ?? entry.Created) || new Date(0);
+}
+
+function etag(file) {
+  return file.RootCID ? `"${file.RootCID}"` : undefined;
+}
+
+// Keys the backend cannot store as they are, such as ones with "/" or
+// spaces, are stored behind this prefix with every other byte written as
+// "_" and two hex digits. Keys that start with it are always escaped, so
+// each stored name maps back to a single key.
+const ESCAPED_PREFIX = "_s3_";
+
+// Name an object key is stored under
+function nameOfKey(key) {
+  if (isStorableName(key) && !key.startsWith(ESCAPED_PREFIX)) {
+    return key;
+  }
+  let name = ESCAPED_PREFIX;
+  for (const byte of Buffer.from(key)) {
+    const char = String.fromCharCode(byte);
+    name += /[a-zA-Z0-9.-]/.test(char)
+      ? char
+      : `_${byte.toString(16).toUpperCase().padStart(2, "0")}`;
+  }
+  return name;
+}
+
+// Object key of a stored name; names not escaped by nameOfKey are keys
+function keyOfName(name) {
+  const escaped = name.substring(ESCAPED_PREFIX.length);
+  if (
+    !name.startsWith(ESCAPED_PREFIX) ||
+    !/^(?:[a-zA-Z0-9.-]|_[0-9A-F]{2})*$/.test(escaped)
+  ) {
+    return name;
+  }
+  try {
+    return decodeURIComponent(escaped.replace(/_/g, "%"));
+  } catch (error) {
+    return name;
+  }
+}
+
+function encodeToken(key) {
+  return Buffer.from(key).toString("base64url");
+}
+
+function decodeToken(token) {
+  return Buffer.from(token, "base64url").toString();
+}
+
+// Webhook events (success, failed operation) of the data-changing operations
+const OPERATION_EVENTS = {
+  createBucket: ["bucket.created", "bucket.create"],
+  deleteBucket: ["bucket.deleted", "bucket.delete"],
+  putObject: ["file.uploaded", "file.upload"],
+  getObject: ["file.downloaded", "file.download"],
+  deleteObject: ["file.deleted", "file.delete"],
+};
+
+/**
+ * Create an express middleware that serves the S3 REST API (path-style
+ * addressing) for every request signed with AWS Signature V4. Unsigned
+ * requests are passed through to the regular JSON routes.
+ */
+function createS3Gateway({
+  clients,
+  cache,
+  encryption,
+  fileOps,
+  limiter,
+  usage,
+  webhooks,
+  credentials = loadCredentials(),
+}) {
+  // The bucket of a request as FileOperations takes it; uploads through an
+  // access key count against the default quota
+  const bucketOf = (req, { client, profile, bucket, signing }) => ({
+    client,
+    profile,
+    bucketName: bucket,
+    caller: `s3:${signing.accessKeyId}`,
+    signal: req.signal,
+  });
+
+  // Encrypted objects report the size recorded for their plaintext
+  const objectSize = (target, file) => {
+    const details = fileOps.encryptionOf(target, file);
+    return details ? details.Size : fileSize(file);
+  };
+
+  const handlers = {
+    async listBuckets(req, res, { client }) {
+      const buckets = await client.listBuckets({ signal: req.signal });
+      const entries = buckets
+        .map((bucket) =>
+          xmlElement(
+            "Bucket",
+            xmlValue("Name", bucket.Name) +
+              xmlValue("CreationDate", lastModified(bucket).toISOString())
+          )
+        )
+        .join("");
+      sendXml(
+        res,
+        200,
+        `<ListAllMyBucketsResult xmlns="${S3_NAMESPACE}">` +
+          xmlElement(
+            "Owner",
+            xmlValue("ID", client.address) +
+              xmlValue("DisplayName", client.address)
+          ) +
+          xmlElement("Buckets", entries) +
+          "</ListAllMyBucketsResult>"
+      );
+    },
+
+    async createBucket(req, res, { client, bucket }) {
+      req.resume();
+      try {
+        await client.createBucket(bucket, { signal: req.signal });
+      } catch (error) {
+        throw toS3Error(error, "NoSuchBucket");
+      }
+      res.setHeader("Location", `/${bucket}`);
+      res.status(200).end();
+    },
+
+    async deleteBucket(req, res, { client, bucket }) {
+      try {
+        await client.deleteBucket(bucket, { signal: req.signal });
+      } catch (error) {
+        throw toS3Error(error, "NoSuchBucket");
+      }
+      res.status(204).end();
+    },
+
+    async headBucket(req, res, { client, bucket }) {
+      try {
+        await client.viewBucket(bucket, { signal: req.signal });
+      } catch (error) {
+        throw toS3Error(error, "NoSuchBucket");
+      }
+      res.status(200).end();
+    },
+
+    async getBucketLocation(req, res, { client, bucket }) {
+      try {
+        await client.viewBucket(bucket, { signal: req.signal });
+      } catch (error) {
+        throw toS3Error(error, "NoSuchBucket");
+      }
+      sendXml(
+        res,
+        200,
+        `<LocationConstraint xmlns="${S3_NAMESPACE}"></LocationConstraint>`
+      );
+    },
+
+    async listObjects(req, res, context) {
+      const { client, bucket } = context;
+      const target = bucketOf(req, context);
+      const v2 = req.query["list-type"] === "2";
+      const prefix = req.query.prefix || "";
+      const delimiter = req.query.delimiter || "";
+      const maxKeys = Math.min(
+        Math.max(parseInt(req.query["max-keys"], 10) || DEFAULT_MAX_KEYS, 0),
+        DEFAULT_MAX_KEYS
+      );
+      const startAfter = v2
+        ? req.query["continuation-token"]
+          ? decodeToken(req.query["continuation-token"])
+          : req.query["start-after"] || ""
+        : req.query.marker || "";
+
+      let files;
+      try {
+        files = await client.listFiles(bucket, { signal: req.signal });
+      } catch (error) {
+        throw toS3Error(error, "NoSuchBucket");
+      }
+      // Aliases are listed, the files holding older versions are not
+      const objects = fileOps
+        .visible(target, files)
+        .map((file) => ({ key: keyOfName(file.Name), file }));
+
+      const contents = [];
+      const commonPrefixes = new Set();
+      let isTruncated = false;
+      let lastKey = "";
+
+      const sorted = objects
+        .filter(({ key }) => key.startsWith(prefix) && key > startAfter)
+        .sort((a, b) => (a.key < b.key ? -1 : 1));
+
+      for (const object of sorted) {
+        const rest = object.key.substring(prefix.length);
+        const delimiterIndex = delimiter ? rest.indexOf(delimiter) : -1;
+        const commonPrefix =
+          delimiterIndex === -1
+            ? null
+            : prefix + rest.substring(0, delimiterIndex + delimiter.length);
+
+        if (commonPrefix && commonPrefixes.has(commonPrefix)) {
+          lastKey = object.key;
+          continue;
+        }
+        if (contents.length + commonPrefixes.size >= maxKeys) {
+          isTruncated = true;
+          break;
+        }
+        if (commonPrefix) {
+          commonPrefixes.add(commonPrefix);
+        } else {
+          contents.push(object);
+        }
+        lastKey = object.key;
+      }
+
+      let body =
+        xmlValue("Name", bucket) +
+        xmlValue("Prefix", prefix) +
+        (delimiter ? xmlValue("Delimiter", delimiter) : "") +
+        xmlValue("MaxKeys", maxKeys) +
+        xmlValue("IsTruncated", isTruncated);
+
+      if (v2) {
+        body += xmlValue("KeyCount", contents.length + commonPrefixes.size);
+        if (req.query["continuation-token"]) {
+          body += xmlValue(
+            "ContinuationToken",
+            req.query["continuation-token"]
+          );
+        }
+        if (req.query["start-after"]) {
+          body += xmlValue("StartAfter", req.query["start-after"]);
+        }
+        if (isTruncated) {
+          body += xmlValue("NextContinuationToken", encodeToken(lastKey));
+        }
+      } else {
+        body += xmlValue("Marker", startAfter);
+        if (isTruncated) {
+          body += xmlValue("NextMarker", lastKey);
+        }
+      }
+
+      for (const { key, file } of contents) {
+        const fileEtag = etag(file);
+        body += xmlElement(
+          "Contents",
+          xmlValue("Key", key) +
+            xmlValue("LastModified", lastModified(file).toISOString()) +
+            (fileEtag ? xmlValue("ETag", fileEtag) : "") +
+            xmlValue("Size", objectSize(target, file)) +
+            xmlValue("StorageClass", "STANDARD")
+        );
+      }
+      for (const commonPrefix of commonPrefixes) {
+        body += xmlElement("CommonPrefixes", xmlValue("Prefix", commonPrefix));
+      }
+
+      sendXml(
+        res,
+        200,
+        `<ListBucketResult xmlns="${S3_NAMESPACE}">${body}</ListBucketResult>`
+      );
+    },
+
+    async putObject(req, res, context) {
+      const { profile, bucket, key, signing } = context;
+      if (req.headers["x-amz-copy-source"]) {
+        throw new S3Error("NotImplemented", "CopyObject is not supported", 501);
+      }
+      if (req.query.uploadId || req.query.partNumber) {
+        throw new S3Error(
+          "NotImplemented",
+          "Multipart uploads are not supported",
+          501
+        );
+      }
+
+      const target = bucketOf(req, context);
+      const checkQuota = (size) =>
+        usage.check({
+          profile,
+          bucketName: bucket,
+          fileName: key,
+          size,
+          caller: target.caller,
+        });
+      // Refuse an object that cannot fit before reading it; aws-chunked
+      // bodies declare the object's size apart from the encoded length
+      const declared = Number(
+        req.headers["x-amz-decoded-content-length"] ??
+          req.headers["content-length"]
+      );
+      if (!Number.isInteger(declared) || declared < 0) {
+        throw new S3Error(
+          "MissingContentLength",
+          "You must provide the Content-Length HTTP header",
+          411
+        );
+      }
+      try {
+        checkQuota(declared);
+      } catch (error) {
+        throw toS3Error(error);
+      }
+
+      const stages = payloadStages(signing);
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-"));
+      const tempFilePath = path.join(tempDir, "upload");
+      try {
+        await pipeline(req, ...stages, fsSync.createWriteStream(tempFilePath));
+
+        const { size } = await fs.stat(tempFilePath);
+        let computed;
+        try {
+          checkQuota(size);
+          // Content-MD5 and x-amz-checksum-* describe the object as stored
+          const expected = expectedDigests(req.headers);
+          computed = await computeChecksums(
+            fsSync.createReadStream(tempFilePath),
+            { md5: Boolean(expected.md5), crc32c: Boolean(expected.crc32c) }
+          );
+          verifyDigests(expected, computed);
+        } catch (error) {
+          throw toS3Error(error);
+        }
+
+        let result;
+        try {
+          result = await fileOps.store(target, {
+            fileName: key,
+            filePath: tempFilePath,
+            computed,
+            options: { signal: req.signal },
+          });
+        } catch (error) {
+          throw toS3Error(error, "NoSuchBucket");
+        }
+        res.setHeader(
+          "x-amz-checksum-sha256",
+          computed.sha256.toString("base64")
+        );
+        if (result.VersionId) {
+          res.setHeader("x-amz-version-id", result.VersionId);
+        }
+
+        const resultEtag = etag(result);
+        if (resultEtag) {
+          res.setHeader("ETag", resultEtag);
+        }
+        res.status(200).end();
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    },
+
+    async getObject(req, res, context) {
+      const { client, profile, bucket, key } = context;
+      const target = bucketOf(req, context);
+      let info;
+      let cached;
+      try {
+        info = await fileOps.info(target, key, {
+          versionId: req.query.versionId,
+        });
+        cached = await cache.fetch({
+          client,
+          profile,
+          bucketName: bucket,
+          fileName: fileOps.storedNameOf(target, info),
+          info,
+          signal: req.signal,
+        });
+      } catch (error) {
+        throw toS3Error(error);
+      }
+
+      const stored = await encryption.open(
+        cached.filePath,
+        fileOps.encryptionOf(target, info)
+      );
+      const { size } = stored;
+      const infoEtag = etag(info);
+      if (infoEtag) {
+        res.setHeader("ETag", infoEtag);
+      }
+      if (info.VersionId) {
+        res.setHeader("x-amz-version-id", info.VersionId);
+      }
+      res.setHeader("Last-Modified", lastModified(info).toUTCString());
+      res.setHeader("X-Cache", cached.hit ? "HIT" : "MISS");
+      res.setHeader("Accept-Ranges", "bytes");
+      res.setHeader("Content-Type", "application/octet-stream");
+
+      // Ranges are read as the REST download route reads them
+      const ranges = parseRanges(req.headers.range, size);
+      let body;
+      if (!ranges) {
+        res.status(200);
+        res.setHeader("Content-Length", size);
+        if (size === 0) {
+          return res.end();
+        }
+        body = stored.createReadStream();
+      } else if (ranges.length === 0) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        throw new S3Error(
+          "InvalidRange",
+          "The requested range is not satisfiable",
+          416
+        );
+      } else if (ranges.length === 1) {
+        const [{ start, end }] = ranges;
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+        res.setHeader("Content-Length", end - start + 1);
+        body = stored.createReadStream({ start, end });
+      } else {
+        const parts = multipartRanges(
+          stored,
+          ranges,
+          res.getHeader("Content-Type")
+        );
+        res.status(206);
+        res.setHeader("Content-Type", parts.contentType);
+        res.setHeader("Content-Length", parts.length);
+        body = parts.stream;
+      }
+      await pipeline(body, res);
+    },
+
+    async headObject(req, res, context) {
+      const target = bucketOf(req, context);
+      let info;
+      try {
+        info = await fileOps.info(target, context.key, {
+          versionId: req.query.versionId,
+        });
+      } catch (error) {
+        throw toS3Error(error);
+      }
+
+      const infoEtag = etag(info);
+      if (infoEtag) {
+        res.setHeader("ETag", infoEtag);
+      }
+      if (info.VersionId) {
+        res.setHeader("x-amz-version-id", info.VersionId);
+      }
+      res.setHeader("Accept-Ranges", "bytes");
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader("Content-Length", objectSize(target, info));
+      res.setHeader("Last-Modified", lastModified(info).toUTCString());
+      res.status(200).end();
+    },
+
+    async deleteObject(req, res, context) {
+      try {
+        const result = await fileOps.remove(
+          bucketOf(req, context),
+          context.key
+        );
+        // Versioned buckets keep the object behind a delete marker
+        if (result.DeleteMarker) {
+          res.setHeader("x-amz-delete-marker", "true");
+          res.setHeader("x-amz-version-id", result.VersionId);
+        }
+      } catch (error) {
+        // S3 treats deleting a missing key as success
+        if (toS3Error(error).code !== "NoSuchKey") {
+          throw toS3Error(error);
+        }
+      }
+      res.status(204).end();
+    },
+  };
+
+  function route(req) {
+    const [rawPath] = splitUrl(req.originalUrl);
+    const segments = rawPath.split("/").slice(1);
+    const bucket = safeDecode(segments[0] || "");
+    // Handlers act on the name the object is stored under
+    const objectKey = segments.slice(1).map(safeDecode).join("/");
+    const key = objectKey && nameOfKey(objectKey);
+    const method = req.method;
+
+    if (!bucket) {
+      return method === "GET" ? ["listBuckets", {}] : null;
+    }
+
+    if (!key) {
+      switch (method) {
+        case "PUT":
+          return ["createBucket", { bucket }];
+        case "DELETE":
+          return ["deleteBucket", { bucket }];
+        case "HEAD":
+          return ["headBucket", { bucket }];
+        case "GET":
+          return req.query.location !== undefined
+            ? ["getBucketLocation", { bucket }]
+            : ["listObjects", { bucket }];
+        default:
+          return null;
+      }
+    }
+
+    switch (method) {
+      case "PUT":
+        return ["putObject", { bucket, key }];
+      case "GET":
+        return ["getObject", { bucket, key }];
+      case "HEAD":
+        return ["headObject", { bucket, key }];
+      case "DELETE":
+        return ["deleteObject", { bucket, key }];
+      default:
+        return null;
+    }
+  }
+
+  return async function s3Gateway(req, res, next) {
+    if (!isS3Request(req)) {
+      return next();
+    }
+
+    const requestId = req.id || crypto.randomBytes(8).toString("hex");
+    res.setHeader("x-amz-request-id", requestId);
+    let event = null;
+
+    try {
+      if (credentials.size === 0) {
+        throw new S3Error(
+          "AccessDenied",
+          "The S3 API is disabled: no access keys are configured",
+          403
+        );
+      }
+
+      const signing = verifySignature(req, credentials);
+      const matched = route(req);
+      if (!matched) {
+        throw new S3Error(
+          "NotImplemented",
+          "A header or query you provided implies functionality that is not implemented",
+          501
+        );
+      }
+
+      const profile = signing.profile || clients.defaultProfile;
+      if (!clients.has(profile)) {
+        throw new S3Error(
+          "AccessDenied",
+          `Access key is bound to unknown profile ${profile}`,
+          403
+        );
+      }
+
+      const [operation, params] = matched;
+      // Access keys are limited like API keys; rules name S3 operations
+      // such as s3PutObject
+      const limit =
+        limiter.enabled &&
+        limiter.consume(
+          `s3:${signing.accessKeyId}`,
+          `s3${operation[0].toUpperCase()}${operation.substring(1)}`
+        );
+      if (limit) {
+        res.setHeader("RateLimit-Limit", limit.limit);
+        res.setHeader("RateLimit-Remaining", limit.remaining);
+        res.setHeader("RateLimit-Reset", limit.reset);
+      }
+      // Route label of the request in /metrics
+      res.locals.route = `S3 ${operation}`;
+      logger.info(`S3 ${operation}`, {
+        requestId,
+        accessKeyId: signing.accessKeyId,
+        profile,
+        ...params,
+      });
+      if (OPERATION_EVENTS[operation]) {
+        event = {
+          types: OPERATION_EVENTS[operation],
+          data: { api: "s3", profile, bucket: params.bucket },
+        };
+        if (params.key) {
+          event.data.fileName = params.key;
+        }
+      }
+      await handlers[operation](req, res, {
+        ...params,
+        signing,
+        client: clients.get(profile),
+        profile,
+      });
+      if (event) {
+        webhooks.emit(event.types[0], event.data);
+      }
+    } catch (error) {
+      logger.error("S3 request failed", { requestId, error: error.message });
+      if (event) {
+        webhooks.emit("operation.failed", {
+          operation: event.types[1],
+          ...event.data,
+          error: error.message,
+          code: (error instanceof S3Error ? error : toS3Error(error)).code,
+        });
+      }
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      // Drain any unread body so the client sees the error response
+      req.resume();
+      sendError(req, res, error);
+    }
+  };
+}
+
+module.exports = {
+  createS3Gateway,
+  loadCredentials,
+  verifySignature,
+  S3Error,
+};
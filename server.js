@@ -1,13 +1,77 @@
 const express = require("express");
-const AkaveIPCClient = require("./index");
 const multer = require("multer");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
 const os = require("os");
+const crypto = require("crypto");
 const dotenv = require("dotenv");
 const cors = require("cors");
 const logger = require("./logger");
+const { createS3Gateway } = require("./s3");
+const {
+  ApiKeyStore,
+  authenticate,
+  authorize,
+  canAccessBucket,
+} = require("./auth");
+const { ClientPool, selectProfile } = require("./profiles");
+const { ResumableUploadStore, UploadError } = require("./uploads");
+const { DownloadCache } = require("./cache");
+const {
+  ChecksumError,
+  ChecksumStore,
+  computeChecksums,
+  digestHeaders,
+  expectedDigests,
+  verifyDigests,
+} = require("./checksums");
+const {
+  DEFAULT_TYPE,
+  contentDisposition,
+  contentTypeOf,
+  multipartRanges,
+  parseRanges,
+  rangeApplies,
+  readStart,
+  sniffContentType,
+  validatorsOf,
+} = require("./content");
+const { DedupIndex, parseDedupBuckets } = require("./dedup");
+const { FileEncryption } = require("./encryption");
+const { FileOperations } = require("./files");
+const { WebhookDispatcher } = require("./webhooks");
+const { JobManager } = require("./jobs");
+const { MAX_LIMIT, listPage, parseListOptions } = require("./listing");
+const {
+  RateLimiter,
+  UsageStore,
+  callerOf,
+  parseBucketQuotas,
+  parseRateLimits,
+  quotaFromConfig,
+  rateLimit,
+} = require("./limits");
+const { MetadataStore } = require("./metadata");
+const { directorySize, registry, requestMetrics } = require("./metrics");
+const {
+  DOCS_PAGE,
+  buildDocument,
+  findOperation,
+  validateRequest,
+  validateResponses,
+} = require("./openapi");
+const { OPERATIONS, URLSigner, acceptPresigned } = require("./presign");
+const { CommandQueue } = require("./queue");
+const { VersionStore, parseVersionedBuckets } = require("./versions");
+const {
+  AccessDeniedError,
+  AkaveError,
+  BucketNotEmptyError,
+  NotFoundError,
+  ValidationError,
+} = require("./errors");
+const { normalizeFileName } = require("./utils");
 
 dotenv.config();
 
@@ -24,246 +88,1944 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Tag every log line of a request, and the akavecli commands it runs, with
+// a request id taken from X-Request-Id or generated
+app.use((req, res, next) => {
+  const header = req.get("X-Request-Id");
+  req.id =
+    header && /^[\w.:-]{1,128}$/.test(header)
+      ? header
+      : crypto.randomBytes(8).toString("hex");
+  res.setHeader("X-Request-Id", req.id);
+
+  const start = Date.now();
+  res.on("finish", () => {
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+    });
+  });
+  logger.withContext({ requestId: req.id }, next);
+});
+
+// Body parsers call next() from stream events, outside the request's
+// logging context; re-enter it once they are done
+const restoreContext = (req, res, next) =>
+  logger.withContext({ requestId: req.id }, next);
+
+// Time every request, including the S3 API, for /metrics
+app.use(requestMetrics());
+
+// Bounded queue shared by every client so akavecli processes stay limited
+const commandQueue = new CommandQueue({
+  limits: {
+    upload: parseInt(process.env.CLI_MAX_CONCURRENT_UPLOADS, 10) || 2,
+    download: parseInt(process.env.CLI_MAX_CONCURRENT_DOWNLOADS, 10) || 4,
+    default: parseInt(process.env.CLI_MAX_CONCURRENT_COMMANDS, 10) || 8,
+  },
+  maxQueueDepth: parseInt(process.env.CLI_MAX_QUEUE_DEPTH, 10) || 100,
+});
+
+// Initialize the Akave IPC client pool, one client per wallet profile
+const clients = ClientPool.fromConfig(process.env.PROFILES_FILE, process.env, {
+  queue: commandQueue,
+  timeouts: {
+    upload: parseInt(process.env.CLI_TRANSFER_TIMEOUT_MS, 10) || 3600000,
+    download: parseInt(process.env.CLI_TRANSFER_TIMEOUT_MS, 10) || 3600000,
+    default: parseInt(process.env.CLI_COMMAND_TIMEOUT_MS, 10) || 120000,
+  },
+  // "local" keeps everything on disk and needs neither akavecli nor a node
+  backend: process.env.STORAGE_BACKEND || "akavecli",
+  localRoot: process.env.LOCAL_STORAGE_DIR || "./local-storage",
+});
+// Fail at startup rather than on the first request if the backend is broken
+clients.get();
+
+// Cancel pending akavecli work when the HTTP client goes away, and report
+// the command queue depth so callers can back off
+app.use((req, res, next) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  req.signal = controller.signal;
+  res.setHeader("X-Queue-Depth", commandQueue.depth());
+  next();
+});
+
+// Cache of downloaded files shared by the JSON and S3 download routes
+const cache = new DownloadCache(
+  process.env.DOWNLOAD_CACHE_DIR || path.join(process.cwd(), "downloads"),
+  {
+    maxBytes:
+      (parseInt(process.env.DOWNLOAD_CACHE_MAX_SIZE_MB, 10) || 1024) *
+      1024 *
+      1024,
+    maxAge:
+      (parseInt(process.env.DOWNLOAD_CACHE_MAX_AGE_HOURS, 10) || 24) *
+      60 *
+      60 *
+      1000,
+  }
+);
+
+// Clients may keep downloads but revalidate them with their ETag on every
+// use, since a file name can be reused for new content
+const DOWNLOAD_CACHE_CONTROL =
+  process.env.DOWNLOAD_CACHE_CONTROL || "private, no-cache";
+
+// Envelope encryption of uploads, enabled by ENCRYPTION_KEYS
+const encryption = FileEncryption.fromEnv(process.env);
+
+// User metadata and tags attached to files
+const metadata = new MetadataStore(
+  process.env.METADATA_FILE || path.join(process.cwd(), "metadata.json")
+);
+
+// SHA-256 (and optionally CRC32C) of every upload, checked on verify
+const checksums = new ChecksumStore(
+  process.env.CHECKSUMS_FILE || path.join(process.cwd(), "checksums.json")
+);
+const CHECKSUM_CRC32C = process.env.CHECKSUM_CRC32C === "true";
+
+// Repeat uploads of content a bucket already holds, in DEDUP_BUCKETS or
+// with ?dedup=true, become aliases of the stored file
+const dedup = new DedupIndex(
+  process.env.DEDUP_FILE || path.join(process.cwd(), "dedup.json"),
+  { buckets: parseDedupBuckets(process.env.DEDUP_BUCKETS) }
+);
+
+// Every upload to the buckets in VERSIONED_BUCKETS is kept as a version
+const maxVersions = parseInt(process.env.VERSIONS_MAX_PER_FILE, 10);
+const versions = new VersionStore(
+  process.env.VERSIONS_FILE || path.join(process.cwd(), "versions.json"),
+  {
+    buckets: parseVersionedBuckets(process.env.VERSIONED_BUCKETS),
+    maxVersions: isNaN(maxVersions) ? 10 : maxVersions,
+  }
+);
+
+// Storage used per caller and bucket, checked against quotas before uploads
+const usage = new UsageStore(
+  process.env.USAGE_FILE || path.join(process.cwd(), "usage.json"),
+  {
+    callerQuota: quotaFromConfig(
+      process.env.QUOTA_MAX_MB_PER_KEY,
+      process.env.QUOTA_MAX_FILES_PER_KEY
+    ),
+    bucketQuota: quotaFromConfig(
+      process.env.QUOTA_MAX_MB_PER_BUCKET,
+      process.env.QUOTA_MAX_FILES_PER_BUCKET
+    ),
+    bucketQuotas: parseBucketQuotas(process.env.BUCKET_QUOTAS),
+  }
+);
+
+// Uploads and deletes through both APIs keep aliases, versions and the
+// records above in step
+const fileOps = new FileOperations({
+  checksums,
+  dedup,
+  encryption,
+  metadata,
+  usage,
+  versions,
+});
+
+// Request rate limits per caller, overall and per operation
+const limiter = new RateLimiter(parseRateLimits(process.env.RATE_LIMITS));
+
+// Bucket and file events delivered to webhook subscribers
+const webhooks = new WebhookDispatcher(
+  process.env.WEBHOOKS_DIR || path.join(process.cwd(), "webhooks"),
+  {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 10000,
+    defaultProfile: clients.defaultProfile,
+  }
+);
+
+// Uploads and downloads running in the background for async requests
+const jobs = new JobManager({
+  ttl: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000,
+});
+
+// S3-compatible API for Signature V4 signed requests; must run before the
+// JSON body parser so object uploads are streamed untouched
+app.use(
+  createS3Gateway({
+    clients,
+    cache,
+    encryption,
+    fileOps,
+    limiter,
+    usage,
+    webhooks,
+  })
+);
+
 // Middleware to parse JSON bodies
-app.use(express.json());
+app.use(express.json(), restoreContext);
 
-// Configure multer for file upload handling
-const upload = multer({
+// Log JSON responses that do not match the OpenAPI document
+if (process.env.OPENAPI_VALIDATE_RESPONSES === "true") {
+  app.use(
+    validateResponses((route, errors) => {
+      logger.warn("Response does not match the API specification", {
+        operationId: route.operationId,
+        errors,
+      });
+    })
+  );
+}
+
+// Name a multipart file is stored under
+function uploadedName(req, file) {
+  return req.presigned
+    ? req.presigned.fileName
+    : normalizeFileName(file.originalname);
+}
+
+// Configure multer for file upload handling. A file the caller or the
+// bucket has no room for is refused before any of its bytes are read.
+const parseUpload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
+  fileFilter: (req, file, cb) => {
+    try {
+      checkQuota(req, uploadedName(req, file), 0);
+      cb(null, true);
+    } catch (error) {
+      cb(error);
+    }
+  },
 }).fields([
   { name: "file", maxCount: 1 },
   { name: "file1", maxCount: 1 },
 ]);
 
-// Initialize Akave IPC client
-const client = new AkaveIPCClient(
-  process.env.NODE_ADDRESS,
-  process.env.PRIVATE_KEY
+const upload = (req, res, next) =>
+  parseUpload(req, res, (error) =>
+    error instanceof AkaveError ? sendError(res, error) : next(error)
+  );
+
+// API keys scoped to buckets and operations
+const apiKeys = new ApiKeyStore(
+  process.env.API_KEYS_FILE || path.join(process.cwd(), "api-keys.json"),
+  { adminKey: process.env.ADMIN_API_KEY }
+);
+
+if (!apiKeys.enabled) {
+  logger.warn("No API keys configured, all routes are unauthenticated");
+}
+
+// Signs presigned download and upload URLs
+if (!process.env.PRESIGN_SECRET) {
+  logger.warn(
+    "PRESIGN_SECRET is not set, presigned URLs stop working on restart"
+  );
+}
+const signer = new URLSigner(
+  process.env.PRESIGN_SECRET || crypto.randomBytes(32).toString("hex")
+);
+
+// Resumable upload sessions, kept on disk so they survive restarts
+const uploads = new ResumableUploadStore(
+  process.env.UPLOADS_DIR || path.join(process.cwd(), "uploads"),
+  {
+    ttl:
+      (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) *
+      60 *
+      60 *
+      1000,
+  }
 );
 
+// Directory admin keys may upload server-side files from with `filePath`;
+// such uploads are refused while it is unset
+const serverFilesDir = process.env.SERVER_FILES_DIR
+  ? path.resolve(process.env.SERVER_FILES_DIR)
+  : null;
+
+uploads.purgeExpired().catch((error) => {
+  logger.error("Failed to purge expired uploads", { error: error.message });
+});
+
+// Disk used by the download cache, resumable uploads and temporary copies
+// of uploaded files, measured when /metrics is scraped
+registry.gauge({
+  name: "akavelink_disk_usage_bytes",
+  help: "Bytes stored in the download cache, upload and temporary directories.",
+  labelNames: ["directory"],
+  async collect() {
+    const tempDirs = (await fs.readdir(os.tmpdir())).filter((entry) =>
+      entry.startsWith("akave-")
+    );
+    const [downloads, resumable, ...temp] = await Promise.all([
+      directorySize(cache.root),
+      directorySize(uploads.root),
+      ...tempDirs.map((entry) => directorySize(path.join(os.tmpdir(), entry))),
+    ]);
+    this.set({ directory: "downloads" }, downloads);
+    this.set({ directory: "uploads" }, resumable);
+    this.set(
+      { directory: "temp" },
+      temp.reduce((total, size) => total + size, 0)
+    );
+  },
+});
+
 // Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({ status: "ok" });
+app.get("/health", validateRequest("getHealth"), (req, res) => {
+  res.json({ status: "ok", queue: commandQueue.stats() });
 });
 
-// Bucket endpoints
-app.post("/buckets", async (req, res) => {
+// Prometheus metrics, readable without a key like /health
+app.get("/metrics", async (req, res) => {
   try {
-    const { bucketName } = req.body;
-    const result = await client.createBucket(bucketName);
-    res.json({ success: true, data: result });
+    res.type("text/plain; version=0.0.4").send(await registry.render());
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-app.get("/buckets", async (req, res) => {
-  try {
-    const result = await client.listBuckets();
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+// API specification and interactive documentation, readable without a key
+app.get("/openapi.json", (req, res) => {
+  res.json(buildDocument({ serverUrl: process.env.PUBLIC_URL }));
+});
+
+app.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
 });
 
-app.get("/buckets/:bucketName", async (req, res) => {
+function errorCode(error) {
+  return error instanceof AkaveError ? error.code : "INTERNAL_ERROR";
+}
+
+// Typed errors carry their own status and machine-readable code
+function sendError(res, error) {
+  const statusCode = error.statusCode || 500;
+  if (error.retryAfter) {
+    res.setHeader("Retry-After", error.retryAfter);
+  } else if (statusCode === 503) {
+    res.setHeader("Retry-After", 5);
+  }
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    code: errorCode(error),
+  });
+}
+
+// Publish a webhook event about the bucket the request acts on
+function notify(req, type, data = {}) {
+  webhooks.emit(type, {
+    profile: req.profile,
+    bucket: req.params.bucketName,
+    ...data,
+  });
+}
+
+function notifyFailure(req, operation, error, data = {}) {
+  notify(req, "operation.failed", {
+    operation,
+    ...data,
+    error: error.message,
+    code: errorCode(error),
+  });
+}
+
+// Add the encryption, checksum and user metadata recorded for a file, if any
+function describeFile(req, file) {
+  const described = { ...file };
+  const stored = storedInfo(req, file);
+  const details = encryptionOf(req, file);
+  if (details) {
+    described.Encryption = details;
+  }
+  const checksum = checksums.describe(
+    req.profile,
+    req.params.bucketName,
+    stored
+  );
+  if (checksum) {
+    described.Checksum = checksum;
+  }
+  const fileMetadata = metadata.describe(
+    req.profile,
+    req.params.bucketName,
+    stored
+  );
+  if (fileMetadata) {
+    described.Metadata = fileMetadata;
+  }
+  return described;
+}
+
+// Attach metadata given with an upload and report it in the result
+function recordMetadata(req, result, fields) {
+  if (Object.keys(fields).length === 0) {
+    return result;
+  }
+  const record = metadata.set(
+    req.profile,
+    req.params.bucketName,
+    storedInfo(req, result),
+    fields
+  );
+  return { ...result, Metadata: metadata.format(record) };
+}
+
+/**
+ * Resolve the `filePath` of an upload to a file inside SERVER_FILES_DIR.
+ * Reading files off the server is reserved to admin keys.
+ */
+async function serverFilePath(req, requested) {
+  if (req.apiKey && !req.apiKey.permissions.includes("admin")) {
+    throw new AccessDeniedError("Only admin keys may upload by filePath");
+  }
+  if (!serverFilesDir) {
+    throw new AccessDeniedError("Uploads by filePath are disabled");
+  }
+  const isInside = (root, filePath) => filePath.startsWith(root + path.sep);
+  const resolved = path.resolve(serverFilesDir, requested);
+  if (!isInside(serverFilesDir, resolved)) {
+    throw new AccessDeniedError("filePath must be inside SERVER_FILES_DIR");
+  }
+  // Symlinks are followed so they cannot lead out of the directory either
+  let real;
   try {
-    const result = await client.viewBucket(req.params.bucketName);
-    res.json({ success: true, data: result });
+    real = await fs.realpath(resolved);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    throw new ValidationError(`File ${requested} does not exist`);
   }
-});
+  if (!isInside(await fs.realpath(serverFilesDir), real)) {
+    throw new AccessDeniedError("filePath must be inside SERVER_FILES_DIR");
+  }
+  return resolved;
+}
+
+/**
+ * Hash a file about to be uploaded and reject it when it does not match a
+ * digest the client sent along (Content-MD5, Digest, Repr-Digest).
+ */
+async function checksumUpload(req, filePath) {
+  const expected = expectedDigests(req.headers);
+  const computed = await computeChecksums(fsSync.createReadStream(filePath), {
+    md5: Boolean(expected.md5),
+    crc32c: CHECKSUM_CRC32C || Boolean(expected.crc32c),
+  });
+  verifyDigests(expected, computed);
+  return computed;
+}
+
+// The bucket a request acts on, as FileOperations takes it
+function bucketOf(req, signal = req.signal) {
+  return {
+    client: req.client,
+    profile: req.profile,
+    bucketName: req.params.bucketName,
+    caller: callerOf(req),
+    signal,
+  };
+}
+
+// Files of a bucket as clients see them, with aliases and versions
+function visibleFiles(req, files) {
+  return fileOps.visible(bucketOf(req), files);
+}
+
+function storedInfo(req, info) {
+  return fileOps.storedInfo(bucketOf(req), info);
+}
+
+function storedNameOf(req, info) {
+  return fileOps.storedNameOf(bucketOf(req), info);
+}
+
+function encryptionOf(req, info) {
+  return fileOps.encryptionOf(bucketOf(req), info);
+}
+
+// Info of the requested file, or of the version in ?versionId
+function fileInfo(req, signal = req.signal) {
+  return fileOps.info(bucketOf(req, signal), req.params.fileName, {
+    versionId: req.query.versionId,
+  });
+}
+
+// Upload a hashed file to the bucket; ?dedup overrides DEDUP_BUCKETS
+function storeUpload(req, { fileName, filePath, computed, options }) {
+  return fileOps.store(bucketOf(req, options.signal), {
+    fileName,
+    filePath,
+    computed,
+    dedup:
+      req.query.dedup === undefined ? undefined : req.query.dedup === "true",
+    options,
+  });
+}
+
+/**
+ * Readable plaintext of a file fetched with `partial`, like
+ * encryption.open. A plain file still being downloaded is read as it
+ * grows, with the size its info reports; encrypted ones are only decrypted
+ * once complete.
+ */
+async function openDownload(download, info, details) {
+  if (!download.file) {
+    return encryption.open(download.filePath, details);
+  }
+  if (details) {
+    const { filePath } = await download.done;
+    return encryption.open(filePath, details);
+  }
+
+  const size = Number(info.Size ?? info.EncodedSize ?? info.ActualSize ?? 0);
+  return {
+    size,
+    encryption: null,
+    createReadStream: ({ start = 0, end = size - 1 } = {}) =>
+      download.file.createReadStream({ start, end }),
+  };
+}
 
-app.delete("/buckets/:bucketName", async (req, res) => {
+// Reject an upload of `size` bytes as `fileName` that would exceed the
+// caller's or the bucket's storage quota
+function checkQuota(req, fileName, size) {
+  usage.check({
+    profile: req.profile,
+    bucketName: req.params.bucketName,
+    fileName,
+    size,
+    caller: callerOf(req),
+    apiKey: req.apiKey,
+  });
+}
+
+// Remove a file through FileOperations, publishing the outcome
+async function deleteFile(req, fileName, options) {
   try {
-    const result = await client.deleteBucket(req.params.bucketName);
-    res.json({ success: true, data: result });
+    const result = await fileOps.remove(bucketOf(req), fileName, options);
+    notify(req, "file.deleted", { fileName, result });
+    return result;
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    notifyFailure(req, "file.delete", error, { fileName });
+    throw error;
   }
-});
+}
+
+const BULK_DELETE_LIMIT = 1000;
+const BULK_DELETE_CONCURRENCY = 4;
+
+// Delete a few files at a time and report every file's outcome instead of
+// stopping at the first failure
+async function deleteFiles(req, fileNames, options) {
+  const results = new Array(fileNames.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < fileNames.length) {
+      const index = next++;
+      const fileName = fileNames[index];
+      try {
+        await deleteFile(req, fileName, options);
+        results[index] = { fileName, success: true };
+      } catch (error) {
+        results[index] = {
+          fileName,
+          success: false,
+          error: error.message,
+          code: errorCode(error),
+        };
+      }
+    }
+  };
+  const workers = Math.min(BULK_DELETE_CONCURRENCY, fileNames.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Clients opt into background processing with ?async=true or
+// "Prefer: respond-async"
+function wantsAsync(req) {
+  return (
+    req.query.async === "true" || /respond-async/i.test(req.get("Prefer") || "")
+  );
+}
+
+// Run a transfer as a job and answer 202 with a Location to poll
+function startJob(req, res, details, task) {
+  const job = jobs.create(
+    {
+      ...details,
+      owner: req.apiKey ? req.apiKey.id : null,
+      profile: req.profile,
+      bucketName: req.params.bucketName,
+    },
+    task
+  );
+  if (req.get("Prefer")) {
+    res.setHeader("Preference-Applied", "respond-async");
+  }
+  res
+    .status(202)
+    .location(`/jobs/${job.id}`)
+    .json({ success: true, data: jobs.describe(job) });
+}
+
+// Jobs are only visible to the API key that started them
+function getJob(req) {
+  const job = jobs.get(req.params.jobId);
+  if (!job || (req.apiKey && job.owner !== req.apiKey.id)) {
+    throw new NotFoundError("Job not found");
+  }
+  return job;
+}
+
+// Every route below requires an API key once keys are configured, or a
+// presigned URL in its place
+app.use(acceptPresigned(signer, apiKeys));
+app.use(authenticate(apiKeys));
+
+// Limit request rates per API key, or per client address without keys
+app.use(rateLimit(limiter, (req) => findOperation(req.method, req.path)));
+
+// Pick the wallet profile (req.client) the request acts as
+app.use(selectProfile(clients));
+
+// API key management endpoints
+app.get(
+  "/admin/keys",
+  validateRequest("listApiKeys"),
+  authorize("admin", () => null),
+  (req, res) => {
+    res.json({ success: true, data: apiKeys.list() });
+  }
+);
+
+app.post(
+  "/admin/keys",
+  validateRequest("createApiKey"),
+  authorize("admin", () => null),
+  (req, res) => {
+    try {
+      const { name, buckets, permissions, profiles, quota } = req.body;
+      if (buckets !== undefined && !Array.isArray(buckets)) {
+        throw new ValidationError(
+          "buckets must be an array of bucket names or patterns"
+        );
+      }
+      if (permissions !== undefined && !Array.isArray(permissions)) {
+        throw new ValidationError("permissions must be an array");
+      }
+      if (profiles !== undefined && !Array.isArray(profiles)) {
+        throw new ValidationError("profiles must be an array of profile names");
+      }
+      const result = apiKeys.create({
+        name,
+        buckets,
+        permissions,
+        profiles,
+        quota,
+      });
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/admin/keys/:id",
+  validateRequest("deleteApiKey"),
+  authorize("admin", () => null),
+  (req, res) => {
+    if (!apiKeys.remove(req.params.id)) {
+      return sendError(res, new NotFoundError("API key not found"));
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  }
+);
+
+app.get(
+  "/admin/profiles",
+  validateRequest("listProfiles"),
+  authorize("admin", () => null),
+  (req, res) => {
+    try {
+      res.json({ success: true, data: clients.list() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/admin/cache",
+  validateRequest("getCacheStats"),
+  authorize("admin", () => null),
+  (req, res) => {
+    res.json({ success: true, data: cache.stats() });
+  }
+);
+
+app.delete(
+  "/admin/cache",
+  validateRequest("clearCache"),
+  authorize("admin", () => null),
+  async (req, res) => {
+    try {
+      await cache.clear();
+      res.json({ success: true, data: cache.stats() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/admin/usage",
+  validateRequest("listUsage"),
+  authorize("admin", () => null),
+  (req, res) => {
+    res.json({ success: true, data: usage.summary() });
+  }
+);
+
+// Webhook subscription endpoints, scoped to the request's profile
+app.get(
+  "/webhooks",
+  validateRequest("listWebhooks"),
+  authorize("admin", () => null),
+  (req, res) => {
+    res.json({ success: true, data: webhooks.list(req.profile) });
+  }
+);
+
+app.post(
+  "/webhooks",
+  validateRequest("createWebhook"),
+  authorize("admin", () => null),
+  (req, res) => {
+    try {
+      const { url, events, buckets, secret, description } = req.body;
+      const result = webhooks.subscribe(req.profile, {
+        url,
+        events,
+        buckets,
+        secret,
+        description,
+      });
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/webhooks/:id",
+  validateRequest("deleteWebhook"),
+  authorize("admin", () => null),
+  (req, res) => {
+    if (!webhooks.unsubscribe(req.profile, req.params.id)) {
+      return sendError(res, new NotFoundError("Webhook not found"));
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  }
+);
+
+app.get(
+  "/webhooks/:id/deliveries",
+  validateRequest("listWebhookDeliveries"),
+  authorize("admin", () => null),
+  (req, res) => {
+    if (!webhooks.get(req.profile, req.params.id)) {
+      return sendError(res, new NotFoundError("Webhook not found"));
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    res.json({ success: true, data: webhooks.history(req.params.id, limit) });
+  }
+);
+
+// Bucket endpoints
+app.post(
+  "/buckets",
+  validateRequest("createBucket"),
+  authorize("write", (req) => req.body.bucketName),
+  async (req, res) => {
+    try {
+      const { bucketName } = req.body;
+      if (!bucketName) {
+        throw new ValidationError("bucketName is required");
+      }
+      const result = await req.client.createBucket(bucketName, {
+        signal: req.signal,
+      });
+      notify(req, "bucket.created", { bucket: bucketName, result });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      notifyFailure(req, "bucket.create", error, {
+        bucket: req.body.bucketName,
+      });
+      sendError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/buckets",
+  validateRequest("listBuckets"),
+  authorize("read", () => null),
+  async (req, res) => {
+    try {
+      const options = parseListOptions(req.query);
+      const buckets = await req.client.listBuckets({ signal: req.signal });
+      // Only show the buckets the caller's key is scoped to
+      const visible = req.apiKey
+        ? buckets.filter((bucket) => canAccessBucket(req.apiKey, bucket.Name))
+        : buckets;
+      const page = listPage(visible, options);
+      res.json({
+        success: true,
+        data: page.items,
+        pagination: { nextCursor: page.nextCursor },
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/buckets/:bucketName",
+  validateRequest("getBucket"),
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const result = await req.client.viewBucket(req.params.bucketName, {
+        signal: req.signal,
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// ?force=true deletes every file first
+app.delete(
+  "/buckets/:bucketName",
+  validateRequest("deleteBucket"),
+  authorize("delete"),
+  async (req, res) => {
+    try {
+      let filesDeleted = 0;
+      if (req.query.force === "true") {
+        const files = await req.client.listFiles(req.params.bucketName, {
+          signal: req.signal,
+        });
+        // Every stored file goes, including versions and aliased files
+        const results = await deleteFiles(
+          req,
+          files.map((file) => file.Name),
+          { permanent: true }
+        );
+        const failed = results.filter((outcome) => !outcome.success);
+        if (failed.length > 0) {
+          throw new BucketNotEmptyError(
+            `Failed to delete ${failed.length} of ${results.length} files: ${failed[0].error}`
+          );
+        }
+        // Aliases and versions of files that could not be deleted stay usable
+        dedup.forgetBucket(req.profile, req.params.bucketName);
+        versions.forgetBucket(req.profile, req.params.bucketName);
+        filesDeleted = results.length;
+      }
+
+      const result = await req.client.deleteBucket(req.params.bucketName, {
+        signal: req.signal,
+      });
+      notify(req, "bucket.deleted", { result, filesDeleted });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      notifyFailure(req, "bucket.delete", error);
+      sendError(res, error);
+    }
+  }
+);
 
 // File endpoints
-app.get("/buckets/:bucketName/files", async (req, res) => {
-  try {
-    const result = await client.listFiles(req.params.bucketName);
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+app.get(
+  "/buckets/:bucketName/files",
+  validateRequest("listFiles"),
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const options = parseListOptions(req.query, { files: true });
+      const files = await req.client.listFiles(req.params.bucketName, {
+        signal: req.signal,
+      });
+      const page = listPage(
+        visibleFiles(req, files).map((file) => describeFile(req, file)),
+        options
+      );
+      res.json({
+        success: true,
+        data: page.items,
+        ...(options.delimiter && { prefixes: page.prefixes }),
+        pagination: { nextCursor: page.nextCursor },
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
   }
-});
+);
 
-app.get("/buckets/:bucketName/files/:fileName", async (req, res) => {
-  try {
-    const result = await client.getFileInfo(
-      req.params.bucketName,
-      req.params.fileName
+// Bulk delete by name ({ "fileNames": [...] }) or by { "prefix": "..." }
+app.delete(
+  "/buckets/:bucketName/files",
+  validateRequest("deleteFiles"),
+  authorize("delete"),
+  async (req, res) => {
+    try {
+      const { fileNames, prefix } = req.body || {};
+      let targets;
+      if (fileNames !== undefined) {
+        if (
+          !Array.isArray(fileNames) ||
+          fileNames.length === 0 ||
+          !fileNames.every((name) => typeof name === "string" && name)
+        ) {
+          throw new ValidationError(
+            "fileNames must be a non-empty array of file names"
+          );
+        }
+        targets = [...new Set(fileNames)];
+      } else if (typeof prefix === "string" && prefix) {
+        const files = await req.client.listFiles(req.params.bucketName, {
+          signal: req.signal,
+        });
+        const names = visibleFiles(req, files)
+          .map((file) => file.Name)
+          .filter((name) => name.startsWith(prefix));
+        // Aliases go first, so the files they point at can be deleted too
+        const isAlias = (name) =>
+          Boolean(dedup.resolve(req.profile, req.params.bucketName, name));
+        targets = [
+          ...names.filter(isAlias),
+          ...names.filter((name) => !isAlias(name)),
+        ];
+      } else {
+        throw new ValidationError("fileNames or prefix is required");
+      }
+      if (targets.length > BULK_DELETE_LIMIT) {
+        throw new ValidationError(
+          `At most ${BULK_DELETE_LIMIT} files can be deleted per request`
+        );
+      }
+
+      const results = await deleteFiles(req, targets);
+      const deleted = results.filter((outcome) => outcome.success).length;
+      res.json({
+        success: true,
+        data: { deleted, failed: results.length - deleted, results },
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.delete(
+  "/buckets/:bucketName/files/:fileName",
+  validateRequest("deleteFile"),
+  authorize("delete"),
+  async (req, res) => {
+    try {
+      const result = await deleteFile(req, req.params.fileName);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/buckets/:bucketName/files/:fileName",
+  validateRequest("getFileInfo"),
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const info = await fileInfo(req);
+      res.json({ success: true, data: describeFile(req, info) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * Versions of a file, newest first, delete markers included. A file that
+ * was never versioned lists as its only version, with a null VersionId.
+ */
+async function listFileVersions(req) {
+  const { bucketName, fileName } = req.params;
+  const fileVersions = versions.list(req.profile, bucketName, fileName);
+  if (fileVersions.length === 0) {
+    const info = await fileInfo(req);
+    return [
+      versions.format(
+        fileName,
+        fileOps.unversionedRecord(bucketOf(req), info),
+        true
+      ),
+    ];
+  }
+  return fileVersions
+    .map((version, index) =>
+      versions.format(fileName, version, index === fileVersions.length - 1)
+    )
+    .reverse();
+}
+
+function findVersion(req) {
+  const { bucketName, fileName, versionId } = req.params;
+  const version = versions.get(req.profile, bucketName, fileName, versionId);
+  if (!version) {
+    throw new NotFoundError(`version not found: ${versionId}`);
+  }
+  return version;
+}
+
+app.get(
+  "/buckets/:bucketName/files/:fileName/versions",
+  validateRequest("listFileVersions"),
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const fileVersions = await listFileVersions(req);
+      res.json({ success: true, data: fileVersions });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Make an earlier version current again, undoing later uploads or a delete
+app.post(
+  "/buckets/:bucketName/files/:fileName/versions/:versionId/restore",
+  validateRequest("restoreFileVersion"),
+  authorize("write"),
+  async (req, res) => {
+    const { bucketName, fileName, versionId } = req.params;
+    try {
+      const version = findVersion(req);
+      if (version.deleteMarker) {
+        throw new ValidationError("A delete marker cannot be restored");
+      }
+      const result = versions.format(
+        fileName,
+        versions.promote(req.profile, bucketName, fileName, versionId),
+        true
+      );
+      notify(req, "file.restored", { fileName, result });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      notifyFailure(req, "file.restore", error, { fileName, versionId });
+      sendError(res, error);
+    }
+  }
+);
+
+// Permanently delete one version. Deleting the current version makes the
+// one before it current; deleting a delete marker undeletes the file.
+app.delete(
+  "/buckets/:bucketName/files/:fileName/versions/:versionId",
+  validateRequest("deleteFileVersion"),
+  authorize("delete"),
+  async (req, res) => {
+    const { bucketName, fileName, versionId } = req.params;
+    try {
+      const version = findVersion(req);
+      const latest = versions.latest(req.profile, bucketName, fileName);
+      if (!version.deleteMarker) {
+        try {
+          await fileOps.removeStored(bucketOf(req), version.storedAs);
+        } catch (error) {
+          // Already gone; only the record is left to remove
+          if (error.code !== "NOT_FOUND") {
+            throw error;
+          }
+        }
+      }
+      versions.remove(req.profile, bucketName, fileName, versionId);
+      const result = versions.format(
+        fileName,
+        version,
+        latest.versionId === versionId
+      );
+      notify(req, "file.deleted", { fileName, versionId, result });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      notifyFailure(req, "file.delete", error, { fileName, versionId });
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * Download a fresh copy of a file, bypassing the download cache, and check
+ * it against the checksums recorded when it was uploaded. A mismatch is
+ * reported as `verified: false`, not as an error.
+ */
+async function verifyFile(req, { signal, onProgress }) {
+  const { bucketName, fileName } = req.params;
+  const info = await fileInfo(req, signal);
+  const record = checksums.get(req.profile, bucketName, storedInfo(req, info));
+  if (!record) {
+    throw new ChecksumError(
+      `No checksum is recorded for ${fileName}`,
+      "NO_CHECKSUM",
+      404
     );
-    res.json({ success: true, data: result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
   }
-});
 
-// Modified file upload endpoint
-app.post("/buckets/:bucketName/files", upload, async (req, res) => {
-  const requestId = Math.random().toString(36).substring(7);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-"));
   try {
-    logger.info(requestId, "Processing file upload request", {
-      bucket: req.params.bucketName,
+    const name = storedNameOf(req, info);
+    await req.client.downloadFile(bucketName, name, tempDir, {
+      signal,
+      onProgress,
+    });
+    const stored = await encryption.open(
+      path.join(tempDir, normalizeFileName(name)),
+      encryptionOf(req, info)
+    );
+    const computed = await computeChecksums(stored.createReadStream(), {
+      crc32c: Boolean(record.crc32c),
     });
+    const expected = checksums.format(record);
+    const actual = checksums.format({
+      sha256: computed.sha256.toString("hex"),
+      crc32c: record.crc32c && computed.crc32c.toString("hex"),
+      size: computed.size,
+    });
+    const result = {
+      fileName,
+      verified:
+        actual.SHA256 === expected.SHA256 &&
+        actual.CRC32C === expected.CRC32C &&
+        actual.Size === expected.Size,
+      expected,
+      actual,
+    };
+    notify(req, "file.verified", result);
+    return result;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
 
-    let result;
-    const uploadedFile = req.files?.file?.[0] || req.files?.file1?.[0];
+app.post(
+  "/buckets/:bucketName/files/:fileName/verify",
+  validateRequest("verifyFile"),
+  authorize("read"),
+  async (req, res) => {
+    const verify = (options) =>
+      verifyFile(req, options).catch((error) => {
+        notifyFailure(req, "file.verify", error, {
+          fileName: req.params.fileName,
+        });
+        throw error;
+      });
+
+    if (wantsAsync(req)) {
+      return startJob(
+        req,
+        res,
+        { type: "verify", fileName: req.params.fileName },
+        verify
+      );
+    }
+
+    try {
+      const result = await verify({ signal: req.signal });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
 
-    if (uploadedFile) {
-      logger.info(requestId, "Handling buffer upload", {
-        filename: uploadedFile.originalname,
+// Mint a URL that downloads or uploads this one file without an API key
+app.post(
+  "/buckets/:bucketName/files/:fileName/presign",
+  validateRequest("presignFile"),
+  (req, res, next) => {
+    const operation = OPERATIONS[req.body.operation || "download"];
+    authorize(operation ? operation.permission : "read")(req, res, next);
+  },
+  (req, res) => {
+    try {
+      const { operation, expiresIn, maxSize } = req.body;
+      const presigned = signer.sign({
+        operation,
+        bucketName: req.params.bucketName,
+        // Uploads are stored under the normalized name
+        fileName:
+          operation === "upload"
+            ? normalizeFileName(req.params.fileName)
+            : req.params.fileName,
+        profile: req.profile,
+        keyId: req.apiKey ? req.apiKey.id : null,
+        expiresIn,
+        maxSize,
+      });
+      const baseUrl =
+        process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+      res.json({
+        success: true,
+        data: { ...presigned, url: baseUrl.replace(/\/$/, "") + presigned.url },
       });
-      // Handle buffer upload
-      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-"));
-      // Sanitize filename by replacing spaces and special chars with underscore
-      const sanitizedFileName = normalizeFileName(uploadedFile.originalname);
-      const tempFilePath = path.join(tempDir, sanitizedFileName);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// PUT replaces a file's metadata, PATCH merges into it
+for (const method of ["put", "patch"]) {
+  app[method](
+    "/buckets/:bucketName/files/:fileName/metadata",
+    validateRequest(
+      method === "put" ? "replaceFileMetadata" : "updateFileMetadata"
+    ),
+    authorize("write"),
+    async (req, res) => {
       try {
-        // Write buffer to temporary file
-        await fs.writeFile(tempFilePath, uploadedFile.buffer);
+        const fields = MetadataStore.parse(req.body);
+        const info = await fileInfo(req);
+        const record = metadata.set(
+          req.profile,
+          req.params.bucketName,
+          storedInfo(req, info),
+          fields,
+          { merge: method === "patch" }
+        );
+        res.json({ success: true, data: metadata.format(record) });
+      } catch (error) {
+        sendError(res, error);
+      }
+    }
+  );
+}
+
+// Modified file upload endpoint
+app.post(
+  "/buckets/:bucketName/files",
+  validateRequest("uploadFile", { body: false }),
+  authorize("write"),
+  upload,
+  restoreContext,
+  // Multipart fields are only parsed once multer has run
+  validateRequest("uploadFile"),
+  async (req, res) => {
+    let tempDir = null;
+    // Set once a background job owns the temporary copy
+    let detached = false;
+    const removeTempDir = async () => {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    };
+
+    try {
+      logger.info("Processing file upload request", {
+        bucket: req.params.bucketName,
+      });
+
+      let filePath;
+      let fileOptions = {};
+      const uploadedFile = req.files?.file?.[0] || req.files?.file1?.[0];
+      const fields = MetadataStore.parse(req.body);
+      if (uploadedFile && fields.contentType === undefined) {
+        fields.contentType = uploadedFile.mimetype;
+      }
 
-        // Upload the temporary file
-        result = await client.uploadFile(req.params.bucketName, tempFilePath, {
+      // A presigned upload stores exactly the file it was signed for
+      if (req.presigned) {
+        if (!uploadedFile) {
+          throw new ValidationError(
+            "A presigned upload must send the file as multipart form data"
+          );
+        }
+        if (
+          req.presigned.maxSize &&
+          uploadedFile.size > req.presigned.maxSize
+        ) {
+          throw new UploadError(
+            `File exceeds the ${req.presigned.maxSize} byte limit of this URL`,
+            413
+          );
+        }
+      }
+
+      if (uploadedFile) {
+        logger.info("Handling buffer upload", {
+          filename: uploadedFile.originalname,
+        });
+        // Handle buffer upload
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "akave-"));
+        // Sanitize filename by replacing spaces and special chars with underscore
+        const sanitizedFileName = uploadedName(req, uploadedFile);
+        filePath = path.join(tempDir, sanitizedFileName);
+        // Write buffer to temporary file
+        await fs.writeFile(filePath, uploadedFile.buffer);
+        fileOptions = {
           fileName: uploadedFile.originalname,
           cleanup: true, // Tell client to cleanup temp file
+        };
+      } else if (req.body.filePath) {
+        logger.info("Handling file path upload", {
+          path: req.body.filePath,
         });
-      } finally {
+        // Handle file path upload
+        filePath = await serverFilePath(req, req.body.filePath);
+      } else {
+        throw new ValidationError("No file or filePath provided");
+      }
+
+      const { size } = await fs.stat(filePath);
+      checkQuota(req, path.basename(filePath), size);
+      const computed = await checksumUpload(req, filePath);
+
+      const performUpload = async (options) => {
+        const uploaded = await storeUpload(req, {
+          fileName: path.basename(filePath),
+          filePath,
+          computed,
+          options: { ...fileOptions, ...options },
+        });
+        const result = recordMetadata(req, uploaded, fields);
+        logger.info("File upload completed", { result });
+        notify(req, "file.uploaded", { fileName: result.Name, result });
+        return result;
+      };
+
+      if (wantsAsync(req)) {
+        startJob(
+          req,
+          res,
+          {
+            type: "upload",
+            fileName: path.basename(filePath),
+            bytesTotal: size,
+          },
+          (options) =>
+            performUpload(options)
+              .catch((error) => {
+                logger.error("File upload failed", { error: error.message });
+                notifyFailure(req, "file.upload", error);
+                throw error;
+              })
+              .finally(removeTempDir)
+        );
+        detached = true;
+        return;
+      }
+
+      const result = await performUpload({ signal: req.signal });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error("File upload failed", { error: error.message });
+      notifyFailure(req, "file.upload", error);
+      sendError(res, error);
+    } finally {
+      if (!detached) {
         // Cleanup temp directory
-        await fs.rm(tempDir, { recursive: true, force: true });
+        await removeTempDir();
       }
-    } else if (req.body.filePath) {
-      logger.info(requestId, "Handling file path upload", {
-        path: req.body.filePath,
+    }
+  }
+);
+
+// Resumable upload endpoints
+async function getUploadSession(req) {
+  const session = await uploads.get(req.params.uploadId);
+  // Sessions are only visible from the bucket and profile that created them
+  if (
+    session.bucketName !== req.params.bucketName ||
+    session.profile !== req.profile
+  ) {
+    throw new UploadError("Upload not found", 404);
+  }
+  return session;
+}
+
+function setUploadHeaders(res, upload) {
+  res.setHeader("Upload-Offset", upload.offset);
+  res.setHeader("Upload-Length", upload.size);
+  res.setHeader("Cache-Control", "no-store");
+}
+
+app.post(
+  "/buckets/:bucketName/uploads",
+  validateRequest("createUpload"),
+  authorize("write"),
+  async (req, res) => {
+    try {
+      // Refuse uploads that cannot fit before any data is sent
+      checkQuota(req, normalizeFileName(req.body.fileName), req.body.size);
+      const result = await uploads.create({
+        bucketName: req.params.bucketName,
+        fileName: req.body.fileName,
+        size: req.body.size,
+        profile: req.profile,
+        metadata: MetadataStore.parse(req.body),
       });
-      // Handle file path upload
-      result = await client.uploadFile(
-        req.params.bucketName,
-        req.body.filePath
+      logger.info("Created resumable upload", {
+        uploadId: result.uploadId,
+        bucket: result.bucketName,
+        size: result.size,
+      });
+      setUploadHeaders(res, result);
+      res.setHeader(
+        "Location",
+        `/buckets/${req.params.bucketName}/uploads/${result.uploadId}`
       );
-    } else {
-      throw new Error("No file or filePath provided");
+      res.status(201).json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
     }
+  }
+);
 
-    logger.info(requestId, "File upload completed", { result });
-    res.json({ success: true, data: result });
-  } catch (error) {
-    logger.error(requestId, "File upload failed", error);
-    res.status(500).json({ success: false, error: error.message });
+app.get(
+  "/buckets/:bucketName/uploads/:uploadId",
+  validateRequest("getUpload"),
+  authorize("write"),
+  async (req, res) => {
+    try {
+      const result = await uploads.describe(await getUploadSession(req));
+      setUploadHeaders(res, result);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
+    }
   }
-});
+);
 
-app.get("/buckets/:bucketName/files/:fileName/download", async (req, res) => {
-  const requestId = Math.random().toString(36).substring(7);
-  try {
-    logger.info(requestId, "Processing download request", {
-      bucket: req.params.bucketName,
-      file: req.params.fileName,
-    });
+app.patch(
+  "/buckets/:bucketName/uploads/:uploadId",
+  validateRequest("appendUpload"),
+  authorize("write"),
+  async (req, res) => {
+    try {
+      if (!req.is("application/offset+octet-stream")) {
+        throw new UploadError(
+          "Content-Type must be application/offset+octet-stream",
+          415
+        );
+      }
+      const offset = parseInt(req.headers["upload-offset"], 10);
+      if (isNaN(offset) || offset < 0) {
+        throw new UploadError("Upload-Offset header is required");
+      }
 
-    // Create downloads directory if it doesn't exist
-    const downloadDir = path.join(process.cwd(), "downloads");
-    await fs.mkdir(downloadDir, { recursive: true });
+      const session = await getUploadSession(req);
+      const result = await uploads.append(
+        session,
+        offset,
+        req,
+        parseInt(req.headers["content-length"], 10)
+      );
+      setUploadHeaders(res, result);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (req.socket.destroyed) {
+        logger.warn("Upload chunk interrupted", {
+          uploadId: req.params.uploadId,
+        });
+        return;
+      }
+      // Drain the rest of a rejected chunk so the client sees the response
+      req.resume();
+      sendError(res, error);
+    }
+  }
+);
+
+app.post(
+  "/buckets/:bucketName/uploads/:uploadId/complete",
+  validateRequest("completeUpload"),
+  authorize("write"),
+  async (req, res) => {
+    const completeUpload = async (session, options) => {
+      try {
+        let computed;
+        const uploaded = await uploads.complete(session, async (filePath) => {
+          computed = await checksumUpload(req, filePath);
+          return storeUpload(req, {
+            fileName: session.fileName,
+            filePath,
+            computed,
+            options,
+          });
+        });
+        const result = recordMetadata(req, uploaded, session.metadata || {});
+        logger.info("Completed resumable upload", {
+          uploadId: session.uploadId,
+          result,
+        });
+        notify(req, "file.uploaded", {
+          fileName: result.Name,
+          uploadId: session.uploadId,
+          result,
+        });
+        return result;
+      } catch (error) {
+        notifyFailure(req, "file.upload", error, {
+          uploadId: session.uploadId,
+        });
+        throw error;
+      }
+    };
 
-    const normalizedFileName = normalizeFileName(req.params.fileName);
-    const destinationPath = path.join(downloadDir, normalizedFileName);
+    let session;
+    try {
+      session = await getUploadSession(req);
+      // Other uploads may have used up the quota since this one started
+      checkQuota(req, session.fileName, session.size);
+    } catch (error) {
+      notifyFailure(req, "file.upload", error, {
+        uploadId: req.params.uploadId,
+      });
+      return sendError(res, error);
+    }
 
-    // Download the file
-    await client.downloadFile(
-      req.params.bucketName,
-      req.params.fileName,
-      downloadDir
-    );
+    if (wantsAsync(req)) {
+      return startJob(
+        req,
+        res,
+        {
+          type: "upload",
+          fileName: session.fileName,
+          bytesTotal: session.size,
+        },
+        (options) => completeUpload(session, options)
+      );
+    }
 
-    // Check if file exists and is readable
     try {
-      await fs.access(destinationPath, fsSync.constants.R_OK);
-    } catch (err) {
-      throw new Error("File download failed or file is not readable");
+      const result = await completeUpload(session, { signal: req.signal });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      sendError(res, error);
     }
+  }
+);
 
-    // Get file stats
-    const stats = await fs.stat(destinationPath);
+app.delete(
+  "/buckets/:bucketName/uploads/:uploadId",
+  validateRequest("cancelUpload"),
+  authorize("write"),
+  async (req, res) => {
+    try {
+      const session = await getUploadSession(req);
+      await uploads.remove(session.uploadId);
+      res.json({ success: true, data: { uploadId: session.uploadId } });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
 
-    // Add Accept-Ranges header
-    res.setHeader("Accept-Ranges", "bytes");
+app.get(
+  "/buckets/:bucketName/files/:fileName/download",
+  validateRequest("downloadFile"),
+  authorize("read"),
+  async (req, res) => {
+    try {
+      logger.info("Processing download request", {
+        bucket: req.params.bucketName,
+        file: req.params.fileName,
+      });
 
-    // Set common headers
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${req.params.fileName}"`
-    );
-    res.setHeader("Content-Type", "application/octet-stream");
+      // Fetch into the download cache in the background; the finished job
+      // points at this route, which then serves the cached copy
+      if (req.method !== "HEAD" && wantsAsync(req)) {
+        return startJob(
+          req,
+          res,
+          { type: "download", fileName: req.params.fileName },
+          async ({ signal, onProgress }) => {
+            try {
+              const info = await fileInfo(req, signal);
+              const { filePath } = await cache.fetch({
+                client: req.client,
+                profile: req.profile,
+                bucketName: req.params.bucketName,
+                fileName: storedNameOf(req, info),
+                info,
+                signal,
+                onProgress,
+              });
+              const { size } = await encryption.open(
+                filePath,
+                encryptionOf(req, info)
+              );
+              return {
+                fileName: req.params.fileName,
+                size,
+                downloadUrl: req.path,
+              };
+            } catch (error) {
+              notifyFailure(req, "file.download", error, {
+                fileName: req.params.fileName,
+              });
+              throw error;
+            }
+          }
+        );
+      }
+
+      // Validators come from the file's info, so conditional requests and
+      // HEAD are answered without downloading the file
+      const info = await fileInfo(req);
+      const storedFileInfo = storedInfo(req, info);
+      const validators = validatorsOf(info);
+      res.setHeader("ETag", validators.etag);
+      if (info.VersionId) {
+        res.setHeader("X-Version-Id", info.VersionId);
+      }
+      if (validators.lastModified) {
+        res.setHeader("Last-Modified", validators.lastModified.toUTCString());
+      }
+      res.setHeader("Cache-Control", DOWNLOAD_CACHE_CONTROL);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
 
-    let fileStream;
-    const range = req.headers.range;
+      // Digests of the whole file as uploaded, whatever range is sent
+      const checksum = checksums.get(
+        req.profile,
+        req.params.bucketName,
+        storedFileInfo
+      );
+      if (checksum) {
+        res.set(digestHeaders(checksum));
+      }
+
+      res.setHeader("Accept-Ranges", "bytes");
+      res.setHeader(
+        "Content-Disposition",
+        contentDisposition(req.params.fileName, req.query.disposition)
+      );
+      const record = metadata.get(
+        req.profile,
+        req.params.bucketName,
+        storedFileInfo
+      );
+      const contentType = contentTypeOf(
+        req.params.fileName,
+        record && record.contentType
+      );
 
-    if (range) {
-      // Validate range format first
-      if (!range.startsWith("bytes=") || !range.includes("-")) {
-        // Invalid range format - fall back to full file
-        res.setHeader("Content-Length", stats.size);
-        fileStream = fsSync.createReadStream(destinationPath);
+      if (req.method === "HEAD") {
+        const details = describeFile(req, info).Encryption;
+        if (details) {
+          res.setHeader("X-Encryption-Algorithm", details.Algorithm);
+          res.setHeader("X-Encryption-Key-Id", details.KeyId);
+        }
+        res.setHeader("Content-Type", contentType || DEFAULT_TYPE);
+        res.setHeader(
+          "Content-Length",
+          details
+            ? details.Size
+            : Number(info.Size ?? info.EncodedSize ?? info.ActualSize ?? 0)
+        );
+        return res.status(200).end();
+      }
+
+      // Reuse a cached copy while the file is unchanged, otherwise stream
+      // the file while akavecli is still downloading it
+      const download = await cache.fetch({
+        client: req.client,
+        profile: req.profile,
+        bucketName: req.params.bucketName,
+        fileName: storedNameOf(req, info),
+        info,
+        partial: true,
+        signal: req.signal,
+      });
+
+      res.setHeader("X-Cache", download.hit ? "HIT" : "MISS");
+
+      // Encrypted files are decrypted while streaming; size is the plaintext's
+      const stored = await openDownload(
+        download,
+        info,
+        encryptionOf(req, info)
+      );
+      const { size } = stored;
+      if (stored.encryption) {
+        res.setHeader("X-Encryption-Algorithm", stored.encryption.algorithm);
+        res.setHeader("X-Encryption-Key-Id", stored.encryption.keyId);
+      }
+
+      // Without a recorded type or a known extension, look at the content
+      res.setHeader(
+        "Content-Type",
+        contentType || sniffContentType(await readStart(stored)) || DEFAULT_TYPE
+      );
+
+      // A range of a file that changed since (If-Range) becomes the whole file
+      const ranges = rangeApplies(req, validators)
+        ? parseRanges(req.headers.range, size)
+        : null;
+
+      let fileStream;
+      if (!ranges) {
+        res.setHeader("Content-Length", size);
+        fileStream = stored.createReadStream();
+      } else if (ranges.length === 0) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).json({
+          success: false,
+          error: "Requested range not satisfiable",
+        });
+      } else if (ranges.length === 1) {
+        const [{ start, end }] = ranges;
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+        res.setHeader("Content-Length", end - start + 1);
+        fileStream = stored.createReadStream({ start, end });
       } else {
-        try {
-          const parts = range.replace(/bytes=/, "").split("-");
-          const start = parseInt(parts[0], 10);
-          const end = parts[1] ? parseInt(parts[1], 10) : stats.size - 1;
-
-          if (
-            isNaN(start) ||
-            isNaN(end) ||
-            start >= stats.size ||
-            end >= stats.size ||
-            start > end
-          ) {
-            return res.status(416).json({
-              success: false,
-              error: "Requested range not satisfiable",
-            });
-          }
+        const body = multipartRanges(
+          stored,
+          ranges,
+          res.getHeader("Content-Type")
+        );
+        res.status(206);
+        res.setHeader("Content-Type", body.contentType);
+        res.setHeader("Content-Length", body.length);
+        fileStream = body.stream;
+      }
 
-          res.status(206);
-          res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
-          res.setHeader("Content-Length", end - start + 1);
-          fileStream = fsSync.createReadStream(destinationPath, { start, end });
-        } catch (rangeError) {
-          // Any parsing error - fall back to full file
-          res.setHeader("Content-Length", stats.size);
-          fileStream = fsSync.createReadStream(destinationPath);
+      // Stop reading, and waiting for bytes, once the client is gone
+      res.on("close", () => fileStream.destroy());
+
+      // Handle stream errors
+      fileStream.on("error", (err) => {
+        logger.error("Stream error occurred", { error: err.message });
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, error: err.message });
+        } else {
+          res.destroy(err);
         }
+      });
+
+      logger.info("Starting file stream");
+      // Players and download managers fetch a file in many ranges; count a
+      // download once, by the response that starts at its first byte
+      if (!ranges || ranges[0].start === 0) {
+        res.on("finish", () => {
+          notify(req, "file.downloaded", {
+            fileName: req.params.fileName,
+            size,
+            range: res.getHeader("Content-Range") || null,
+          });
+        });
       }
-    } else {
-      // Normal download
-      res.setHeader("Content-Length", stats.size);
-      fileStream = fsSync.createReadStream(destinationPath);
+      fileStream.pipe(res);
+    } catch (error) {
+      logger.error("Download failed", { error: error.message });
+      notifyFailure(req, "file.download", error, {
+        fileName: req.params.fileName,
+      });
+      sendError(res, error);
     }
+  }
+);
 
-    // Handle stream errors
-    fileStream.on("error", (err) => {
-      logger.error(requestId, "Stream error occurred", err);
-      if (!res.headersSent) {
-        res.status(500).json({ success: false, error: err.message });
+// Files across buckets by tag, owner, content type or metadata value, e.g.
+// /search?tag=invoice&owner=alice&metadata.customer=acme
+app.get(
+  "/search",
+  validateRequest("searchFiles"),
+  authorize("read", () => null),
+  (req, res) => {
+    try {
+      const custom = {};
+      for (const [name, value] of Object.entries(req.query)) {
+        if (name.startsWith("metadata.")) {
+          custom[name.substring("metadata.".length)] = String(value);
+        }
+      }
+      const { tag, owner, contentType, bucket } = req.query;
+      const limit =
+        req.query.limit === undefined ? 100 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ValidationError(
+          `limit must be an integer between 1 and ${MAX_LIMIT}`
+        );
       }
+
+      const records = metadata.search(req.profile, {
+        tags: [].concat(tag || []),
+        owner: owner === undefined ? undefined : String(owner),
+        contentType:
+          contentType === undefined ? undefined : String(contentType),
+        custom,
+        canAccess: (bucketName) =>
+          (!bucket || bucketName === bucket) &&
+          (!req.apiKey || canAccessBucket(req.apiKey, bucketName)),
+      });
+      res.json({
+        success: true,
+        data: records.slice(0, limit).map((record) => ({
+          bucketName: record.bucketName,
+          fileName: record.fileName,
+          Metadata: metadata.format(record),
+        })),
+        total: records.length,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Storage usage and quotas
+app.get(
+  "/usage",
+  validateRequest("getUsage"),
+  authorize("read", () => null),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: usage.describeCaller(callerOf(req), req.apiKey),
     });
+  }
+);
 
-    logger.info(requestId, "Starting file stream");
-    fileStream.pipe(res);
-  } catch (error) {
-    logger.error(requestId, "Download failed", error);
-    res.status(500).json({ success: false, error: error.message });
+app.get(
+  "/buckets/:bucketName/usage",
+  validateRequest("getBucketUsage"),
+  authorize("read"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: usage.describeBucket(req.profile, req.params.bucketName),
+    });
   }
-});
+);
+
+// Uploads deduplicated in a bucket and the bytes they saved
+app.get(
+  "/buckets/:bucketName/dedup",
+  validateRequest("getBucketDedup"),
+  authorize("read"),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: dedup.describe(req.profile, req.params.bucketName),
+    });
+  }
+);
+
+// Background jobs
+app.get(
+  "/jobs",
+  validateRequest("listJobs"),
+  authorize("read", () => null),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: jobs.list(req.apiKey ? req.apiKey.id : undefined),
+    });
+  }
+);
+
+app.get(
+  "/jobs/:jobId",
+  validateRequest("getJob"),
+  authorize("read", () => null),
+  (req, res) => {
+    try {
+      res.json({ success: true, data: jobs.describe(getJob(req)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Server-Sent Events: "progress" while the job runs, then a final "state"
+app.get(
+  "/jobs/:jobId/events",
+  validateRequest("streamJobEvents"),
+  authorize("read", () => null),
+  (req, res) => {
+    let job;
+    try {
+      job = getJob(req);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send("state", jobs.describe(job));
+    if (jobs.isFinished(job)) {
+      return res.end();
+    }
+
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    const unsubscribe = jobs.subscribe(job, (event, data) => {
+      send(event, data);
+      if (event === "state") {
+        res.end();
+      }
+    });
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
+
+// Cancelling a finished job has no effect
+app.delete(
+  "/jobs/:jobId",
+  validateRequest("cancelJob"),
+  authorize("read", () => null),
+  (req, res) => {
+    try {
+      const job = getJob(req);
+      jobs.cancel(job);
+      res.json({ success: true, data: jobs.describe(job) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
 
 // Start server
 const PORT = process.env.PORT || 3000;
@@ -271,15 +2033,9 @@ app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 });
 
-// Add at the top of server.js with other utilities
-function normalizeFileName(fileName) {
-  return fileName.replace(/[^a-zA-Z0-9.-]/g, "_");
-}
-
 // After client initialization
-logger.info("Initializing client", {
-  nodeAddress: process.env.NODE_ADDRESS,
-  privateKeyLength: process.env.PRIVATE_KEY
-    ? process.env.PRIVATE_KEY.length
-    : 0,
+logger.info("Initializing clients", {
+  backend: clients.clientOptions.backend,
+  profiles: Object.keys(clients.profiles),
+  defaultProfile: clients.defaultProfile,
 });
@@ -0,0 +1,66 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+// Pending writes per file, shared by every JsonFile of the same path
+const queues = new Map();
+
+/**
+ * A JSON document in a local file, as the stores of this server keep their
+ * records. The document is read once, when a store starts. Each save
+ * snapshots the value; snapshots are written one at a time per file, to a
+ * temporary file that then replaces the document, and a snapshot still
+ * waiting when a newer one arrives is skipped. Without a path nothing is
+ * read or written.
+ */
+class JsonFile {
+  constructor(filePath, { description = "state", indent = 2 } = {}) {
+    this.filePath = filePath && path.resolve(filePath);
+    this.description = description;
+    this.indent = indent;
+  }
+
+  // The saved document, or `fallback` when there is none yet
+  read(fallback) {
+    if (!this.filePath || !fsSync.existsSync(this.filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fsSync.readFileSync(this.filePath, "utf8"));
+  }
+
+  // Resolves once this snapshot, or a newer one, is on disk; never rejects
+  save(value) {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    let queue = queues.get(this.filePath);
+    if (!queue) {
+      queue = { contents: null, next: null, last: Promise.resolve() };
+      queues.set(this.filePath, queue);
+    }
+    queue.contents = JSON.stringify(value, null, this.indent);
+    if (!queue.next) {
+      queue.next = queue.last.then(() => this.write(queue));
+      queue.last = queue.next;
+    }
+    return queue.next;
+  }
+
+  async write(queue) {
+    const contents = queue.contents;
+    queue.next = null;
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, contents);
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to save ${this.description}`, {
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = { JsonFile };
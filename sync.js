@@ -0,0 +1,627 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { computeChecksums } = require("./checksums");
+const { AkaveError, ValidationError } = require("./errors");
+const { normalizeFileName } = require("./utils");
+
+// Kept in the synced directory unless --state points elsewhere; never synced
+const STATE_FILE = ".akavelink-sync.json";
+const PARTIAL_SUFFIX = ".akavelink-partial";
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const DELETE_BATCH_SIZE = 1000;
+// Custom metadata key holding the local path of a synced file, which its
+// stored name cannot keep
+const PATH_KEY = "path";
+
+/**
+ * Glob over "/"-separated relative paths: "**" spans directories, "*" and
+ * "?" stay within one. A pattern without "/" matches a name in any
+ * directory.
+ */
+function globToRegExp(glob) {
+  const pattern = glob.includes("/") ? glob.replace(/^\//, "") : `**/${glob}`;
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// --include and --exclude globs; without includes every path is included
+class PathFilter {
+  constructor({ include = [], exclude = [] } = {}) {
+    this.includes = include.map(globToRegExp);
+    this.excludes = exclude.map(globToRegExp);
+  }
+
+  excluded(relPath) {
+    return this.excludes.some((pattern) => pattern.test(relPath));
+  }
+
+  matches(relPath) {
+    return (
+      (this.includes.length === 0 ||
+        this.includes.some((pattern) => pattern.test(relPath))) &&
+      !this.excluded(relPath)
+    );
+  }
+}
+
+// The state file and downloads in progress
+function isSyncFile(relPath) {
+  return relPath.startsWith(STATE_FILE) || relPath.endsWith(PARTIAL_SUFFIX);
+}
+
+// Relative paths of the files below `root` that pass `filter`, sorted.
+// Excluded directories are not entered; symlinks are not followed.
+async function walkDirectory(root, filter) {
+  const files = [];
+  const visit = async (dir) => {
+    const entries = await fs.readdir(path.join(root, dir), {
+      withFileTypes: true,
+    });
+    for (const entry of entries) {
+      const relPath = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!filter.excluded(relPath)) {
+          await visit(relPath);
+        }
+      } else if (
+        entry.isFile() &&
+        !isSyncFile(relPath) &&
+        filter.matches(relPath)
+      ) {
+        files.push(relPath);
+      }
+    }
+  };
+  await visit("");
+  return files.sort();
+}
+
+// A relative path from file metadata, or null if it could leave the directory
+function safeRelativePath(value) {
+  if (typeof value !== "string" || value === "" || path.isAbsolute(value)) {
+    return null;
+  }
+  const segments = value.split(/[\\/]/);
+  if (segments.some((segment) => ["", ".", ".."].includes(segment))) {
+    return null;
+  }
+  return segments.join("/");
+}
+
+// Local path of a stored file: the one it was synced from, or its name.
+// Null when neither stays inside the directory.
+function localPathOf(file) {
+  const custom = file.Metadata && file.Metadata.Custom;
+  return (
+    safeRelativePath(custom && custom[PATH_KEY]) || safeRelativePath(file.Name)
+  );
+}
+
+async function sha256Of(filePath) {
+  const computed = await computeChecksums(fsSync.createReadStream(filePath));
+  return computed.sha256.toString("hex");
+}
+
+/**
+ * What the last runs found per bucket and local path: the stored name, the
+ * size and mtime of the local file and the SHA-256 and root CID it was
+ * stored with. A file whose size, mtime and root CID still match is skipped
+ * without reading it. The state is only a cache; a stale one costs a hash.
+ */
+class SyncState {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.buckets = {};
+
+    if (fsSync.existsSync(filePath)) {
+      this.buckets = JSON.parse(fsSync.readFileSync(filePath, "utf8")).buckets;
+    }
+  }
+
+  get(bucketName, relPath) {
+    return (this.buckets[bucketName] || {})[relPath] || null;
+  }
+
+  // Unchanged since the last run if `file` is what was stored then
+  unchanged(bucketName, relPath, stat, file) {
+    const entry = this.get(bucketName, relPath);
+    return Boolean(
+      entry &&
+        file &&
+        entry.name === file.Name &&
+        entry.rootCid === file.RootCID &&
+        entry.size === stat.size &&
+        entry.mtimeMs === stat.mtimeMs
+    );
+  }
+
+  set(bucketName, relPath, entry) {
+    this.buckets[bucketName] = {
+      ...this.buckets[bucketName],
+      [relPath]: entry,
+    };
+  }
+
+  forget(bucketName, relPath) {
+    if (this.buckets[bucketName]) {
+      delete this.buckets[bucketName][relPath];
+    }
+  }
+
+  // Drop the entries of paths that are no longer synced
+  retain(bucketName, relPaths) {
+    const kept = new Set(relPaths);
+    for (const relPath of Object.keys(this.buckets[bucketName] || {})) {
+      if (!kept.has(relPath)) {
+        delete this.buckets[bucketName][relPath];
+      }
+    }
+  }
+
+  async save() {
+    const state = JSON.stringify({ buckets: this.buckets }, null, 2);
+    await fs.writeFile(`${this.filePath}.tmp`, state);
+    await fs.rename(`${this.filePath}.tmp`, this.filePath);
+  }
+}
+
+// The API's error response as an AkaveError with the same code and status
+async function apiError(error) {
+  if (!error.response) {
+    return error;
+  }
+  let body = error.response.data;
+  // Downloads are requested as streams, errors included
+  if (body && typeof body.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(chunk);
+    }
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (parseError) {
+      body = null;
+    }
+  }
+  return new AkaveError(
+    (body && body.error) || error.message,
+    (body && body.code) || "REQUEST_FAILED",
+    error.response.status
+  );
+}
+
+/**
+ * The REST calls the sync commands make. Files are uploaded as resumable
+ * uploads, in chunks and with their SHA-256, so large files work and a
+ * corrupted transfer is refused.
+ */
+class SyncClient {
+  constructor({ url, apiKey, profile } = {}) {
+    this.http = axios.create({
+      baseURL: url.replace(/\/$/, ""),
+      headers: {
+        ...(apiKey && { "X-API-Key": apiKey }),
+        ...(profile && { "X-Akave-Profile": profile }),
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    });
+  }
+
+  async request(config) {
+    try {
+      const response = await this.http.request(config);
+      return config.responseType === "stream"
+        ? response.data
+        : response.data.data;
+    } catch (error) {
+      throw await apiError(error);
+    }
+  }
+
+  bucketUrl(bucketName) {
+    return `/buckets/${encodeURIComponent(bucketName)}`;
+  }
+
+  fileUrl(bucketName, fileName) {
+    return `${this.bucketUrl(bucketName)}/files/${encodeURIComponent(
+      fileName
+    )}`;
+  }
+
+  listFiles(bucketName) {
+    return this.request({
+      method: "get",
+      url: `${this.bucketUrl(bucketName)}/files`,
+    });
+  }
+
+  /**
+   * Upload `filePath` as `relPath`, replacing a stored file of the same
+   * name unless the bucket keeps versions.
+   */
+  async uploadFile(bucketName, { filePath, relPath, size, sha256 }) {
+    const uploadsUrl = `${this.bucketUrl(bucketName)}/uploads`;
+    const session = await this.request({
+      method: "post",
+      url: uploadsUrl,
+      data: {
+        fileName: normalizeFileName(relPath),
+        size,
+        metadata: { [PATH_KEY]: relPath },
+      },
+    });
+    const uploadUrl = `${uploadsUrl}/${session.uploadId}`;
+    try {
+      for (let offset = 0; offset < size; offset += CHUNK_SIZE) {
+        const end = Math.min(offset + CHUNK_SIZE, size);
+        await this.request({
+          method: "patch",
+          url: uploadUrl,
+          headers: {
+            "Content-Type": "application/offset+octet-stream",
+            "Content-Length": end - offset,
+            "Upload-Offset": offset,
+          },
+          data: fsSync.createReadStream(filePath, {
+            start: offset,
+            end: end - 1,
+          }),
+        });
+      }
+
+      const complete = {
+        method: "post",
+        url: `${uploadUrl}/complete`,
+        headers: {
+          "Repr-Digest": `sha-256=:${Buffer.from(sha256, "hex").toString(
+            "base64"
+          )}:`,
+        },
+      };
+      try {
+        return await this.request(complete);
+      } catch (error) {
+        if (error.code !== "ALREADY_EXISTS") {
+          throw error;
+        }
+        // The session outlives a failed completion, so nothing is sent
+        // twice. The API cannot replace a file in place: if this second
+        // completion fails, the stored copy is gone until the next run.
+        await this.deleteFile(bucketName, session.fileName);
+        return await this.request(complete);
+      }
+    } catch (error) {
+      await this.request({ method: "delete", url: uploadUrl }).catch(() => {});
+      throw error;
+    }
+  }
+
+  deleteFile(bucketName, fileName) {
+    return this.request({
+      method: "delete",
+      url: this.fileUrl(bucketName, fileName),
+    });
+  }
+
+  // Outcome of every file, as reported by the bulk delete endpoint
+  async deleteFiles(bucketName, fileNames) {
+    const results = [];
+    for (let i = 0; i < fileNames.length; i += DELETE_BATCH_SIZE) {
+      const batch = await this.request({
+        method: "delete",
+        url: `${this.bucketUrl(bucketName)}/files`,
+        data: { fileNames: fileNames.slice(i, i + DELETE_BATCH_SIZE) },
+      });
+      results.push(...batch.results);
+    }
+    return results;
+  }
+
+  // Download a file next to `destination` and move it there once complete
+  async downloadFile(bucketName, fileName, destination) {
+    const stream = await this.request({
+      method: "get",
+      url: `${this.fileUrl(bucketName, fileName)}/download`,
+      responseType: "stream",
+    });
+    const partial = `${destination}${PARTIAL_SUFFIX}`;
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    try {
+      await new Promise((resolve, reject) => {
+        const file = fsSync.createWriteStream(partial);
+        stream.on("error", reject);
+        file.on("error", reject);
+        file.on("finish", resolve);
+        stream.pipe(file);
+      });
+      return partial;
+    } catch (error) {
+      await fs.rm(partial, { force: true });
+      throw error;
+    }
+  }
+}
+
+// Counts of the actions taken, reported to `onAction` as they happen
+function tally(actions, onAction) {
+  const summary = Object.fromEntries(actions.map((action) => [action, 0]));
+  const report = (event) => {
+    summary[event.action] += 1;
+    onAction(event);
+  };
+  return { summary, report };
+}
+
+// Run `task` over `items`, `limit` at a time, until all are done
+async function eachLimit(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+}
+
+function checkParallel(parallel) {
+  if (!Number.isInteger(parallel) || parallel < 1) {
+    throw new ValidationError("parallel must be a positive integer");
+  }
+}
+
+/**
+ * Upload the new and changed files of `dir` to `bucketName` and, with
+ * `deleteExtra`, delete stored files that no longer exist locally. Files
+ * excluded by the filter are neither uploaded nor deleted. With `dryRun`
+ * nothing is changed, including the state file. `onAction` is called with
+ * { action, path, name, error? } as files are handled, where action is
+ * "upload", "skip", "delete" or "fail"; the counts of each are returned.
+ */
+async function syncDirectory(
+  client,
+  {
+    dir,
+    bucketName,
+    include,
+    exclude,
+    deleteExtra = false,
+    dryRun = false,
+    parallel = 4,
+    stateFile = path.join(dir, STATE_FILE),
+    onAction = () => {},
+  }
+) {
+  checkParallel(parallel);
+  const filter = new PathFilter({ include, exclude });
+  const state = new SyncState(stateFile);
+  const relPaths = await walkDirectory(dir, filter);
+
+  // Names are flattened when stored, which can make two paths collide
+  const pathsByName = new Map();
+  for (const relPath of relPaths) {
+    const name = normalizeFileName(relPath);
+    if (pathsByName.has(name)) {
+      throw new ValidationError(
+        `${pathsByName.get(
+          name
+        )} and ${relPath} would both be stored as ${name}`
+      );
+    }
+    pathsByName.set(name, relPath);
+  }
+
+  const stored = new Map(
+    (await client.listFiles(bucketName)).map((file) => [file.Name, file])
+  );
+  const { summary, report } = tally(
+    ["upload", "skip", "delete", "fail"],
+    onAction
+  );
+
+  await eachLimit(relPaths, parallel, async (relPath) => {
+    const name = normalizeFileName(relPath);
+    const filePath = path.join(dir, relPath);
+    try {
+      const stat = await fs.stat(filePath);
+      const file = stored.get(name);
+      if (state.unchanged(bucketName, relPath, stat, file)) {
+        return report({ action: "skip", path: relPath, name });
+      }
+      const sha256 = await sha256Of(filePath);
+      const remember = (result) =>
+        state.set(bucketName, relPath, {
+          name,
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+          sha256,
+          rootCid: result.RootCID,
+        });
+      if (file && file.Checksum && file.Checksum.SHA256 === sha256) {
+        remember(file);
+        return report({ action: "skip", path: relPath, name });
+      }
+      if (!dryRun) {
+        remember(
+          await client.uploadFile(bucketName, {
+            filePath,
+            relPath,
+            size: stat.size,
+            sha256,
+          })
+        );
+      }
+      report({ action: "upload", path: relPath, name });
+    } catch (error) {
+      // What is stored may have changed or be gone; hash it again next run
+      state.forget(bucketName, relPath);
+      report({ action: "fail", path: relPath, name, error });
+    }
+  });
+
+  if (deleteExtra) {
+    // Extra files are only deleted, so any name will do as their path
+    const pathOf = (file) => localPathOf(file) || file.Name;
+    const extras = [...stored.values()].filter(
+      (file) => !pathsByName.has(file.Name) && filter.matches(pathOf(file))
+    );
+    const results = dryRun
+      ? extras.map((file) => ({ fileName: file.Name, success: true }))
+      : await client.deleteFiles(
+          bucketName,
+          extras.map((file) => file.Name)
+        );
+    results.forEach((result, index) => {
+      const relPath = pathOf(extras[index]);
+      report(
+        result.success
+          ? { action: "delete", path: relPath, name: result.fileName }
+          : {
+              action: "fail",
+              path: relPath,
+              name: result.fileName,
+              error: new AkaveError(result.error, result.code),
+            }
+      );
+    });
+  }
+
+  if (!dryRun) {
+    state.retain(bucketName, relPaths);
+    await state.save();
+  }
+  return summary;
+}
+
+/**
+ * Download the files of `bucketName` that are missing or differ in `dir`,
+ * at the paths they were synced from. Local files are never deleted. A
+ * download that does not match its recorded SHA-256 is discarded, and a
+ * file whose path would leave `dir` fails without being downloaded.
+ * `onAction` is called like for syncDirectory, with "download", "skip" and
+ * "fail".
+ */
+async function pullBucket(
+  client,
+  {
+    bucketName,
+    dir,
+    include,
+    exclude,
+    dryRun = false,
+    parallel = 4,
+    stateFile = path.join(dir, STATE_FILE),
+    onAction = () => {},
+  }
+) {
+  checkParallel(parallel);
+  const filter = new PathFilter({ include, exclude });
+  const state = new SyncState(stateFile);
+  const files = (await client.listFiles(bucketName)).filter((file) => {
+    const relPath = localPathOf(file) || file.Name;
+    return !isSyncFile(relPath) && filter.matches(relPath);
+  });
+  if (!dryRun) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  const { summary, report } = tally(["download", "skip", "fail"], onAction);
+
+  await eachLimit(files, parallel, async (file) => {
+    const relPath = localPathOf(file);
+    if (!relPath) {
+      return report({
+        action: "fail",
+        path: file.Name,
+        name: file.Name,
+        error: new ValidationError(
+          `${file.Name} would be written outside ${dir}`
+        ),
+      });
+    }
+    const destination = path.join(dir, relPath);
+    const expected = file.Checksum && file.Checksum.SHA256;
+    const remember = async (sha256) => {
+      const stat = await fs.stat(destination);
+      state.set(bucketName, relPath, {
+        name: file.Name,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        sha256,
+        rootCid: file.RootCID,
+      });
+    };
+    try {
+      const stat = await fs.stat(destination).catch((error) => {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      });
+      if (stat && state.unchanged(bucketName, relPath, stat, file)) {
+        return report({ action: "skip", path: relPath, name: file.Name });
+      }
+      if (stat && expected && (await sha256Of(destination)) === expected) {
+        await remember(expected);
+        return report({ action: "skip", path: relPath, name: file.Name });
+      }
+      if (!dryRun) {
+        const partial = await client.downloadFile(
+          bucketName,
+          file.Name,
+          destination
+        );
+        const sha256 = await sha256Of(partial);
+        if (expected && sha256 !== expected) {
+          await fs.rm(partial, { force: true });
+          throw new AkaveError(
+            "The downloaded file does not match its recorded SHA-256",
+            "BAD_DIGEST"
+          );
+        }
+        await fs.rename(partial, destination);
+        await remember(sha256);
+      }
+      report({ action: "download", path: relPath, name: file.Name });
+    } catch (error) {
+      report({ action: "fail", path: relPath, name: file.Name, error });
+    }
+  });
+
+  if (!dryRun) {
+    await state.save();
+  }
+  return summary;
+}
+
+module.exports = {
+  STATE_FILE,
+  PathFilter,
+  SyncClient,
+  SyncState,
+  globToRegExp,
+  pullBucket,
+  syncDirectory,
+};
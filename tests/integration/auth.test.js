@@ -0,0 +1,134 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+const describeWithAuth = process.env.API_KEY ? describe : describe.skip;
+
+describeWithAuth("API Key Authentication", () => {
+  let scopedKey;
+  let bucketName;
+
+  const request = (method, url, key, data) =>
+    axios({
+      method,
+      url: `${API_BASE_URL}${url}`,
+      data,
+      // Blank out the default admin key so only the given key is sent
+      headers: {
+        "X-API-Key": "",
+        ...(key ? { Authorization: `Bearer ${key}` } : {}),
+      },
+      validateStatus: () => true,
+    });
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    const response = await axios.post(`${API_BASE_URL}/admin/keys`, {
+      name: "integration-read-only",
+      buckets: [bucketName],
+      permissions: ["read"],
+    });
+    scopedKey = response.data.data;
+  }, TEST_TIMEOUT);
+
+  test(
+    "should reject requests without an API key",
+    async () => {
+      const response = await request("get", "/buckets");
+      expect(response.status).toBe(401);
+      expect(response.data).toEqual({
+        success: false,
+        error: "Missing API key",
+        code: "UNAUTHORIZED",
+      });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject an unknown API key",
+    async () => {
+      const response = await request("get", "/buckets", "ak_unknown");
+      expect(response.status).toBe(401);
+      expect(response.data.success).toBe(false);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject operations outside the key permissions",
+    async () => {
+      const response = await request("post", "/buckets", scopedKey.key, {
+        bucketName,
+      });
+      expect(response.status).toBe(403);
+      expect(response.data.success).toBe(false);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject buckets outside the key scope",
+    async () => {
+      const response = await request(
+        "get",
+        "/buckets/some-other-bucket/files",
+        scopedKey.key
+      );
+      expect(response.status).toBe(403);
+      expect(response.data.success).toBe(false);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should not let a scoped key upload files from the server",
+    async () => {
+      const created = await axios.post(`${API_BASE_URL}/admin/keys`, {
+        name: "integration-writer",
+        buckets: [bucketName],
+        permissions: ["write"],
+      });
+      const writer = created.data.data;
+      try {
+        const form = new FormData();
+        form.append("filePath", "/etc/passwd");
+        const response = await axios.post(
+          `${API_BASE_URL}/buckets/${bucketName}/files`,
+          form,
+          {
+            headers: {
+              ...form.getHeaders(),
+              "X-API-Key": "",
+              Authorization: `Bearer ${writer.key}`,
+            },
+            validateStatus: () => true,
+          }
+        );
+        expect(response.status).toBe(403);
+        expect(response.data.code).toBe("ACCESS_DENIED");
+      } finally {
+        await axios.delete(`${API_BASE_URL}/admin/keys/${writer.id}`);
+      }
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should not expose key secrets when listing keys",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/admin/keys`);
+      const listed = response.data.data.find((k) => k.id === scopedKey.id);
+      expect(listed).toBeDefined();
+      expect(listed.key).toBeUndefined();
+      expect(listed.keyHash).toBeUndefined();
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(async () => {
+    await axios.delete(`${API_BASE_URL}/admin/keys/${scopedKey.id}`);
+  });
+});
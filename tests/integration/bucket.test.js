@@ -46,6 +46,48 @@ describe("Bucket Operations", () => {
     TEST_TIMEOUT
   );
 
+  test(
+    "should reject a duplicate bucket with ALREADY_EXISTS",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets`,
+        { bucketName },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(409);
+      expect(response.data.success).toBe(false);
+      expect(response.data.code).toBe("ALREADY_EXISTS");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should return NOT_FOUND for a missing bucket",
+    async () => {
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/missing-${uuidv4()}`,
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(404);
+      expect(response.data.code).toBe("NOT_FOUND");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject a bucket without a name",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets`,
+        {},
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+
   test(
     "should upload and download file",
     async () => {
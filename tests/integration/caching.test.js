@@ -0,0 +1,133 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+describe("HTTP Caching of Downloads", () => {
+  let bucketName;
+
+  const upload = async (fileName, content, contentType) => {
+    const form = new FormData();
+    form.append("file", Buffer.from(content), {
+      filename: fileName,
+      contentType,
+    });
+    await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+      headers: form.getHeaders(),
+    });
+  };
+
+  const download = (fileName, options = {}) =>
+    axios.get(
+      `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/download`,
+      { responseType: "arraybuffer", validateStatus: () => true, ...options }
+    );
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+    await upload("data.json", '{"cached":true}');
+    await upload("notes", "plain text without an extension");
+    await upload("picture", Buffer.from("89504e470d0a1a0a0000", "hex"));
+  }, TEST_TIMEOUT);
+
+  test(
+    "should answer conditional requests with 304",
+    async () => {
+      const first = await download("data.json");
+      expect(first.status).toBe(200);
+      const { etag } = first.headers;
+      expect(etag).toMatch(/^"[^"]+"$/);
+      expect(first.headers["last-modified"]).toBeDefined();
+      expect(first.headers["cache-control"]).toBe("private, no-cache");
+
+      const unchanged = await download("data.json", {
+        headers: { "If-None-Match": etag },
+      });
+      expect(unchanged.status).toBe(304);
+      expect(unchanged.data.byteLength).toBe(0);
+
+      const sinceModified = await download("data.json", {
+        headers: { "If-Modified-Since": first.headers["last-modified"] },
+      });
+      expect(sinceModified.status).toBe(304);
+
+      const otherVersion = await download("data.json", {
+        headers: { "If-None-Match": '"some-other-version"' },
+      });
+      expect(otherVersion.status).toBe(200);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should only serve a range while If-Range matches",
+    async () => {
+      const { etag } = (await download("data.json")).headers;
+
+      const matching = await download("data.json", {
+        headers: { Range: "bytes=0-4", "If-Range": etag },
+      });
+      expect(matching.status).toBe(206);
+      expect(Buffer.from(matching.data).toString()).toBe('{"cac');
+
+      const outdated = await download("data.json", {
+        headers: { Range: "bytes=0-4", "If-Range": '"outdated"' },
+      });
+      expect(outdated.status).toBe(200);
+      expect(Buffer.from(outdated.data).toString()).toBe('{"cached":true}');
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should answer HEAD without a body",
+    async () => {
+      const full = await download("data.json");
+      const head = await axios.head(
+        `${API_BASE_URL}/buckets/${bucketName}/files/data.json/download`
+      );
+      expect(head.status).toBe(200);
+      expect(head.data).toBe("");
+      expect(head.headers.etag).toBe(full.headers.etag);
+      expect(head.headers["content-length"]).toBe("15");
+      expect(head.headers["content-type"]).toBe("application/json");
+
+      const missing = await axios.head(
+        `${API_BASE_URL}/buckets/${bucketName}/files/missing.txt/download`,
+        { validateStatus: () => true }
+      );
+      expect(missing.status).toBe(404);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should detect content types and honour the disposition",
+    async () => {
+      const byExtension = await download("data.json");
+      expect(byExtension.headers["content-type"]).toBe("application/json");
+      expect(byExtension.headers["content-disposition"]).toBe(
+        'attachment; filename="data.json"'
+      );
+
+      const text = await download("notes", {
+        params: { disposition: "inline" },
+      });
+      expect(text.headers["content-type"]).toBe("text/plain; charset=utf-8");
+      expect(text.headers["content-disposition"]).toBe(
+        'inline; filename="notes"'
+      );
+
+      const image = await download("picture");
+      expect(image.headers["content-type"]).toBe("image/png");
+
+      const invalid = await download("notes", {
+        params: { disposition: "download" },
+      });
+      expect(invalid.status).toBe(400);
+    },
+    TEST_TIMEOUT
+  );
+});
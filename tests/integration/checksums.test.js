@@ -0,0 +1,108 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  createBucket,
+  uploadFile,
+} = require("./helpers");
+
+describe("Checksums", () => {
+  let bucketName;
+  const content = Buffer.from("checksummed content\n");
+  const sha256 = crypto.createHash("sha256").update(content);
+  const sha256Hex = sha256.copy().digest("hex");
+  const sha256Base64 = sha256.digest("base64");
+
+  const upload = (fileName, headers) =>
+    uploadFile(bucketName, fileName, content, { headers });
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+  }, TEST_TIMEOUT);
+
+  test(
+    "should record the checksum of an upload",
+    async () => {
+      const response = await upload("recorded.txt");
+      expect(response.status).toBe(200);
+      expect(response.data.data.Checksum).toEqual(
+        expect.objectContaining({ SHA256: sha256Hex, Size: content.length })
+      );
+
+      const info = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/recorded.txt`
+      );
+      expect(info.data.data.Checksum.SHA256).toBe(sha256Hex);
+
+      const download = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/recorded.txt/download`,
+        { responseType: "arraybuffer" }
+      );
+      expect(download.headers.digest).toBe(`sha-256=${sha256Base64}`);
+      expect(download.headers["repr-digest"]).toBe(`sha-256=:${sha256Base64}:`);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject uploads that do not match the digest sent",
+    async () => {
+      const md5 = crypto.createHash("md5").update(content).digest("base64");
+      const matching = await upload("matching.txt", { "Content-MD5": md5 });
+      expect(matching.status).toBe(200);
+
+      const corrupted = await upload("corrupted.txt", {
+        "Content-MD5": crypto
+          .createHash("md5")
+          .update("other")
+          .digest("base64"),
+      });
+      expect(corrupted.status).toBe(400);
+      expect(corrupted.data.code).toBe("BAD_DIGEST");
+
+      const wrongSha = await upload("corrupted.txt", {
+        Digest: `sha-256=${crypto.randomBytes(32).toString("base64")}`,
+      });
+      expect(wrongSha.data.code).toBe("BAD_DIGEST");
+
+      const malformed = await upload("corrupted.txt", {
+        "Repr-Digest": "sha-256=:not-a-digest:",
+      });
+      expect(malformed.status).toBe(400);
+      expect(malformed.data.code).toBe("INVALID_DIGEST");
+
+      const missing = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/corrupted.txt`,
+        { validateStatus: () => true }
+      );
+      expect(missing.status).toBe(404);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should verify a stored file against its checksum",
+    async () => {
+      await upload("verified.txt", { Digest: `sha-256=${sha256Base64}` });
+
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets/${bucketName}/files/verified.txt/verify`
+      );
+      expect(response.data.data).toEqual({
+        fileName: "verified.txt",
+        verified: true,
+        expected: expect.objectContaining({ SHA256: sha256Hex }),
+        actual: expect.objectContaining({ SHA256: sha256Hex }),
+      });
+
+      const missing = await axios.post(
+        `${API_BASE_URL}/buckets/${bucketName}/files/missing.txt/verify`,
+        null,
+        { validateStatus: () => true }
+      );
+      expect(missing.status).toBe(404);
+    },
+    TEST_TIMEOUT
+  );
+});
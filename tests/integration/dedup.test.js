@@ -0,0 +1,119 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  createBucket,
+  uploadFile,
+} = require("./helpers");
+
+describe("Deduplication", () => {
+  let bucketName;
+  const content = crypto.randomBytes(4096);
+
+  const upload = (fileName, data = content) =>
+    uploadFile(bucketName, fileName, data, { params: { dedup: true } });
+
+  const remove = (fileName) =>
+    axios.delete(`${API_BASE_URL}/buckets/${bucketName}/files/${fileName}`, {
+      validateStatus: () => true,
+    });
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+  }, TEST_TIMEOUT);
+
+  test(
+    "should store repeat content under a new name as an alias",
+    async () => {
+      const original = await upload("original.bin");
+      expect(original.status).toBe(200);
+      expect(original.data.data.Deduplicated).toBeUndefined();
+
+      const copy = await upload("copy.bin");
+      expect(copy.status).toBe(200);
+      expect(copy.data.data).toEqual(
+        expect.objectContaining({
+          Name: "copy.bin",
+          AliasOf: "original.bin",
+          RootCID: original.data.data.RootCID,
+          Deduplicated: true,
+        })
+      );
+
+      const info = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/copy.bin`
+      );
+      expect(info.data.data.AliasOf).toBe("original.bin");
+
+      const download = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/copy.bin/download`,
+        { responseType: "arraybuffer" }
+      );
+      expect(Buffer.from(download.data).equals(content)).toBe(true);
+      expect(download.headers["content-disposition"]).toContain("copy.bin");
+
+      const list = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files`
+      );
+      expect(list.data.data.map((file) => file.Name)).toEqual([
+        "copy.bin",
+        "original.bin",
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should return the stored file for the same content and name",
+    async () => {
+      const again = await upload("original.bin");
+      expect(again.status).toBe(200);
+      expect(again.data.data.Deduplicated).toBe(true);
+      expect(again.data.data.AliasOf).toBeUndefined();
+
+      // An alias is not overwritten with different content
+      const changed = await upload("copy.bin", Buffer.from("other content"));
+      expect(changed.status).toBe(409);
+      expect(changed.data.code).toBe("ALREADY_EXISTS");
+
+      const stats = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/dedup`
+      );
+      expect(stats.data.data).toEqual(
+        expect.objectContaining({
+          bucketName,
+          uploads: 3,
+          deduplicated: 2,
+          bytesUploaded: content.length,
+          bytesSaved: 2 * content.length,
+          aliases: 1,
+        })
+      );
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should keep a shared file until its aliases are deleted",
+    async () => {
+      const refused = await remove("original.bin");
+      expect(refused.status).toBe(409);
+      expect(refused.data.code).toBe("FILE_HAS_ALIASES");
+
+      const alias = await remove("copy.bin");
+      expect(alias.status).toBe(200);
+      expect(alias.data.data.AliasOf).toBe("original.bin");
+
+      const missing = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/copy.bin`,
+        { validateStatus: () => true }
+      );
+      expect(missing.status).toBe(404);
+
+      const original = await remove("original.bin");
+      expect(original.status).toBe(200);
+    },
+    TEST_TIMEOUT
+  );
+});
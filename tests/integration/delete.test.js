@@ -0,0 +1,127 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 60000;
+
+describe("File Deletion", () => {
+  let bucketName;
+
+  const upload = async (fileName) => {
+    const form = new FormData();
+    form.append("file", crypto.randomBytes(1024), fileName);
+    await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+      headers: form.getHeaders(),
+    });
+  };
+
+  const listNames = async () => {
+    const response = await axios.get(
+      `${API_BASE_URL}/buckets/${bucketName}/files`
+    );
+    return response.data.data.map((file) => file.Name).sort();
+  };
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+  }, TEST_TIMEOUT);
+
+  test(
+    "should delete a single file",
+    async () => {
+      await upload("single.txt");
+      const response = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files/single.txt`
+      );
+      expect(response.data.success).toBe(true);
+      expect(await listNames()).not.toContain("single.txt");
+
+      const missing = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files/single.txt`,
+        { validateStatus: () => true }
+      );
+      expect(missing.status).toBe(404);
+      expect(missing.data.code).toBe("NOT_FOUND");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should report per-file results of a bulk delete",
+    async () => {
+      await upload("bulk-a.txt");
+      await upload("bulk-b.txt");
+      const response = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files`,
+        { data: { fileNames: ["bulk-a.txt", "bulk-b.txt", "missing.txt"] } }
+      );
+      expect(response.data.data.deleted).toBe(2);
+      expect(response.data.data.failed).toBe(1);
+      expect(response.data.data.results).toEqual([
+        { fileName: "bulk-a.txt", success: true },
+        { fileName: "bulk-b.txt", success: true },
+        {
+          fileName: "missing.txt",
+          success: false,
+          error: expect.any(String),
+          code: "NOT_FOUND",
+        },
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should delete files by prefix",
+    async () => {
+      await upload("logs-1.txt");
+      await upload("logs-2.txt");
+      await upload("keep.txt");
+      const response = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files`,
+        { data: { prefix: "logs-" } }
+      );
+      expect(response.data.data.deleted).toBe(2);
+      expect(await listNames()).toEqual(["keep.txt"]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should require file names or a prefix",
+    async () => {
+      const response = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files`,
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should empty a bucket before a forced delete",
+    async () => {
+      const refused = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}`,
+        { validateStatus: () => true }
+      );
+      expect(refused.status).toBe(409);
+      expect(refused.data.code).toBe("BUCKET_NOT_EMPTY");
+
+      const response = await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}?force=true`
+      );
+      expect(response.data.success).toBe(true);
+
+      const gone = await axios.get(`${API_BASE_URL}/buckets/${bucketName}`, {
+        validateStatus: () => true,
+      });
+      expect(gone.status).toBe(404);
+    },
+    TEST_TIMEOUT
+  );
+});
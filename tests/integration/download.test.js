@@ -97,7 +97,7 @@ describe("File Download Operations", () => {
         await axios.get(
           `${API_BASE_URL}/buckets/${bucketName}/files/${tempFileName}/download`,
           {
-            headers: { Range: "bytes=1000000-2000000" },
+            headers: { Range: "bytes=2000000-3000000" },
           }
         );
         expect(true).toBe(false);
@@ -131,6 +131,50 @@ describe("File Download Operations", () => {
     TEST_TIMEOUT
   );
 
+  test(
+    "should serve repeat downloads from the cache",
+    async () => {
+      const url = `${API_BASE_URL}/buckets/${bucketName}/files/${tempFileName}/download`;
+      await axios.get(url, { responseType: "arraybuffer" });
+
+      const response = await axios.get(url, {
+        headers: { Range: "bytes=0-99" },
+        responseType: "arraybuffer",
+      });
+
+      expect(response.status).toBe(206);
+      expect(response.headers["x-cache"]).toBe("HIT");
+      expect(Buffer.from(response.data)).toEqual(fileContent.slice(0, 100));
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should serve a plain file that looks like an encrypted one unchanged",
+    async () => {
+      // Only files uploaded encrypted are decrypted, whatever their content
+      const lookalike = Buffer.concat([
+        Buffer.from("AKVENC01"),
+        Buffer.from([0, 0, 0, 2]),
+        Buffer.from("{}"),
+        crypto.randomBytes(64),
+      ]);
+      const form = new FormData();
+      form.append("file", lookalike, "lookalike.bin");
+      await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+        headers: form.getHeaders(),
+      });
+
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/lookalike.bin/download`,
+        { responseType: "arraybuffer" }
+      );
+      expect(response.status).toBe(200);
+      expect(Buffer.from(response.data)).toEqual(lookalike);
+    },
+    TEST_TIMEOUT
+  );
+
   afterAll(async () => {
     // Cleanup
     if (fs.existsSync("./test-files")) {
@@ -138,3 +182,94 @@ describe("File Download Operations", () => {
     }
   });
 });
+
+describe("Range Requests", () => {
+  let bucketName;
+  const content = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+    const form = new FormData();
+    form.append("file", Buffer.from(content), "ranges.txt");
+    await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+      headers: form.getHeaders(),
+    });
+  }, TEST_TIMEOUT);
+
+  const download = (range) =>
+    axios.get(
+      `${API_BASE_URL}/buckets/${bucketName}/files/ranges.txt/download`,
+      { headers: { Range: range }, responseType: "text" }
+    );
+
+  test(
+    "should serve the last bytes of a file",
+    async () => {
+      const response = await download("bytes=-6");
+      expect(response.status).toBe(206);
+      expect(response.headers["content-range"]).toBe("bytes 30-35/36");
+      expect(response.data).toBe("uvwxyz");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should clamp a range that ends past the file",
+    async () => {
+      const response = await download("bytes=0-999999999");
+      expect(response.status).toBe(206);
+      expect(response.headers["content-range"]).toBe("bytes 0-35/36");
+      expect(response.data).toBe(content);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should drop unsatisfiable ranges of a range set",
+    async () => {
+      const response = await download("bytes=100-200, 4-7");
+      expect(response.status).toBe(206);
+      expect(response.headers["content-range"]).toBe("bytes 4-7/36");
+      expect(response.data).toBe("4567");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should ignore a range set with an invalid range",
+    async () => {
+      const response = await download("bytes=0-3, 9-5");
+      expect(response.status).toBe(200);
+      expect(response.data).toBe(content);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should serve several ranges as multipart/byteranges",
+    async () => {
+      const response = await download("bytes=0-3,10-12");
+      expect(response.status).toBe(206);
+
+      const [, boundary] = response.headers["content-type"].match(
+        /^multipart\/byteranges; boundary=(\S+)$/
+      );
+      expect(Number(response.headers["content-length"])).toBe(
+        Buffer.byteLength(response.data)
+      );
+      const parts = response.data
+        .split(`--${boundary}`)
+        .slice(1, -1)
+        .map((part) => part.replace(/^\r\n/, "").replace(/\r\n$/, ""));
+      expect(parts).toEqual([
+        "Content-Type: text/plain\r\n" +
+          "Content-Range: bytes 0-3/36\r\n\r\n0123",
+        "Content-Type: text/plain\r\n" +
+          "Content-Range: bytes 10-12/36\r\n\r\nabc",
+      ]);
+      expect(response.data.endsWith(`--${boundary}--\r\n`)).toBe(true);
+    },
+    TEST_TIMEOUT
+  );
+});
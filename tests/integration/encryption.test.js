@@ -0,0 +1,82 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const { API_BASE_URL, createBucket, uploadFile } = require("./helpers");
+
+const TEST_TIMEOUT = 60000;
+
+// Needs a server started with ENCRYPTION_KEYS
+const describeWithEncryption = process.env.ENCRYPTION_KEYS
+  ? describe
+  : describe.skip;
+
+describeWithEncryption("Encrypted Uploads", () => {
+  let bucketName;
+  let fileName;
+  let fileContent;
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+
+    // Spans several 64 KiB encryption chunks
+    fileName = `encrypted_${Date.now()}.bin`;
+    fileContent = crypto.randomBytes(150 * 1024 + 123);
+
+    const response = await uploadFile(bucketName, fileName, fileContent);
+    expect(response.status).toBe(200);
+    expect(response.data.data.Encryption.Algorithm).toBe("AES-256-GCM");
+  }, TEST_TIMEOUT);
+
+  test(
+    "should report encryption in file info",
+    async () => {
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}`
+      );
+      expect(response.data.data.Encryption).toEqual({
+        Algorithm: "AES-256-GCM",
+        KeyId: expect.any(String),
+        Size: fileContent.length,
+      });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should decrypt the whole file on download",
+    async () => {
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/download`,
+        { responseType: "arraybuffer" }
+      );
+      expect(response.headers["x-encryption-algorithm"]).toBe("AES-256-GCM");
+      expect(Number(response.headers["content-length"])).toBe(
+        fileContent.length
+      );
+      expect(Buffer.from(response.data)).toEqual(fileContent);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should decrypt a range across chunk boundaries",
+    async () => {
+      const start = 65000;
+      const end = 140000;
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/download`,
+        {
+          headers: { Range: `bytes=${start}-${end}` },
+          responseType: "arraybuffer",
+        }
+      );
+      expect(response.status).toBe(206);
+      expect(response.headers["content-range"]).toBe(
+        `bytes ${start}-${end}/${fileContent.length}`
+      );
+      expect(Buffer.from(response.data)).toEqual(
+        fileContent.subarray(start, end + 1)
+      );
+    },
+    TEST_TIMEOUT
+  );
+});
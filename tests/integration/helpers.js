@@ -0,0 +1,86 @@
+const { S3Client } = require("@aws-sdk/client-s3");
+const axios = require("axios");
+const FormData = require("form-data");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+const uniqueBucketName = (prefix = "test") =>
+  `${prefix}-${Math.random().toString(36).substring(7)}`;
+
+// Creates a bucket no other test uses and resolves with its name
+async function createBucket(prefix) {
+  const bucketName = uniqueBucketName(prefix);
+  await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+  return bucketName;
+}
+
+function deleteBucket(bucketName) {
+  return axios.delete(`${API_BASE_URL}/buckets/${bucketName}`, {
+    params: { force: true },
+    validateStatus: () => true,
+  });
+}
+
+/**
+ * Multipart upload of `content` as `fileName`, with any extra form
+ * `fields`. Resolves with the response whatever its status.
+ */
+function uploadFile(
+  bucketName,
+  fileName,
+  content,
+  { fields = {}, contentType, headers = {}, params } = {}
+) {
+  const form = new FormData();
+  form.append(
+    "file",
+    content,
+    contentType ? { filename: fileName, contentType } : fileName
+  );
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  return axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+    headers: { ...form.getHeaders(), ...headers },
+    params,
+    validateStatus: () => true,
+  });
+}
+
+// Set when the server accepts the S3 access key the tests sign with
+const HAS_S3_CREDENTIALS = Boolean(
+  process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+);
+
+const createS3Client = () =>
+  new S3Client({
+    endpoint: API_BASE_URL,
+    region: process.env.S3_REGION || "us-east-1",
+    forcePathStyle: true,
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  });
+
+const makeTempDir = (name) =>
+  fs.mkdtemp(path.join(os.tmpdir(), `akavelink-${name}-`));
+
+const removeTempDir = (dir) => fs.rm(dir, { recursive: true, force: true });
+
+module.exports = {
+  API_BASE_URL,
+  HAS_S3_CREDENTIALS,
+  TEST_TIMEOUT,
+  createBucket,
+  createS3Client,
+  deleteBucket,
+  makeTempDir,
+  removeTempDir,
+  uniqueBucketName,
+  uploadFile,
+};
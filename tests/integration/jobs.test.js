@@ -0,0 +1,120 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 60000;
+
+describe("Background Jobs", () => {
+  let bucketName;
+  const fileContent = crypto.randomBytes(256 * 1024);
+
+  const uploadAsync = async (fileName) => {
+    const form = new FormData();
+    form.append("file", fileContent, fileName);
+    return axios.post(
+      `${API_BASE_URL}/buckets/${bucketName}/files?async=true`,
+      form,
+      { headers: form.getHeaders() }
+    );
+  };
+
+  const waitForJob = async (jobId) => {
+    for (let i = 0; i < 300; i++) {
+      const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`);
+      if (response.data.data.state !== "running") {
+        return response.data.data;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    throw new Error("Timed out waiting for the job");
+  };
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+  }, TEST_TIMEOUT);
+
+  test(
+    "should run an upload in the background",
+    async () => {
+      const fileName = `async_${Date.now()}.bin`;
+      const response = await uploadAsync(fileName);
+
+      expect(response.status).toBe(202);
+      const job = response.data.data;
+      expect(job.id).toMatch(/^job_/);
+      expect(job.type).toBe("upload");
+      expect(response.headers.location).toBe(`/jobs/${job.id}`);
+
+      const finished = await waitForJob(job.id);
+      expect(finished.state).toBe("succeeded");
+      expect(finished.result.Name).toBe(fileName);
+      expect(finished.bytesTotal).toBe(fileContent.length);
+      expect(finished.bytesProcessed).toBe(finished.bytesTotal);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should prepare a download in the background",
+    async () => {
+      const fileName = `prepared_${Date.now()}.bin`;
+      await waitForJob((await uploadAsync(fileName)).data.data.id);
+
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/download`,
+        { headers: { Prefer: "respond-async" } }
+      );
+      expect(response.status).toBe(202);
+      expect(response.headers["preference-applied"]).toBe("respond-async");
+
+      const finished = await waitForJob(response.data.data.id);
+      expect(finished.state).toBe("succeeded");
+      expect(finished.result.size).toBe(fileContent.length);
+
+      const download = await axios.get(
+        `${API_BASE_URL}${finished.result.downloadUrl}`,
+        { responseType: "arraybuffer" }
+      );
+      expect(download.headers["x-cache"]).toBe("HIT");
+      expect(Buffer.from(download.data)).toEqual(fileContent);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should stream job state as server-sent events",
+    async () => {
+      const response = await uploadAsync(`events_${Date.now()}.bin`);
+      const events = await axios.get(
+        `${API_BASE_URL}/jobs/${response.data.data.id}/events`,
+        { responseType: "text" }
+      );
+
+      expect(events.headers["content-type"]).toMatch(/^text\/event-stream/);
+      const states = events.data
+        .split("\n\n")
+        .filter((block) => block.startsWith("event: state"))
+        .map((block) => JSON.parse(block.split("\ndata: ")[1]));
+      expect(states[states.length - 1].state).toBe("succeeded");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should return 404 for unknown jobs",
+    async () => {
+      for (const method of ["get", "delete"]) {
+        const response = await axios.request({
+          method,
+          url: `${API_BASE_URL}/jobs/job_missing`,
+          validateStatus: () => true,
+        });
+        expect(response.status).toBe(404);
+        expect(response.data.code).toBe("NOT_FOUND");
+      }
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,169 @@
+const axios = require("axios");
+const { ListBucketsCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  API_BASE_URL,
+  HAS_S3_CREDENTIALS,
+  TEST_TIMEOUT,
+  createBucket,
+  createS3Client,
+  uploadFile,
+} = require("./helpers");
+
+// Needs a server started with a limit on GET /usage, e.g. getUsage:5/m
+const usageRule = (process.env.RATE_LIMITS || "").match(/getUsage:(\d+)\//);
+const describeWithRateLimit = usageRule ? describe : describe.skip;
+// and on S3 ListBuckets, e.g. s3ListBuckets:5/m
+const s3Rule = (process.env.RATE_LIMITS || "").match(/s3ListBuckets:(\d+)\//);
+const testWithS3RateLimit = s3Rule && HAS_S3_CREDENTIALS ? test : test.skip;
+
+// Needs a server started with a file quota on one bucket, e.g. quota-test::2
+const [quotaBucket, , maxFiles] = (process.env.BUCKET_QUOTAS || "").split(":");
+const describeWithQuota = maxFiles ? describe : describe.skip;
+
+const upload = (bucketName, fileName, size = 1024) =>
+  uploadFile(bucketName, fileName, Buffer.alloc(size, 7));
+
+describe("Storage Usage", () => {
+  test(
+    "should report the usage of a bucket",
+    async () => {
+      const bucketName = await createBucket();
+      await upload(bucketName, "counted.bin", 2048);
+
+      const response = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/usage`
+      );
+      expect(response.data.data).toEqual({
+        bucketName,
+        bytes: 2048,
+        files: 1,
+        quota: null,
+      });
+
+      await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files/counted.bin`
+      );
+      const after = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/usage`
+      );
+      expect(after.data.data.files).toBe(0);
+
+      const caller = await axios.get(`${API_BASE_URL}/usage`, {
+        validateStatus: () => true,
+      });
+      if (caller.status === 200) {
+        expect(caller.data.data).toEqual(
+          expect.objectContaining({
+            caller: expect.any(String),
+            bytes: expect.any(Number),
+            files: expect.any(Number),
+          })
+        );
+      }
+    },
+    TEST_TIMEOUT
+  );
+});
+
+describeWithQuota("Storage Quotas", () => {
+  beforeAll(async () => {
+    await axios.post(
+      `${API_BASE_URL}/buckets`,
+      { bucketName: quotaBucket },
+      { validateStatus: () => true }
+    );
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    await axios.delete(`${API_BASE_URL}/buckets/${quotaBucket}?force=true`, {
+      validateStatus: () => true,
+    });
+  }, TEST_TIMEOUT);
+
+  test(
+    "should refuse uploads beyond the bucket's file quota",
+    async () => {
+      for (let i = 0; i < Number(maxFiles); i++) {
+        const response = await upload(quotaBucket, `file-${i}.bin`);
+        expect(response.status).toBe(200);
+      }
+
+      const refused = await upload(quotaBucket, "one-too-many.bin");
+      expect(refused.status).toBe(507);
+      expect(refused.data.code).toBe("QUOTA_EXCEEDED");
+
+      const resumable = await axios.post(
+        `${API_BASE_URL}/buckets/${quotaBucket}/uploads`,
+        { fileName: "one-too-many.bin", size: 1024 },
+        { validateStatus: () => true }
+      );
+      expect(resumable.status).toBe(507);
+
+      // Deleting a file frees its place
+      await axios.delete(
+        `${API_BASE_URL}/buckets/${quotaBucket}/files/file-0.bin`
+      );
+      const accepted = await upload(quotaBucket, "one-too-many.bin");
+      expect(accepted.status).toBe(200);
+    },
+    TEST_TIMEOUT
+  );
+
+  (HAS_S3_CREDENTIALS ? test : test.skip)(
+    "should refuse S3 puts beyond the bucket's file quota",
+    async () => {
+      // The previous test left the bucket full
+      await expect(
+        createS3Client().send(
+          new PutObjectCommand({
+            Bucket: quotaBucket,
+            Key: "s3-too-many.bin",
+            Body: Buffer.alloc(1024, 7),
+          })
+        )
+      ).rejects.toMatchObject({ name: "QuotaExceeded" });
+    },
+    TEST_TIMEOUT
+  );
+});
+
+describeWithRateLimit("Rate Limits", () => {
+  test(
+    "should reject requests beyond the limit with 429",
+    async () => {
+      const limit = Number(usageRule[1]);
+      let response;
+      for (let i = 0; i <= limit; i++) {
+        response = await axios.get(`${API_BASE_URL}/usage`, {
+          validateStatus: () => true,
+        });
+        if (response.status === 429) {
+          break;
+        }
+        expect(response.headers["ratelimit-limit"]).toBeDefined();
+      }
+
+      expect(response.status).toBe(429);
+      expect(response.data.code).toBe("RATE_LIMITED");
+      expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    },
+    TEST_TIMEOUT
+  );
+
+  testWithS3RateLimit(
+    "should limit S3 requests per access key",
+    async () => {
+      const s3 = createS3Client();
+      const limit = Number(s3Rule[1]);
+      let refused;
+      for (let i = 0; i <= limit && !refused; i++) {
+        await s3.send(new ListBucketsCommand({})).catch((error) => {
+          refused = error;
+        });
+      }
+      expect(refused).toMatchObject({ name: "SlowDown" });
+      expect(refused.$metadata.httpStatusCode).toBe(503);
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,117 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 60000;
+
+describe("Listing Pagination", () => {
+  let bucketName;
+  const sizes = {
+    "a.txt": 300,
+    "b.txt": 100,
+    "c.txt": 200,
+    "photos_2024_x.jpg": 50,
+    "photos_2025_y.jpg": 60,
+  };
+
+  const list = async (params) => {
+    const response = await axios.get(
+      `${API_BASE_URL}/buckets/${bucketName}/files`,
+      { params }
+    );
+    return response.data;
+  };
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+    for (const [fileName, size] of Object.entries(sizes)) {
+      const form = new FormData();
+      form.append("file", crypto.randomBytes(size), fileName);
+      await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+        headers: form.getHeaders(),
+      });
+    }
+  }, TEST_TIMEOUT);
+
+  test(
+    "should page through files with a cursor",
+    async () => {
+      const names = [];
+      let cursor;
+      do {
+        const page = await list({ limit: 2, cursor });
+        expect(page.data.length).toBeLessThanOrEqual(2);
+        names.push(...page.data.map((file) => file.Name));
+        cursor = page.pagination.nextCursor;
+      } while (cursor);
+      expect(names).toEqual(Object.keys(sizes).sort());
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should sort and filter by size",
+    async () => {
+      const page = await list({ sort: "size", order: "desc", minSize: 100 });
+      expect(page.data.map((file) => file.Name)).toEqual([
+        "a.txt",
+        "c.txt",
+        "b.txt",
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should roll names up into prefixes with a delimiter",
+    async () => {
+      const root = await list({ delimiter: "_" });
+      expect(root.data.map((file) => file.Name)).toEqual([
+        "a.txt",
+        "b.txt",
+        "c.txt",
+      ]);
+      expect(root.prefixes).toEqual(["photos_"]);
+
+      const folder = await list({ prefix: "photos_", delimiter: "_" });
+      expect(folder.data).toEqual([]);
+      expect(folder.prefixes).toEqual(["photos_2024_", "photos_2025_"]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject invalid listing options",
+    async () => {
+      for (const params of [
+        { limit: 0 },
+        { sort: "color" },
+        { cursor: "not-a-cursor" },
+        { sort: "size", delimiter: "_" },
+      ]) {
+        const response = await axios.get(
+          `${API_BASE_URL}/buckets/${bucketName}/files`,
+          { params, validateStatus: () => true }
+        );
+        expect(response.status).toBe(400);
+        expect(response.data.code).toBe("VALIDATION_ERROR");
+      }
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should filter buckets by prefix",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/buckets`, {
+        params: { prefix: bucketName },
+      });
+      expect(response.data.data.map((bucket) => bucket.Name)).toEqual([
+        bucketName,
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+});
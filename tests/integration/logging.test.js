@@ -0,0 +1,33 @@
+const axios = require("axios");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+describe("Request IDs", () => {
+  test(
+    "should echo the caller's request id",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/buckets`, {
+        headers: { "X-Request-Id": "trace-1234.a" },
+      });
+      expect(response.headers["x-request-id"]).toBe("trace-1234.a");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should generate an id when none or an invalid one is sent",
+    async () => {
+      const first = await axios.get(`${API_BASE_URL}/health`);
+      const second = await axios.get(`${API_BASE_URL}/health`, {
+        headers: { "X-Request-Id": "has spaces; and more" },
+      });
+      expect(first.headers["x-request-id"]).toMatch(/^[0-9a-f]{16}$/);
+      expect(second.headers["x-request-id"]).toMatch(/^[0-9a-f]{16}$/);
+      expect(second.headers["x-request-id"]).not.toBe(
+        first.headers["x-request-id"]
+      );
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,113 @@
+const axios = require("axios");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  createBucket,
+  uploadFile,
+} = require("./helpers");
+
+describe("File Metadata", () => {
+  let bucketName;
+  const fileName = "invoice.pdf";
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+  }, TEST_TIMEOUT);
+
+  test(
+    "should attach metadata at upload",
+    async () => {
+      const response = await uploadFile(
+        bucketName,
+        fileName,
+        Buffer.from("%PDF-1.4"),
+        {
+          contentType: "application/pdf",
+          fields: {
+            owner: "alice",
+            tags: "invoice,2024",
+            metadata: JSON.stringify({ customer: "acme" }),
+          },
+        }
+      );
+      expect(response.status).toBe(200);
+      expect(response.data.data.Metadata).toEqual({
+        ContentType: "application/pdf",
+        Owner: "alice",
+        Tags: ["invoice", "2024"],
+        Custom: { customer: "acme" },
+        UpdatedAt: expect.any(String),
+      });
+
+      const info = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}`
+      );
+      expect(info.data.data.Metadata.Owner).toBe("alice");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should merge metadata updates",
+    async () => {
+      const response = await axios.patch(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/metadata`,
+        { tags: ["invoice", "paid"], metadata: { customer: null, total: "42" } }
+      );
+      expect(response.data.data).toEqual({
+        ContentType: "application/pdf",
+        Owner: "alice",
+        Tags: ["invoice", "paid"],
+        Custom: { total: "42" },
+        UpdatedAt: expect.any(String),
+      });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should find files by tag and metadata value",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/search`, {
+        params: { tag: ["invoice", "paid"], "metadata.total": "42" },
+      });
+      expect(response.data.data).toEqual([
+        expect.objectContaining({ bucketName, fileName }),
+      ]);
+
+      const none = await axios.get(`${API_BASE_URL}/search`, {
+        params: { bucket: bucketName, owner: "bob" },
+      });
+      expect(none.data.data).toEqual([]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject invalid metadata",
+    async () => {
+      const response = await axios.put(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/metadata`,
+        { metadata: { total: 42 } },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should drop metadata with the file",
+    async () => {
+      await axios.delete(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}`
+      );
+      const response = await axios.get(`${API_BASE_URL}/search`, {
+        params: { bucket: bucketName },
+      });
+      expect(response.data.data).toEqual([]);
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,91 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+// Sum of the samples of a metric whose labels contain every given pair
+function sample(text, name, labels = {}) {
+  return text
+    .split("\n")
+    .filter(
+      (line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `)
+    )
+    .filter((line) =>
+      Object.entries(labels).every(([label, value]) =>
+        line.includes(`${label}="${value}"`)
+      )
+    )
+    .reduce((total, line) => total + Number(line.split(" ").pop()), 0);
+}
+
+describe("Metrics", () => {
+  let bucketName;
+
+  const scrape = async () => {
+    const response = await axios.get(`${API_BASE_URL}/metrics`, {
+      headers: { "X-API-Key": "" },
+    });
+    expect(response.headers["content-type"]).toMatch(/text\/plain/);
+    return response.data;
+  };
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+  }, TEST_TIMEOUT);
+
+  test(
+    "should count requests by route pattern",
+    async () => {
+      const route = "/buckets/:bucketName";
+      const before = sample(
+        await scrape(),
+        "akavelink_http_request_duration_seconds_count",
+        { route, status: 200 }
+      );
+      await axios.get(`${API_BASE_URL}/buckets/${bucketName}`);
+
+      const text = await scrape();
+      expect(text).toContain(
+        "# TYPE akavelink_http_request_duration_seconds histogram"
+      );
+      expect(
+        sample(text, "akavelink_http_request_duration_seconds_count", {
+          route,
+          status: 200,
+        })
+      ).toBe(before + 1);
+      expect(text).not.toContain(`route="/buckets/${bucketName}"`);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should count uploaded bytes and report disk usage",
+    async () => {
+      const before = sample(
+        await scrape(),
+        "akavelink_transferred_bytes_total",
+        { direction: "upload" }
+      );
+      const form = new FormData();
+      form.append("file", Buffer.alloc(4096, 1), "counted.bin");
+      await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+        headers: form.getHeaders(),
+      });
+
+      const text = await scrape();
+      expect(
+        sample(text, "akavelink_transferred_bytes_total", {
+          direction: "upload",
+        })
+      ).toBeGreaterThanOrEqual(before + 4096);
+      expect(text).toMatch(
+        /^akavelink_disk_usage_bytes\{directory="downloads"\} \d+$/m
+      );
+      expect(text).toMatch(/^akavelink_cli_processes \d+$/m);
+    },
+    TEST_TIMEOUT
+  );
+});
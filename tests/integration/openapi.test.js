@@ -0,0 +1,74 @@
+const axios = require("axios");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+describe("API Specification", () => {
+  test(
+    "should serve the OpenAPI document and docs without a key",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/openapi.json`, {
+        headers: { "X-API-Key": "" },
+      });
+      expect(response.data.openapi).toMatch(/^3\./);
+      expect(
+        response.data.paths["/buckets/{bucketName}/files"].post.operationId
+      ).toBe("uploadFile");
+
+      const docs = await axios.get(`${API_BASE_URL}/docs`, {
+        headers: { "X-API-Key": "" },
+      });
+      expect(docs.headers["content-type"]).toMatch(/text\/html/);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should report field-level errors for invalid bodies",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets`,
+        { bucketName: 42, extra: true },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+      expect(response.data.details).toEqual(
+        expect.arrayContaining([
+          { field: "body.bucketName", message: "must be string" },
+          { field: "body.extra", message: "is not allowed" },
+        ])
+      );
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should validate query parameters and headers",
+    async () => {
+      const listing = await axios.get(`${API_BASE_URL}/buckets`, {
+        params: { limit: "ten", order: "sideways" },
+        validateStatus: () => true,
+      });
+      expect(listing.status).toBe(400);
+      expect(listing.data.details.map((detail) => detail.field)).toEqual([
+        "query.limit",
+        "query.order",
+      ]);
+
+      const chunk = await axios.patch(
+        `${API_BASE_URL}/buckets/any/uploads/missing`,
+        Buffer.from("data"),
+        {
+          headers: { "Content-Type": "application/offset+octet-stream" },
+          validateStatus: () => true,
+        }
+      );
+      expect(chunk.status).toBe(400);
+      expect(chunk.data.details).toEqual([
+        { field: "headers.upload-offset", message: "is required" },
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,123 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const FormData = require("form-data");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+describe("Presigned URLs", () => {
+  let bucketName;
+  const fileName = "shared.bin";
+  const fileContent = crypto.randomBytes(2048);
+
+  const presign = async (name, body) => {
+    const response = await axios.post(
+      `${API_BASE_URL}/buckets/${bucketName}/files/${name}/presign`,
+      body
+    );
+    return response.data.data;
+  };
+
+  // Presigned requests carry no API key
+  const anonymous = (config) =>
+    axios({
+      ...config,
+      headers: { "X-API-Key": "", ...config.headers },
+      validateStatus: () => true,
+    });
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+    const form = new FormData();
+    form.append("file", fileContent, fileName);
+    await axios.post(`${API_BASE_URL}/buckets/${bucketName}/files`, form, {
+      headers: form.getHeaders(),
+    });
+  }, TEST_TIMEOUT);
+
+  test(
+    "should download through a presigned URL",
+    async () => {
+      const presigned = await presign(fileName, { expiresIn: 60 });
+      expect(presigned.method).toBe("GET");
+
+      const response = await anonymous({
+        url: presigned.url,
+        responseType: "arraybuffer",
+      });
+      expect(response.status).toBe(200);
+      expect(Buffer.from(response.data)).toEqual(fileContent);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject tampered and expired URLs",
+    async () => {
+      const presigned = await presign(fileName, { expiresIn: 1 });
+      const otherFile = await anonymous({
+        url: presigned.url.replace(fileName, "other.bin"),
+      });
+      expect(otherFile.status).toBe(403);
+      expect(otherFile.data.code).toBe("ACCESS_DENIED");
+
+      const extraParam = await anonymous({
+        url: `${presigned.url}&disposition=inline`,
+      });
+      expect(extraParam.status).toBe(403);
+      expect(extraParam.data.code).toBe("ACCESS_DENIED");
+
+      await new Promise((resolve) => setTimeout(resolve, 2100));
+      const expired = await anonymous({ url: presigned.url });
+      expect(expired.status).toBe(403);
+      expect(expired.data.error).toMatch(/expired/);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should upload through a presigned URL",
+    async () => {
+      const presigned = await presign("dropbox.bin", {
+        operation: "upload",
+        maxSize: 1024,
+      });
+      expect(presigned.method).toBe("POST");
+
+      const upload = (size) => {
+        const form = new FormData();
+        form.append("file", crypto.randomBytes(size), "anything.bin");
+        return anonymous({
+          method: "post",
+          url: presigned.url,
+          data: form,
+          headers: form.getHeaders(),
+        });
+      };
+
+      const tooLarge = await upload(2048);
+      expect(tooLarge.status).toBe(413);
+      expect(tooLarge.data.code).toBe("UPLOAD_TOO_LARGE");
+
+      const response = await upload(512);
+      expect(response.status).toBe(200);
+      expect(response.data.data.Name).toBe("dropbox.bin");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should validate presign requests",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/presign`,
+        { expiresIn: 30 * 24 * 60 * 60 },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+});
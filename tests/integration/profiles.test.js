@@ -0,0 +1,47 @@
+const axios = require("axios");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 30000;
+
+describe("Wallet Profiles", () => {
+  test(
+    "should list the configured profiles without private keys",
+    async () => {
+      const response = await axios.get(`${API_BASE_URL}/admin/profiles`);
+      expect(response.data.success).toBe(true);
+      expect(response.data.data.some((profile) => profile.default)).toBe(true);
+      response.data.data.forEach((profile) => {
+        // Local profiles need no private key, and then have no address
+        if (
+          process.env.STORAGE_BACKEND !== "local" ||
+          profile.address !== null
+        ) {
+          expect(profile.address).toMatch(/^0x[0-9a-fA-F]{40}$/);
+        }
+        expect(profile.privateKey).toBeUndefined();
+      });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject an unknown profile header",
+    async () => {
+      expect.assertions(2);
+
+      try {
+        await axios.get(`${API_BASE_URL}/buckets`, {
+          headers: { "X-Akave-Profile": "does-not-exist" },
+        });
+      } catch (error) {
+        expect(error.response.status).toBe(400);
+        expect(error.response.data).toEqual({
+          success: false,
+          error: "Unknown profile: does-not-exist",
+          code: "UNKNOWN_PROFILE",
+        });
+      }
+    },
+    TEST_TIMEOUT
+  );
+});
@@ -0,0 +1,341 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+  S3Client,
+  CreateBucketCommand,
+  ListBucketsCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteBucketCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  API_BASE_URL,
+  HAS_S3_CREDENTIALS,
+  TEST_TIMEOUT,
+  createBucket,
+  createS3Client,
+  deleteBucket,
+  uniqueBucketName,
+  uploadFile,
+} = require("./helpers");
+
+const describeWithCredentials = HAS_S3_CREDENTIALS ? describe : describe.skip;
+
+// The server must version the buckets created here, e.g. with
+// VERSIONED_BUCKETS=versioned-*
+const describeWithVersioning =
+  process.env.VERSIONED_BUCKETS && describeWithCredentials === describe
+    ? describe
+    : describe.skip;
+
+const readObject = async (s3, params) => {
+  const object = await s3.send(new GetObjectCommand(params));
+  return Buffer.from(await object.Body.transformToByteArray());
+};
+
+const listKeys = async (s3, bucketName) => {
+  const list = await s3.send(new ListObjectsV2Command({ Bucket: bucketName }));
+  return (list.Contents || []).map((object) => object.Key).sort();
+};
+
+describeWithCredentials("S3-compatible API", () => {
+  let s3;
+  let bucketName;
+  const key = `test_${Date.now()}.bin`;
+  const content = crypto.randomBytes(64 * 1024);
+
+  beforeAll(() => {
+    s3 = createS3Client();
+    bucketName = uniqueBucketName();
+  });
+
+  test(
+    "should create and list buckets",
+    async () => {
+      await s3.send(new CreateBucketCommand({ Bucket: bucketName }));
+      const response = await s3.send(new ListBucketsCommand({}));
+      expect(response.Buckets.some((b) => b.Name === bucketName)).toBe(true);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should put, list and head an object",
+    async () => {
+      await s3.send(
+        new PutObjectCommand({ Bucket: bucketName, Key: key, Body: content })
+      );
+
+      const list = await s3.send(
+        new ListObjectsV2Command({ Bucket: bucketName, Prefix: "test_" })
+      );
+      expect(list.Contents.map((object) => object.Key)).toContain(key);
+
+      const head = await s3.send(
+        new HeadObjectCommand({ Bucket: bucketName, Key: key })
+      );
+      expect(head.ContentLength).toBe(content.length);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject an object that does not match its Content-MD5",
+    async () => {
+      await expect(
+        s3.send(
+          new PutObjectCommand({
+            Bucket: bucketName,
+            Key: "corrupted.bin",
+            Body: content,
+            ContentMD5: crypto
+              .createHash("md5")
+              .update("other")
+              .digest("base64"),
+          })
+        )
+      ).rejects.toMatchObject({ name: "BadDigest" });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should get a full and a ranged object",
+    async () => {
+      const full = await s3.send(
+        new GetObjectCommand({ Bucket: bucketName, Key: key })
+      );
+      expect(Buffer.from(await full.Body.transformToByteArray())).toEqual(
+        content
+      );
+
+      const partial = await s3.send(
+        new GetObjectCommand({
+          Bucket: bucketName,
+          Key: key,
+          Range: "bytes=10-19",
+        })
+      );
+      expect(partial.ContentRange).toBe(`bytes 10-19/${content.length}`);
+      expect(Buffer.from(await partial.Body.transformToByteArray())).toEqual(
+        content.subarray(10, 20)
+      );
+
+      // Several ranges come back as multipart/byteranges, as on /download
+      const multiple = await s3.send(
+        new GetObjectCommand({
+          Bucket: bucketName,
+          Key: key,
+          Range: "bytes=100-200, 4-7",
+        })
+      );
+      expect(multiple.ContentType).toMatch(/^multipart\/byteranges/);
+      const body = Buffer.from(await multiple.Body.transformToByteArray());
+      expect(body.toString("latin1")).toContain(
+        `Content-Range: bytes 4-7/${content.length}`
+      );
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should round-trip nested keys and list them by prefix and delimiter",
+    async () => {
+      const nested = "reports/2024/q1 summary_v2.bin";
+      await s3.send(
+        new PutObjectCommand({ Bucket: bucketName, Key: nested, Body: content })
+      );
+
+      const get = await s3.send(
+        new GetObjectCommand({ Bucket: bucketName, Key: nested })
+      );
+      expect(Buffer.from(await get.Body.transformToByteArray())).toEqual(
+        content
+      );
+
+      const top = await s3.send(
+        new ListObjectsV2Command({ Bucket: bucketName, Delimiter: "/" })
+      );
+      expect(top.Contents.map((object) => object.Key)).toEqual([key]);
+      expect(top.CommonPrefixes.map((entry) => entry.Prefix)).toEqual([
+        "reports/",
+      ]);
+
+      const nestedList = await s3.send(
+        new ListObjectsV2Command({
+          Bucket: bucketName,
+          Prefix: "reports/2024/",
+        })
+      );
+      expect(nestedList.Contents.map((object) => object.Key)).toEqual([nested]);
+
+      await s3.send(
+        new DeleteObjectCommand({ Bucket: bucketName, Key: nested })
+      );
+      const after = await s3.send(
+        new ListObjectsV2Command({ Bucket: bucketName, Prefix: "reports/" })
+      );
+      expect(after.KeyCount).toBe(0);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should return NoSuchKey for a missing object",
+    async () => {
+      await expect(
+        s3.send(
+          new GetObjectCommand({ Bucket: bucketName, Key: "missing.bin" })
+        )
+      ).rejects.toMatchObject({ name: "NoSuchKey" });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject requests signed with an unknown key",
+    async () => {
+      const stranger = new S3Client({
+        endpoint: API_BASE_URL,
+        region: "us-east-1",
+        forcePathStyle: true,
+        credentials: { accessKeyId: "UNKNOWN", secretAccessKey: "secret" },
+      });
+      await expect(
+        stranger.send(new ListBucketsCommand({}))
+      ).rejects.toMatchObject({ name: "InvalidAccessKeyId" });
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(async () => {
+    await s3.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+    await s3.send(new DeleteBucketCommand({ Bucket: bucketName }));
+  });
+});
+
+describeWithCredentials("S3-compatible API with aliases", () => {
+  const s3 = createS3Client();
+  const content = crypto.randomBytes(4096);
+  let bucketName;
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+    for (const fileName of ["original.bin", "copy.bin"]) {
+      const response = await uploadFile(bucketName, fileName, content, {
+        params: { dedup: true },
+      });
+      expect(response.status).toBe(200);
+    }
+  }, TEST_TIMEOUT);
+
+  test(
+    "should list and read an alias like any object",
+    async () => {
+      expect(await listKeys(s3, bucketName)).toEqual([
+        "copy.bin",
+        "original.bin",
+      ]);
+      expect(
+        await readObject(s3, { Bucket: bucketName, Key: "copy.bin" })
+      ).toEqual(content);
+      const head = await s3.send(
+        new HeadObjectCommand({ Bucket: bucketName, Key: "copy.bin" })
+      );
+      expect(head.ContentLength).toBe(content.length);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should keep a file that an alias points at",
+    async () => {
+      await expect(
+        s3.send(
+          new DeleteObjectCommand({ Bucket: bucketName, Key: "original.bin" })
+        )
+      ).rejects.toMatchObject({ $metadata: { httpStatusCode: 409 } });
+      expect(
+        await readObject(s3, { Bucket: bucketName, Key: "copy.bin" })
+      ).toEqual(content);
+
+      await s3.send(
+        new DeleteObjectCommand({ Bucket: bucketName, Key: "copy.bin" })
+      );
+      await s3.send(
+        new DeleteObjectCommand({ Bucket: bucketName, Key: "original.bin" })
+      );
+      expect(await listKeys(s3, bucketName)).toEqual([]);
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(() => deleteBucket(bucketName), TEST_TIMEOUT);
+});
+
+describeWithVersioning("S3-compatible API on a versioned bucket", () => {
+  const s3 = createS3Client();
+  const key = "report.txt";
+  let bucketName;
+  let first;
+  let second;
+
+  const put = (body) =>
+    s3.send(new PutObjectCommand({ Bucket: bucketName, Key: key, Body: body }));
+
+  beforeAll(async () => {
+    bucketName = await createBucket("versioned");
+  }, TEST_TIMEOUT);
+
+  test(
+    "should keep every put of a key as a version",
+    async () => {
+      first = await put("first draft");
+      second = await put("second draft");
+      expect(first.VersionId).toBeDefined();
+      expect(second.VersionId).not.toBe(first.VersionId);
+
+      // The files holding the versions are not listed
+      expect(await listKeys(s3, bucketName)).toEqual([key]);
+
+      const latest = await readObject(s3, { Bucket: bucketName, Key: key });
+      expect(latest.toString()).toBe("second draft");
+      const older = await readObject(s3, {
+        Bucket: bucketName,
+        Key: key,
+        VersionId: first.VersionId,
+      });
+      expect(older.toString()).toBe("first draft");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should hide a deleted key behind a delete marker",
+    async () => {
+      const deleted = await s3.send(
+        new DeleteObjectCommand({ Bucket: bucketName, Key: key })
+      );
+      expect(deleted.DeleteMarker).toBe(true);
+      expect(await listKeys(s3, bucketName)).toEqual([]);
+      await expect(
+        s3.send(new GetObjectCommand({ Bucket: bucketName, Key: key }))
+      ).rejects.toMatchObject({ name: "NoSuchKey" });
+
+      const versions = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${key}/versions`
+      );
+      expect(versions.data.data.map((version) => version.VersionId)).toEqual([
+        deleted.VersionId,
+        second.VersionId,
+        first.VersionId,
+      ]);
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(() => deleteBucket(bucketName), TEST_TIMEOUT);
+});
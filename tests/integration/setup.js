@@ -0,0 +1,6 @@
+const axios = require("axios");
+
+// Authenticate every request when the server under test has API keys enabled
+if (process.env.API_KEY) {
+  axios.defaults.headers.common["X-API-Key"] = process.env.API_KEY;
+}
@@ -0,0 +1,179 @@
+const axios = require("axios");
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { SyncClient, pullBucket, syncDirectory } = require("../../sync");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  createBucket,
+  makeTempDir,
+  removeTempDir,
+} = require("./helpers");
+
+describe("Directory sync", () => {
+  let bucketName;
+  let source;
+  let target;
+  const client = new SyncClient({
+    url: API_BASE_URL,
+    apiKey: process.env.API_KEY,
+  });
+
+  const write = async (relPath, content) => {
+    await fs.mkdir(path.dirname(path.join(source, relPath)), {
+      recursive: true,
+    });
+    await fs.writeFile(path.join(source, relPath), content);
+  };
+
+  const sync = (options = {}) => {
+    const actions = [];
+    return syncDirectory(client, {
+      dir: source,
+      bucketName,
+      exclude: ["*.tmp"],
+      onAction: ({ action, path: relPath }) => actions.push([action, relPath]),
+      ...options,
+    }).then((summary) => ({ summary, actions: actions.sort() }));
+  };
+
+  beforeAll(async () => {
+    bucketName = await createBucket();
+    source = await makeTempDir("source");
+    target = await makeTempDir("target");
+    await write("notes.txt", "first notes");
+    await write("photos/2024/beach.jpg", "beach");
+    await write("scratch.tmp", "not synced");
+  }, TEST_TIMEOUT);
+
+  test(
+    "should upload new files and skip them on the next run",
+    async () => {
+      const first = await sync();
+      expect(first.actions).toEqual([
+        ["upload", "notes.txt"],
+        ["upload", "photos/2024/beach.jpg"],
+      ]);
+
+      const list = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files`
+      );
+      expect(list.data.data.map((file) => file.Name).sort()).toEqual([
+        "notes.txt",
+        "photos_2024_beach.jpg",
+      ]);
+
+      const second = await sync();
+      expect(second.summary).toEqual({
+        upload: 0,
+        skip: 2,
+        delete: 0,
+        fail: 0,
+      });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should replace changed files and delete removed ones",
+    async () => {
+      await write("notes.txt", "second notes");
+      await fs.rm(path.join(source, "photos/2024/beach.jpg"));
+
+      const dryRun = await sync({ deleteExtra: true, dryRun: true });
+      expect(dryRun.actions).toEqual([
+        ["delete", "photos/2024/beach.jpg"],
+        ["upload", "notes.txt"],
+      ]);
+      const untouched = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files`
+      );
+      expect(untouched.data.data).toHaveLength(2);
+
+      const run = await sync({ deleteExtra: true });
+      expect(run.summary).toEqual({ upload: 1, skip: 0, delete: 1, fail: 0 });
+
+      const download = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/notes.txt/download`
+      );
+      expect(download.data).toBe("second notes");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should pull files back to the paths they were synced from",
+    async () => {
+      await write("photos/2024/sunset.jpg", "sunset");
+      await sync();
+
+      const summary = await pullBucket(client, { bucketName, dir: target });
+      expect(summary).toEqual({ download: 2, skip: 0, fail: 0 });
+      expect(
+        await fs.readFile(path.join(target, "photos/2024/sunset.jpg"), "utf8")
+      ).toBe("sunset");
+      expect(await fs.readFile(path.join(target, "notes.txt"), "utf8")).toBe(
+        "second notes"
+      );
+
+      const again = await pullBucket(client, { bucketName, dir: target });
+      expect(again).toEqual({ download: 0, skip: 2, fail: 0 });
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should report the plan of a dry run from the command line",
+    async () => {
+      await write("todo.txt", "later");
+      const { stdout } = await promisify(execFile)(
+        process.execPath,
+        [
+          path.join(__dirname, "../../cli.js"),
+          "sync",
+          source,
+          bucketName,
+          "--dry-run",
+          "--include",
+          "*.txt",
+        ],
+        {
+          env: {
+            ...process.env,
+            AKAVELINK_URL: API_BASE_URL,
+            AKAVELINK_API_KEY: process.env.API_KEY || "",
+          },
+        }
+      );
+      expect(stdout).toContain("upload    todo.txt");
+      expect(stdout).toContain(
+        "Dry run: 1 uploaded, 1 unchanged, 0 deleted, 0 failed"
+      );
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should not pull a file whose name leaves the directory",
+    async () => {
+      const downloadFile = jest.fn();
+      const summary = await pullBucket(
+        {
+          listFiles: async () => [{ Name: "..", RootCID: "bafy" }],
+          downloadFile,
+        },
+        { bucketName, dir: target }
+      );
+      expect(summary).toEqual({ download: 0, skip: 0, fail: 1 });
+      expect(downloadFile).not.toHaveBeenCalled();
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(async () => {
+    await removeTempDir(source);
+    await removeTempDir(target);
+  });
+});
@@ -0,0 +1,118 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+const API_BASE_URL = process.env.API_URL || "http://localhost:8000";
+const TEST_TIMEOUT = 60000;
+
+describe("Resumable Upload Operations", () => {
+  let bucketName;
+  let fileName;
+  let fileContent;
+  let uploadUrl;
+
+  const sendChunk = (offset, chunk) =>
+    axios.patch(uploadUrl, chunk, {
+      headers: {
+        "Content-Type": "application/offset+octet-stream",
+        "Upload-Offset": offset,
+      },
+    });
+
+  beforeAll(async () => {
+    bucketName = `test-${Math.random().toString(36).substring(7)}`;
+    await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+
+    fileName = `resumable_${Date.now()}.bin`;
+    fileContent = crypto.randomBytes(256 * 1024);
+  }, TEST_TIMEOUT);
+
+  test(
+    "should create an upload session",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets/${bucketName}/uploads`,
+        { fileName, size: fileContent.length }
+      );
+
+      expect(response.status).toBe(201);
+      expect(response.data.data.offset).toBe(0);
+      expect(response.headers["upload-offset"]).toBe("0");
+      uploadUrl = `${API_BASE_URL}${response.headers.location}`;
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject a file name that cannot be stored",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/buckets/${bucketName}/uploads`,
+        { fileName: "..", size: 1 },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should append chunks and report the offset",
+    async () => {
+      const half = fileContent.length / 2;
+      const first = await sendChunk(0, fileContent.subarray(0, half));
+      expect(first.data.data.offset).toBe(half);
+
+      const status = await axios.get(uploadUrl);
+      expect(status.headers["upload-offset"]).toBe(String(half));
+      expect(status.data.data.complete).toBe(false);
+
+      const second = await sendChunk(half, fileContent.subarray(half));
+      expect(second.data.data.complete).toBe(true);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject a chunk at the wrong offset",
+    async () => {
+      expect.assertions(1);
+
+      try {
+        await sendChunk(0, Buffer.from("stale"));
+      } catch (error) {
+        expect(error.response.status).toBe(409);
+      }
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should complete the upload and serve the assembled file",
+    async () => {
+      const response = await axios.post(`${uploadUrl}/complete`);
+      expect(response.data.success).toBe(true);
+
+      const download = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}/download`,
+        { responseType: "arraybuffer" }
+      );
+      expect(Buffer.from(download.data)).toEqual(fileContent);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should forget the session once completed",
+    async () => {
+      expect.assertions(1);
+
+      try {
+        await axios.get(uploadUrl);
+      } catch (error) {
+        expect(error.response.status).toBe(404);
+      }
+    },
+    TEST_TIMEOUT
+  );
+});
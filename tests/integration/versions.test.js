@@ -0,0 +1,137 @@
+const axios = require("axios");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  createBucket,
+  deleteBucket,
+  uploadFile,
+} = require("./helpers");
+
+// The server must version the buckets created here, e.g. with
+// VERSIONED_BUCKETS=versioned-*
+const describeWithVersioning = process.env.VERSIONED_BUCKETS
+  ? describe
+  : describe.skip;
+
+describeWithVersioning("File versioning", () => {
+  let bucketName;
+  const fileName = "report.txt";
+  const fileUrl = () =>
+    `${API_BASE_URL}/buckets/${bucketName}/files/${fileName}`;
+
+  const upload = (content) =>
+    uploadFile(bucketName, fileName, Buffer.from(content));
+
+  const download = (params) =>
+    axios.get(`${fileUrl()}/download`, {
+      params,
+      responseType: "arraybuffer",
+      validateStatus: () => true,
+    });
+
+  const listVersions = () =>
+    axios.get(`${fileUrl()}/versions`, { validateStatus: () => true });
+
+  beforeAll(async () => {
+    bucketName = await createBucket("versioned");
+  }, TEST_TIMEOUT);
+
+  test(
+    "should keep every upload of a name as a version",
+    async () => {
+      const first = await upload("first draft");
+      expect(first.status).toBe(200);
+      const second = await upload("second draft");
+      expect(second.status).toBe(200);
+      expect(second.data.data.Name).toBe(fileName);
+      expect(second.data.data.VersionId).not.toBe(first.data.data.VersionId);
+
+      const latest = await download();
+      expect(Buffer.from(latest.data).toString()).toBe("second draft");
+      expect(latest.headers["x-version-id"]).toBe(second.data.data.VersionId);
+
+      const older = await download({ versionId: first.data.data.VersionId });
+      expect(Buffer.from(older.data).toString()).toBe("first draft");
+
+      const versions = await listVersions();
+      expect(versions.data.data).toEqual([
+        expect.objectContaining({
+          VersionId: second.data.data.VersionId,
+          IsLatest: true,
+          DeleteMarker: false,
+        }),
+        expect.objectContaining({
+          VersionId: first.data.data.VersionId,
+          IsLatest: false,
+        }),
+      ]);
+
+      // Only the current version is listed, under its own name
+      const list = await axios.get(
+        `${API_BASE_URL}/buckets/${bucketName}/files`
+      );
+      expect(list.data.data.map((file) => file.Name)).toEqual([fileName]);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should hide a deleted file until a version is restored",
+    async () => {
+      const deleted = await axios.delete(fileUrl());
+      expect(deleted.status).toBe(200);
+      expect(deleted.data.data.DeleteMarker).toBe(true);
+
+      const missing = await axios.get(fileUrl(), {
+        validateStatus: () => true,
+      });
+      expect(missing.status).toBe(404);
+
+      const versions = await listVersions();
+      expect(versions.data.data).toHaveLength(3);
+      const [marker, second] = versions.data.data;
+      expect(marker.DeleteMarker).toBe(true);
+
+      const refused = await axios.post(
+        `${fileUrl()}/versions/${marker.VersionId}/restore`,
+        null,
+        { validateStatus: () => true }
+      );
+      expect(refused.status).toBe(400);
+
+      const restored = await axios.post(
+        `${fileUrl()}/versions/${second.VersionId}/restore`
+      );
+      expect(restored.data.data).toEqual(
+        expect.objectContaining({ VersionId: second.VersionId, IsLatest: true })
+      );
+      expect(restored.data.data.RestoredAt).toBeDefined();
+
+      const current = await download();
+      expect(Buffer.from(current.data).toString()).toBe("second draft");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should permanently delete a single version",
+    async () => {
+      const [latest, ...older] = (await listVersions()).data.data;
+      const removed = await axios.delete(
+        `${fileUrl()}/versions/${latest.VersionId}`
+      );
+      expect(removed.status).toBe(200);
+
+      const gone = await download({ versionId: latest.VersionId });
+      expect(gone.status).toBe(404);
+
+      const versions = await listVersions();
+      expect(versions.data.data.map((version) => version.VersionId)).toEqual(
+        older.map((version) => version.VersionId)
+      );
+    },
+    TEST_TIMEOUT
+  );
+
+  afterAll(() => deleteBucket(bucketName), TEST_TIMEOUT);
+});
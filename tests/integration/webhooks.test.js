@@ -0,0 +1,166 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const http = require("http");
+const {
+  API_BASE_URL,
+  TEST_TIMEOUT,
+  uniqueBucketName,
+  uploadFile,
+} = require("./helpers");
+
+// Address at which the API server reaches this test process
+const RECEIVER_HOST = process.env.WEBHOOK_RECEIVER_HOST || "127.0.0.1";
+
+describe("Webhook Notifications", () => {
+  let receiver;
+  let received = [];
+  let subscription;
+  let bucketName;
+
+  const waitFor = async (predicate) => {
+    for (let i = 0; i < 100; i++) {
+      const match = received.find(predicate);
+      if (match) {
+        return match;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error("Timed out waiting for a webhook delivery");
+  };
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+
+    bucketName = uniqueBucketName();
+    const response = await axios.post(`${API_BASE_URL}/webhooks`, {
+      url: `http://${RECEIVER_HOST}:${receiver.address().port}/hook`,
+      events: ["bucket.created", "file.uploaded", "file.downloaded"],
+      buckets: [bucketName],
+    });
+    subscription = response.data.data;
+  }, TEST_TIMEOUT);
+
+  afterAll(async () => {
+    if (subscription) {
+      await axios.delete(`${API_BASE_URL}/webhooks/${subscription.id}`);
+    }
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  test(
+    "should register a subscription with a signing secret",
+    async () => {
+      expect(subscription.id).toMatch(/^wh_/);
+      expect(subscription.secret).toMatch(/^whsec_/);
+
+      const response = await axios.get(`${API_BASE_URL}/webhooks`);
+      const listed = response.data.data.find((s) => s.id === subscription.id);
+      expect(listed.events).toEqual([
+        "bucket.created",
+        "file.uploaded",
+        "file.downloaded",
+      ]);
+      expect(listed.secret).toBeUndefined();
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should reject an invalid subscription",
+    async () => {
+      const response = await axios.post(
+        `${API_BASE_URL}/webhooks`,
+        { url: "ftp://example.com", events: ["file.renamed"] },
+        { validateStatus: () => true }
+      );
+      expect(response.status).toBe(400);
+      expect(response.data.code).toBe("VALIDATION_ERROR");
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should deliver signed events for matching operations",
+    async () => {
+      await axios.post(`${API_BASE_URL}/buckets`, { bucketName });
+      const upload = await uploadFile(
+        bucketName,
+        "hooked.bin",
+        crypto.randomBytes(512)
+      );
+      expect(upload.status).toBe(200);
+
+      const created = await waitFor(
+        (d) => d.headers["x-akavelink-event"] === "bucket.created"
+      );
+      const uploaded = await waitFor(
+        (d) => d.headers["x-akavelink-event"] === "file.uploaded"
+      );
+
+      const [, timestamp, signature] = created.headers[
+        "x-akavelink-signature"
+      ].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+      const expected = crypto
+        .createHmac("sha256", subscription.secret)
+        .update(`${timestamp}.${created.body}`)
+        .digest("hex");
+      expect(signature).toBe(expected);
+
+      const event = JSON.parse(uploaded.body);
+      expect(event.type).toBe("file.uploaded");
+      expect(event.data.bucket).toBe(bucketName);
+      expect(event.data.fileName).toBe("hooked.bin");
+      // Subscriptions only hear events of their own profile
+      expect(event.data.profile).toBe(subscription.profile);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should report a ranged download once",
+    async () => {
+      const url = `${API_BASE_URL}/buckets/${bucketName}/files/hooked.bin/download`;
+      const tail = await axios.get(url, { headers: { Range: "bytes=256-" } });
+      expect(tail.status).toBe(206);
+      const head = await axios.get(url, { headers: { Range: "bytes=0-255" } });
+      expect(head.status).toBe(206);
+
+      const downloaded = await waitFor(
+        (d) => d.headers["x-akavelink-event"] === "file.downloaded"
+      );
+      expect(JSON.parse(downloaded.body).data.range).toBe("bytes 0-255/512");
+
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const events = received.filter(
+        (d) => d.headers["x-akavelink-event"] === "file.downloaded"
+      );
+      expect(events).toHaveLength(1);
+    },
+    TEST_TIMEOUT
+  );
+
+  test(
+    "should list recent deliveries",
+    async () => {
+      const response = await axios.get(
+        `${API_BASE_URL}/webhooks/${subscription.id}/deliveries`
+      );
+      const types = response.data.data.map((d) => d.event.type);
+      expect(types).toEqual(
+        expect.arrayContaining(["bucket.created", "file.uploaded"])
+      );
+      expect(response.data.data.every((d) => d.status === "delivered")).toBe(
+        true
+      );
+    },
+    TEST_TIMEOUT
+  );
+});
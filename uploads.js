@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { AkaveError } = require("./errors");
+const logger = require("./logger");
+const { isStorableName, normalizeFileName } = require("./utils");
+
+const SESSION_FILE = "session.json";
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_ERROR_CODES = {
+  400: "VALIDATION_ERROR",
+  404: "UPLOAD_NOT_FOUND",
+  409: "UPLOAD_CONFLICT",
+  413: "UPLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+};
+
+class UploadError extends AkaveError {
+  constructor(message, statusCode = 400) {
+    super(message, UPLOAD_ERROR_CODES[statusCode], statusCode);
+  }
+}
+
+/**
+ * Resumable upload sessions kept on disk so they survive restarts. Each
+ * session lives in <root>/<uploadId>/ with a session.json describing it and
+ * the partial file under file/; the current offset is the size of that file.
+ */
+class ResumableUploadStore {
+  constructor(root, { ttl = DEFAULT_TTL_MS } = {}) {
+    this.root = root;
+    this.ttl = ttl;
+    this.active = new Set();
+  }
+
+  sessionDir(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+      throw new UploadError("Upload not found", 404);
+    }
+    return path.join(this.root, uploadId);
+  }
+
+  filePath(session) {
+    return path.join(
+      this.sessionDir(session.uploadId),
+      "file",
+      session.fileName
+    );
+  }
+
+  async create({ bucketName, fileName, size, profile, metadata = {} }) {
+    if (!fileName) {
+      throw new UploadError("fileName is required");
+    }
+    if (!Number.isSafeInteger(size) || size < 0) {
+      throw new UploadError("size must be a non-negative integer");
+    }
+    fileName = normalizeFileName(fileName);
+    if (!isStorableName(fileName)) {
+      throw new UploadError(`Invalid file name: ${fileName}`);
+    }
+
+    await this.purgeExpired();
+
+    const now = new Date().toISOString();
+    const session = {
+      uploadId: crypto.randomBytes(16).toString("hex"),
+      bucketName,
+      fileName,
+      size,
+      profile,
+      // User metadata recorded once the upload completes
+      metadata,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await fs.mkdir(path.dirname(this.filePath(session)), { recursive: true });
+    await fs.writeFile(this.filePath(session), "");
+    await this.save(session);
+    return this.describe(session);
+  }
+
+  async get(uploadId) {
+    const sessionPath = path.join(this.sessionDir(uploadId), SESSION_FILE);
+    try {
+      return JSON.parse(await fs.readFile(sessionPath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new UploadError("Upload not found", 404);
+      }
+      throw error;
+    }
+  }
+
+  async save(session) {
+    const sessionPath = path.join(
+      this.sessionDir(session.uploadId),
+      SESSION_FILE
+    );
+    await fs.writeFile(`${sessionPath}.tmp`, JSON.stringify(session, null, 2));
+    await fs.rename(`${sessionPath}.tmp`, sessionPath);
+  }
+
+  async offset(session) {
+    try {
+      return (await fs.stat(this.filePath(session))).size;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  async describe(session) {
+    const offset = await this.offset(session);
+    return {
+      uploadId: session.uploadId,
+      bucketName: session.bucketName,
+      fileName: session.fileName,
+      size: session.size,
+      offset,
+      complete: offset === session.size,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+    };
+  }
+
+  /**
+   * Append a chunk read from `stream` at `offset`, which must equal the
+   * number of bytes already received. Bytes written before a client
+   * disconnect are kept so the upload can resume from there.
+   * `contentLength`, when known, lets oversized chunks be refused unread.
+   */
+  async append(session, offset, stream, contentLength) {
+    this.lock(session.uploadId);
+    try {
+      const current = await this.offset(session);
+      if (offset !== current) {
+        throw new UploadError(
+          `Upload-Offset ${offset} does not match current offset ${current}`,
+          409
+        );
+      }
+
+      const limit = session.size - current;
+      if (contentLength > limit) {
+        throw new UploadError("Chunk exceeds the declared upload size", 413);
+      }
+      let received = 0;
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > limit) {
+            return callback(
+              new UploadError("Chunk exceeds the declared upload size", 413)
+            );
+          }
+          callback(null, chunk);
+        },
+      });
+
+      try {
+        await pipeline(
+          stream,
+          guard,
+          fsSync.createWriteStream(this.filePath(session), { flags: "a" })
+        );
+      } catch (error) {
+        if (error instanceof UploadError) {
+          await fs.truncate(this.filePath(session), current);
+        }
+        throw error;
+      }
+
+      session.updatedAt = new Date().toISOString();
+      await this.save(session);
+      return this.describe(session);
+    } finally {
+      this.active.delete(session.uploadId);
+    }
+  }
+
+  /**
+   * Hand the assembled file to `upload(filePath)` once every byte has been
+   * received. The session is removed only when the upload succeeds, so a
+   * failed completion can be retried.
+   */
+  async complete(session, upload) {
+    this.lock(session.uploadId);
+    try {
+      const offset = await this.offset(session);
+      if (offset !== session.size) {
+        throw new UploadError(
+          `Upload is incomplete: received ${offset} of ${session.size} bytes`,
+          409
+        );
+      }
+
+      const result = await upload(this.filePath(session));
+      await this.remove(session.uploadId);
+      return result;
+    } finally {
+      this.active.delete(session.uploadId);
+    }
+  }
+
+  async remove(uploadId) {
+    await fs.rm(this.sessionDir(uploadId), { recursive: true, force: true });
+  }
+
+  lock(uploadId) {
+    if (this.active.has(uploadId)) {
+      throw new UploadError("Upload is busy with another request", 409);
+    }
+    this.active.add(uploadId);
+  }
+
+  async purgeExpired() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.root);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    const cutoff = Date.now() - this.ttl;
+    for (const uploadId of entries) {
+      if (this.active.has(uploadId)) {
+        continue;
+      }
+      try {
+        const session = await this.get(uploadId);
+        if (new Date(session.updatedAt).getTime() < cutoff) {
+          await this.remove(uploadId);
+          logger.info("Removed expired upload", { uploadId });
+        }
+      } catch (error) {
+        // Not a session directory or unreadable; leave it alone
+      }
+    }
+  }
+}
+
+module.exports = {
+  ResumableUploadStore,
+  UploadError,
+};
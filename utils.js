@@ -0,0 +1,47 @@
+// Replace spaces and special chars with underscore so names are safe on disk
+function normalizeFileName(fileName) {
+  return fileName.replace(/[^a-zA-Z0-9.-]/g, "_");
+}
+
+// Whether a file can be stored under exactly this name
+function isStorableName(fileName) {
+  return (
+    fileName !== "." &&
+    fileName !== ".." &&
+    normalizeFileName(fileName) === fileName
+  );
+}
+
+// akavecli prints Go timestamps such as "2024-11-05 10:11:12.123456 +0000 UTC"
+function parseCliDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  let date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const match = String(value).match(
+      /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(\.\d+)?\s*([+-]\d{2}):?(\d{2})/
+    );
+    if (match) {
+      const fraction = match[3] ? match[3].substring(0, 4) : "";
+      date = new Date(
+        `${match[1]}T${match[2]}${fraction}${match[4]}:${match[5]}`
+      );
+    }
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Format a date the way akavecli prints it, so parseCliDate reads it back
+function formatCliDate(date) {
+  return date.toISOString().replace("T", " ").replace("Z", " +0000 UTC");
+}
+
+module.exports = {
+  formatCliDate,
+  isStorableName,
+  normalizeFileName,
+  parseCliDate,
+};
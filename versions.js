@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const { bucketMatches } = require("./auth");
+const { JsonFile } = require("./store");
+
+// "*" or a comma-separated list of bucket names and "prefix*" patterns
+function parseVersionedBuckets(value) {
+  return (value || "")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+// Version ids sort by creation time, like the versions themselves
+function newVersionId() {
+  return (
+    Date.now().toString(36).padStart(9, "0") +
+    crypto.randomBytes(4).toString("hex")
+  );
+}
+
+// Name a version is stored under; akavecli cannot keep two files of one name
+function versionedName(fileName, versionId) {
+  return `${fileName}.v-${versionId}`;
+}
+
+/**
+ * Versions of the files in versioned buckets, kept in a local JSON file,
+ * oldest first. Every version is a separate file for akavecli, stored under
+ * `storedAs`; deleting a file adds a delete marker, a version without one.
+ * The last version is the current one, unless it is a delete marker.
+ */
+class VersionStore {
+  constructor(filePath, { buckets = [], maxVersions = 0 } = {}) {
+    this.buckets = buckets;
+    this.maxVersions = maxVersions;
+    this.file = new JsonFile(filePath, { description: "versions" });
+    this.files = this.file.read({});
+  }
+
+  enabled(bucketName) {
+    return this.buckets.some((pattern) => bucketMatches(pattern, bucketName));
+  }
+
+  key(profile, bucketName, fileName) {
+    return `${profile}/${bucketName}/${fileName}`;
+  }
+
+  list(profile, bucketName, fileName) {
+    return [...(this.files[this.key(profile, bucketName, fileName)] || [])];
+  }
+
+  latest(profile, bucketName, fileName) {
+    const versions = this.list(profile, bucketName, fileName);
+    return versions[versions.length - 1] || null;
+  }
+
+  get(profile, bucketName, fileName, versionId) {
+    return (
+      this.list(profile, bucketName, fileName).find(
+        (version) => version.versionId === versionId
+      ) || null
+    );
+  }
+
+  // [fileName, versions] of every versioned file in a bucket
+  entries(profile, bucketName) {
+    const prefix = this.key(profile, bucketName, "");
+    return Object.entries(this.files)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, versions]) => [key.substring(prefix.length), versions]);
+  }
+
+  /**
+   * Add a version as the current one. Returns the oldest versions dropped
+   * beyond the retention cap, whose stored files the caller deletes.
+   */
+  add(profile, bucketName, fileName, version) {
+    const key = this.key(profile, bucketName, fileName);
+    const versions = [...(this.files[key] || []), version];
+    const pruned =
+      this.maxVersions > 0
+        ? versions.splice(0, Math.max(versions.length - this.maxVersions, 0))
+        : [];
+    this.files[key] = versions;
+    this.save();
+    return pruned;
+  }
+
+  // Make an earlier version the current one again
+  promote(profile, bucketName, fileName, versionId) {
+    const key = this.key(profile, bucketName, fileName);
+    const version = this.get(profile, bucketName, fileName, versionId);
+    const promoted = { ...version, restoredAt: new Date().toISOString() };
+    this.files[key] = [
+      ...this.files[key].filter((entry) => entry.versionId !== versionId),
+      promoted,
+    ];
+    this.save();
+    return promoted;
+  }
+
+  remove(profile, bucketName, fileName, versionId) {
+    const key = this.key(profile, bucketName, fileName);
+    const versions = this.list(profile, bucketName, fileName).filter(
+      (version) => version.versionId !== versionId
+    );
+    if (versions.length > 0) {
+      this.files[key] = versions;
+    } else {
+      delete this.files[key];
+    }
+    this.save();
+  }
+
+  forgetBucket(profile, bucketName) {
+    for (const [fileName] of this.entries(profile, bucketName)) {
+      delete this.files[this.key(profile, bucketName, fileName)];
+    }
+    this.save();
+  }
+
+  format(fileName, version, isLatest) {
+    return {
+      Name: fileName,
+      VersionId: version.versionId,
+      IsLatest: isLatest,
+      DeleteMarker: Boolean(version.deleteMarker),
+      ...(!version.deleteMarker && {
+        RootCID: version.rootCid,
+        Size: version.size,
+      }),
+      CreatedAt: version.createdAt,
+      ...(version.restoredAt && { RestoredAt: version.restoredAt }),
+    };
+  }
+
+  save() {
+    return this.file.save(this.files);
+  }
+}
+
+module.exports = {
+  VersionStore,
+  newVersionId,
+  parseVersionedBuckets,
+  versionedName,
+};
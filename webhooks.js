@@ -0,0 +1,347 @@
+const crypto = require("crypto");
+const path = require("path");
+const { bucketMatches } = require("./auth");
+const { ValidationError } = require("./errors");
+const logger = require("./logger");
+const { JsonFile } = require("./store");
+
+const EVENT_TYPES = [
+  "bucket.created",
+  "bucket.deleted",
+  "file.uploaded",
+  "file.downloaded",
+  "file.deleted",
+  "file.restored",
+  "file.verified",
+  "operation.failed",
+];
+const SUBSCRIPTIONS_FILE = "subscriptions.json";
+const DELIVERIES_FILE = "deliveries.json";
+const POLL_INTERVAL_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const SECRET_PREFIX = "whsec_";
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", sent as
+ * X-Akavelink-Signature: t=<timestamp>,v1=<hex digest>
+ */
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// 10s, 20s, 40s, ... capped at an hour, with up to 10% jitter
+function backoff(attempts, baseDelay) {
+  const delay = Math.min(baseDelay * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Webhook subscriptions and their delivery queue. Subscriptions belong to
+ * a profile and only hear events of that profile's buckets. Subscriptions
+ * and deliveries are kept in <root>/subscriptions.json and deliveries.json,
+ * so pending deliveries are resumed after a restart; the delivery queue is
+ * written at most once a second, so a crash may lose the events of the last
+ * second. Failed deliveries are retried with exponential backoff until
+ * `maxAttempts` is reached; the most recent `historySize` finished
+ * deliveries per subscription are kept for inspection.
+ */
+class WebhookDispatcher {
+  constructor(
+    root,
+    {
+      maxAttempts = 8,
+      timeout = 10000,
+      retryDelay = 10000,
+      concurrency = 4,
+      historySize = 100,
+      defaultProfile,
+    } = {}
+  ) {
+    this.root = root;
+    this.maxAttempts = maxAttempts;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+    this.concurrency = concurrency;
+    this.historySize = historySize;
+    this.subscriptionsFile = new JsonFile(path.join(root, SUBSCRIPTIONS_FILE), {
+      description: "webhook subscriptions",
+    });
+    this.deliveriesFile = new JsonFile(path.join(root, DELIVERIES_FILE), {
+      description: "webhook deliveries",
+      indent: 0,
+    });
+    // Subscriptions made before they were kept per profile belong to the
+    // default one
+    this.subscriptions = (
+      this.subscriptionsFile.read({}).subscriptions || []
+    ).map((subscription) => ({ profile: defaultProfile, ...subscription }));
+    this.deliveries = this.deliveriesFile.read({}).deliveries || [];
+    this.sending = new Set();
+    this.saveTimer = null;
+
+    const pending = this.deliveries.filter((d) => d.status === "pending");
+    if (pending.length > 0) {
+      logger.info("Resuming webhook deliveries", { count: pending.length });
+    }
+
+    setInterval(() => this.process(), POLL_INTERVAL_MS).unref();
+  }
+
+  subscribe(profile, { url, events, buckets, secret, description }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError("url must be an absolute http(s) URL");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new ValidationError("url must be an absolute http(s) URL");
+    }
+    if (events !== undefined && !Array.isArray(events)) {
+      throw new ValidationError("events must be an array of event types");
+    }
+    const unknown = (events || []).filter(
+      (type) => type !== "*" && !EVENT_TYPES.includes(type)
+    );
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown event types: ${unknown.join(", ")}`);
+    }
+    if (buckets !== undefined && !Array.isArray(buckets)) {
+      throw new ValidationError(
+        "buckets must be an array of bucket names or patterns"
+      );
+    }
+
+    const subscription = {
+      id: `wh_${crypto.randomBytes(8).toString("hex")}`,
+      profile,
+      url: parsed.toString(),
+      events: events && events.length > 0 ? events : ["*"],
+      buckets: buckets && buckets.length > 0 ? buckets : ["*"],
+      description: description || "",
+      secret: secret || SECRET_PREFIX + crypto.randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString(),
+    };
+    this.subscriptions.push(subscription);
+    this.save();
+    return subscription;
+  }
+
+  // Secrets are only shown when a subscription is created
+  list(profile) {
+    return this.subscriptions
+      .filter((subscription) => subscription.profile === profile)
+      .map(({ secret, ...subscription }) => subscription);
+  }
+
+  get(profile, id) {
+    return this.subscriptions.find(
+      (subscription) =>
+        subscription.id === id && subscription.profile === profile
+    );
+  }
+
+  unsubscribe(profile, id) {
+    const index = this.subscriptions.findIndex(
+      (s) => s.id === id && s.profile === profile
+    );
+    if (index === -1) {
+      return false;
+    }
+    this.subscriptions.splice(index, 1);
+    this.deliveries = this.deliveries.filter((d) => d.subscriptionId !== id);
+    this.save();
+    return true;
+  }
+
+  // Most recent deliveries of a subscription, newest first
+  history(subscriptionId, limit = 50) {
+    return this.deliveries
+      .filter((delivery) => delivery.subscriptionId === subscriptionId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(({ payload, ...delivery }) => ({
+        ...delivery,
+        event: { id: payload.id, type: payload.type },
+      }));
+  }
+
+  matches(subscription, type, data) {
+    const wantsProfile = subscription.profile === data.profile;
+    const wantsEvent =
+      subscription.events.includes("*") || subscription.events.includes(type);
+    const wantsBucket =
+      !data.bucket ||
+      subscription.buckets.some((pattern) =>
+        bucketMatches(pattern, data.bucket)
+      );
+    return wantsProfile && wantsEvent && wantsBucket;
+  }
+
+  /**
+   * Queue an event for every matching subscription. Delivery happens in the
+   * background; emitting never fails the request that caused the event.
+   */
+  emit(type, data) {
+    const payload = {
+      id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    const targets = this.subscriptions.filter((subscription) =>
+      this.matches(subscription, type, data)
+    );
+    if (targets.length === 0) {
+      return payload;
+    }
+
+    const now = new Date().toISOString();
+    for (const subscription of targets) {
+      this.deliveries.push({
+        id: `dlv_${crypto.randomBytes(12).toString("hex")}`,
+        subscriptionId: subscription.id,
+        payload,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        responseStatus: null,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    this.saveDeliveries();
+    setImmediate(() => this.process());
+    return payload;
+  }
+
+  process() {
+    const now = new Date().toISOString();
+    const due = this.deliveries.filter(
+      (delivery) =>
+        delivery.status === "pending" &&
+        delivery.nextAttemptAt <= now &&
+        !this.sending.has(delivery.id)
+    );
+    for (const delivery of due) {
+      if (this.sending.size >= this.concurrency) {
+        break;
+      }
+      this.sending.add(delivery.id);
+      this.deliver(delivery)
+        .catch((error) => {
+          logger.error("Webhook delivery crashed", {
+            deliveryId: delivery.id,
+            error: error.message,
+          });
+        })
+        .finally(() => this.sending.delete(delivery.id));
+    }
+  }
+
+  async deliver(delivery) {
+    const subscription = this.subscriptions.find(
+      (s) => s.id === delivery.subscriptionId
+    );
+    if (!subscription) {
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "akavelink-webhooks",
+          "X-Akavelink-Event": delivery.payload.type,
+          "X-Akavelink-Delivery": delivery.id,
+          "X-Akavelink-Signature": `t=${timestamp},v1=${sign(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      delivery.responseStatus = response.status;
+      // Only the status matters; release the connection
+      await response.body?.cancel();
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with ${response.status}`);
+      }
+      delivery.status = "delivered";
+      delivery.lastError = null;
+    } catch (error) {
+      delivery.lastError = error.message;
+      if (delivery.attempts >= this.maxAttempts) {
+        delivery.status = "failed";
+        logger.warn("Webhook delivery failed", {
+          deliveryId: delivery.id,
+          subscriptionId: subscription.id,
+          attempts: delivery.attempts,
+          error: error.message,
+        });
+      } else {
+        delivery.nextAttemptAt = new Date(
+          Date.now() + backoff(delivery.attempts, this.retryDelay)
+        ).toISOString();
+      }
+    }
+
+    delivery.updatedAt = new Date().toISOString();
+    this.prune(subscription.id);
+    this.saveDeliveries();
+  }
+
+  // Keep only the most recent finished deliveries of a subscription
+  prune(subscriptionId) {
+    const finished = this.deliveries
+      .filter(
+        (d) => d.subscriptionId === subscriptionId && d.status !== "pending"
+      )
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    if (finished.length <= this.historySize) {
+      return;
+    }
+    const dropped = new Set(
+      finished.slice(this.historySize).map((delivery) => delivery.id)
+    );
+    this.deliveries = this.deliveries.filter((d) => !dropped.has(d.id));
+  }
+
+  save() {
+    return Promise.all([
+      this.subscriptionsFile.save({ subscriptions: this.subscriptions }),
+      this.deliveriesFile.save({ deliveries: this.deliveries }),
+    ]);
+  }
+
+  // Events and delivery attempts change the queue often; write it at most
+  // once per poll interval rather than on every change
+  saveDeliveries() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.deliveriesFile.save({ deliveries: this.deliveries });
+    }, POLL_INTERVAL_MS);
+    this.saveTimer.unref();
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  WebhookDispatcher,
+  sign,
+};